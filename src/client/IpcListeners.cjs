@@ -1,4 +1,4 @@
-// src/client/IpcListeners.js  (CommonJS, minimal)
+// src/client/IpcListeners.cjs  (CommonJS, minimal)
 const { app, ipcMain } = require('electron');
 
 // ventuel event simple (pas handle) :
@@ -1,5 +1,5 @@
 import { globalShortcut } from 'electron';
-import window from './Window.js';
+import window from './Window.cjs';
 
 const RESIZE_INCREMENT = 20;
 const MOVE_INCREMENT = 20;
@@ -1,9 +1,9 @@
-﻿// src/index.js (CommonJS)
+﻿// src/index.cjs (CommonJS)
 const squirrelStartup = require('electron-squirrel-startup');
 const { app, BrowserWindow, globalShortcut, ipcMain, nativeImage, clipboard } = require('electron');
 const path = require('node:path');
 const { checkForNpcap } = require('./client/npcapHandler.js');
-const { setupAutoUpdate } = require('./updater.js'); // auto-update
+const { setupAutoUpdate } = require('./updater.cjs'); // auto-update
 
 if (squirrelStartup) app.quit();
 
@@ -118,7 +118,7 @@ async function initialize() {
     const canProceed = await checkForNpcap();
     if (!canProceed) return;
 
-    const windowMod = require('./client/Window.js');
+    const windowMod = require('./client/Window.cjs');
     const window = windowMod.default || windowMod;
 
     const shortcuts = require('./client/shortcuts.js');
@@ -128,7 +128,7 @@ async function initialize() {
     const { default: server } = await import('./server.js');
 
     // Listeners IPC renderer
-    require('./client/IpcListeners.js');
+    require('./client/IpcListeners.cjs');
 
     if (process.platform === 'win32') app.setAppUserModelId(app.name);
 
@@ -140,7 +140,7 @@ async function initialize() {
     const isPackaged = app.isPackaged;
     const userDataDir = app.getPath('userData'); // dossier RW
 
-    // ⚠️ index.js est dans /src → en prod, tout est dans .../resources/app.asar/src/...
+    // ⚠️ index.cjs est dans /src → en prod, tout est dans .../resources/app.asar/src/...
     const baseDir = isPackaged
         ? path.join(process.resourcesPath, 'app.asar', 'src')
         : __dirname;
@@ -149,6 +149,7 @@ async function initialize() {
         publicDir: path.join(baseDir, 'public'),
         settingsPath: path.join(userDataDir, 'settings.json'),
         logsDir: path.join(userDataDir, 'logs'),
+        schemasDir: path.join(userDataDir, 'schemas'), // packs protobuf (.proto / JSON) déposés par l'utilisateur
     };
 
     // Auto-update
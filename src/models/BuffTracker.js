@@ -0,0 +1,207 @@
+import Long from 'long';
+
+const toNum = (v) => (Long.isLong(v) ? v.toNumber() : Number(v));
+
+/**
+ * Buff intervals of one entity, fed by the buff add/remove events of the AOI deltas.
+ * Intervals are kept per buff instance (BuffUuid) and summarised per buff type (BaseId).
+ */
+export class BuffTracker {
+    /** @param {() => number} [clock] */
+    constructor(clock = Date.now) {
+        this.clock = clock;
+        this.since = clock(); // début de la fenêtre de calcul des uptimes
+        /** @type {Map<string, {baseId:number, sourceUid:number, start:number, expiresAt:number|null}>} */
+        this.active = new Map();
+        /** @type {Map<number, {baseId:number, applications:number, intervals:Array<[number, number]>, sources:Map<number, number>}>} */
+        this.byBase = new Map();
+        /** @type {{at:number, sourceUid:number}|null} dernier effet d'un buff posé par un joueur */
+        this.lastEffect = null;
+    }
+
+    /**
+     * A buff instance appeared. Already active instances are left untouched
+     * (the full buff list is resent with every change).
+     * @param {string} buffUuid
+     * @param {{baseId:number, sourceUid?:number, duration?:number}} info
+     *   duration: durée annoncée en ms (0 = permanent), pour clore les buffs dont on rate la fin.
+     */
+    start(buffUuid, { baseId, sourceUid = 0, duration = 0 } = {}) {
+        if (!baseId || this.active.has(buffUuid)) return false;
+        const start = this.clock();
+        this.active.set(buffUuid, {
+            baseId,
+            sourceUid,
+            start,
+            expiresAt: duration > 0 ? start + duration : null,
+        });
+
+        const entry = this.#entry(baseId);
+        entry.applications++;
+        if (sourceUid) entry.sources.set(sourceUid, (entry.sources.get(sourceUid) ?? 0) + 1);
+        return true;
+    }
+
+    /**
+     * A running buff instance did something (value or layer change, removal): for a shield,
+     * the event that comes with the hit it absorbed.
+     */
+    effect(buffUuid) {
+        const buff = this.active.get(buffUuid);
+        if (!buff?.sourceUid) return false;
+        this.lastEffect = { at: this.clock(), sourceUid: buff.sourceUid };
+        return true;
+    }
+
+    /**
+     * Caster of the buff whose effect came at most `windowMs` ago.
+     * @returns {number} 0 if none.
+     */
+    effectSource(windowMs) {
+        if (!this.lastEffect || this.clock() - this.lastEffect.at > windowMs) return 0;
+        return this.lastEffect.sourceUid;
+    }
+
+    /** A buff instance went away. */
+    end(buffUuid) {
+        const buff = this.active.get(buffUuid);
+        if (!buff) return false;
+        this.active.delete(buffUuid);
+        this.#close(buff, this.clock());
+        return true;
+    }
+
+    /**
+     * Source of the most recently applied buff still running among the given types.
+     * @param {Set<number>} baseIds
+     * @returns {number} 0 if none.
+     */
+    latestSource(baseIds) {
+        const now = this.clock();
+        let latest = null;
+        for (const buff of this.active.values()) {
+            if (!baseIds.has(buff.baseId) || !buff.sourceUid) continue;
+            if (buff.expiresAt != null && buff.expiresAt < now) continue;
+            if (!latest || buff.start >= latest.start) latest = buff;
+        }
+        return latest?.sourceUid ?? 0;
+    }
+
+    /** Closes every open interval (death, leaving the area...). */
+    endAll() {
+        const now = this.clock();
+        for (const buff of this.active.values()) this.#close(buff, now);
+        this.active.clear();
+    }
+
+    /**
+     * Uptime per buff type over [since, now].
+     * @returns {Record<number, {baseId:number, applications:number, uptimeMs:number, uptime:number,
+     *   active:boolean, sources:Record<number, number>}>} uptime en pourcentage.
+     */
+    getSummary() {
+        const now = this.clock();
+        const window = Math.max(1, now - this.since);
+
+        const open = new Map();
+        const running = new Set();
+        for (const buff of this.active.values()) {
+            const end = buff.expiresAt != null ? Math.min(buff.expiresAt, now) : now;
+            if (!open.has(buff.baseId)) open.set(buff.baseId, []);
+            open.get(buff.baseId).push([buff.start, end]);
+            if (end === now) running.add(buff.baseId);
+        }
+
+        const result = {};
+        for (const [baseId, entry] of this.byBase) {
+            const uptimeMs = coveredMs([...entry.intervals, ...(open.get(baseId) ?? [])]);
+            result[baseId] = {
+                baseId,
+                applications: entry.applications,
+                uptimeMs,
+                uptime: Math.min(100, (uptimeMs / window) * 100),
+                active: running.has(baseId),
+                sources: Object.fromEntries(entry.sources),
+            };
+        }
+        return result;
+    }
+
+    reset() {
+        this.since = this.clock();
+        this.active.clear();
+        this.byBase.clear();
+        this.lastEffect = null;
+    }
+
+    #entry(baseId) {
+        let entry = this.byBase.get(baseId);
+        if (!entry) {
+            entry = { baseId, applications: 0, intervals: [], sources: new Map() };
+            this.byBase.set(baseId, entry);
+        }
+        return entry;
+    }
+
+    #close(buff, now) {
+        const end = buff.expiresAt != null ? Math.min(buff.expiresAt, now) : now;
+        if (end <= buff.start) return;
+
+        // les fermetures arrivent dans l'ordre: on fusionne avec le dernier intervalle quand c'est possible
+        const intervals = this.#entry(buff.baseId).intervals;
+        const last = intervals.at(-1);
+        if (last && buff.start >= last[0] && buff.start <= last[1]) last[1] = Math.max(last[1], end);
+        else intervals.push([buff.start, end]);
+    }
+}
+
+/**
+ * Buff events of a decoded AOI delta: `BuffEffect.BuffEffects` carries the events (removals among them),
+ * `BuffInfos.BuffInfos` the instances present, with their type, caster and duration.
+ * @param {object} aoiSyncDelta
+ * @param {Record<string, number>} eventTypes `EBuffEventType` of the compiled schema.
+ * @returns {{effected:string[], removed:string[],
+ *   started:Array<{buffUuid:string, baseId:number, sourceUid:number, duration:number}>}}
+ *   effected: instances with an event other than being added (removals included).
+ *   sourceUid: 0 when the caster is not a player.
+ */
+export function readBuffEvents(aoiSyncDelta, eventTypes) {
+    const effected = [];
+    const removed = [];
+    for (const e of aoiSyncDelta?.BuffEffect?.BuffEffects ?? []) {
+        if (e?.BuffUuid == null) continue;
+        const buffUuid = String(e.BuffUuid);
+        if (eventTypes.BuffEventAddTo != null && e.Type !== eventTypes.BuffEventAddTo) effected.push(buffUuid);
+        if (eventTypes.BuffEventRemove != null && e.Type === eventTypes.BuffEventRemove) removed.push(buffUuid);
+    }
+
+    const started = [];
+    for (const b of aoiSyncDelta?.BuffInfos?.BuffInfos ?? []) {
+        const baseId = toNum(b?.BaseId ?? 0);
+        if (b?.BuffUuid == null || !baseId) continue;
+        const fire = b.FireUuid ? Long.fromValue(b.FireUuid) : null;
+        // uuid d'entité: uid << 16 | type, 640 = joueur
+        const sourceUid = fire && fire.and(0xffff).toNumber() === 640 ? fire.shiftRight(16).toNumber() : 0;
+        started.push({ buffUuid: String(b.BuffUuid), baseId, sourceUid, duration: toNum(b.Duration ?? 0) });
+    }
+    return { effected, removed, started };
+}
+
+/** Durée couverte par une liste d'intervalles qui peuvent se chevaucher (buffs cumulables). */
+function coveredMs(intervals) {
+    if (!intervals.length) return 0;
+    const sorted = intervals.slice().sort((a, b) => a[0] - b[0]);
+    let total = 0;
+    let [curStart, curEnd] = sorted[0];
+    for (let i = 1; i < sorted.length; i++) {
+        const [s, e] = sorted[i];
+        if (s > curEnd) {
+            total += curEnd - curStart;
+            curStart = s;
+            curEnd = e;
+        } else if (e > curEnd) {
+            curEnd = e;
+        }
+    }
+    return total + (curEnd - curStart);
+}
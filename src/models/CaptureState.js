@@ -0,0 +1,47 @@
+export const CAPTURE_STATE = Object.freeze({
+    SEARCHING: 'searching', // aucun serveur de scène identifié
+    LOCKED: 'locked', // serveur identifié (ou connexion de jeu supplémentaire, avec son serveur)
+    LOST: 'lost', // plus aucune connexion de jeu active
+    RELOCKED: 'relocked', // serveur identifié de nouveau après une perte
+});
+
+/**
+ * Where the capture stands with respect to the game server, for the `capture_state` event.
+ * `onChange` receives `{ state, server, since }` on every transition.
+ */
+export class CaptureState {
+    /** @param {(state:{state:string, server:string|null, since:number}) => void} [onChange] */
+    constructor(onChange = () => {}) {
+        this.onChange = onChange;
+        this.state = CAPTURE_STATE.SEARCHING;
+        this.server = null;
+        this.since = Date.now();
+    }
+
+    /** A game connection was identified: after a loss it is a relock, otherwise a (new) lock on that server. */
+    locked(server) {
+        const state = this.state === CAPTURE_STATE.LOST ? CAPTURE_STATE.RELOCKED : CAPTURE_STATE.LOCKED;
+        this.#set(state, server);
+    }
+
+    /** The last game connection went away. */
+    lost(server) {
+        this.#set(CAPTURE_STATE.LOST, server);
+    }
+
+    /** The capture restarted from scratch (device switch...). */
+    searching() {
+        if (this.state !== CAPTURE_STATE.SEARCHING) this.#set(CAPTURE_STATE.SEARCHING, null);
+    }
+
+    toJSON() {
+        return { state: this.state, server: this.server, since: this.since };
+    }
+
+    #set(state, server) {
+        this.state = state;
+        this.server = server;
+        this.since = Date.now();
+        this.onChange(this.toJSON());
+    }
+}
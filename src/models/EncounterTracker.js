@@ -0,0 +1,139 @@
+// Découpage d'une session en combats (pulls): un combat commence au premier coup, et se termine
+// après un temps mort, ou peu après la mort de tous les ennemis frappés.
+
+const DEFAULT_IDLE_GAP_MS = 8_000;
+const DEFAULT_KILL_GAP_MS = 3_000;
+// un coup isolé sans mort ne fait pas un combat
+const MIN_SEGMENT_MS = 3_000;
+
+/**
+ * @typedef {object} Encounter
+ * @property {number} id
+ * @property {number} index Position in the session, from 1.
+ * @property {number} startedAt
+ * @property {number} lastActivityAt
+ * @property {number|null} endedAt
+ * @property {string|null} reason Why it ended: idle, all_dead.
+ * @property {Set<number>} enemies Enemies hit by players.
+ * @property {Set<number>} dead Those of them that died.
+ */
+
+export class EncounterTracker {
+    /**
+     * @param {object} [opts]
+     * @param {() => number} [opts.clock]
+     * @param {number} [opts.idleGapMs] Combat-free time that ends an encounter.
+     * @param {number} [opts.killGapMs] Time after the last enemy death that ends it.
+     * @param {(encounter:Encounter) => void} [opts.onStart]
+     * @param {(encounter:Encounter) => void} [opts.onEnd] Only for the encounters that are kept.
+     */
+    constructor({
+        clock = Date.now,
+        idleGapMs = DEFAULT_IDLE_GAP_MS,
+        killGapMs = DEFAULT_KILL_GAP_MS,
+        onStart = () => {},
+        onEnd = () => {},
+    } = {}) {
+        Object.assign(this, { clock, idleGapMs, killGapMs, onStart, onEnd });
+        this.reset();
+    }
+
+    reset() {
+        this.nextId = 1;
+        /** @type {Encounter|null} */
+        this.current = null;
+        /** @type {Encounter[]} */
+        this.ended = [];
+    }
+
+    /**
+     * Combat happened (damage dealt or taken, healing).
+     * @param {number} [targetUid] Enemy hit by a player.
+     */
+    activity(targetUid) {
+        this.tick();
+        const now = this.clock();
+        if (!this.current) {
+            this.current = {
+                id: this.nextId++,
+                index: this.ended.length + 1,
+                startedAt: now,
+                lastActivityAt: now,
+                endedAt: null,
+                reason: null,
+                enemies: new Set(),
+                dead: new Set(),
+            };
+            this.onStart(this.current);
+        }
+        this.current.lastActivityAt = now;
+        if (targetUid != null) this.current.enemies.add(targetUid);
+    }
+
+    enemyDied(uid) {
+        if (!this.current?.enemies.has(uid)) return;
+        this.current.dead.add(uid);
+        this.current.lastActivityAt = this.clock();
+    }
+
+    /** Ends the current encounter once combat has stopped. Called on every event and periodically. */
+    tick() {
+        const encounter = this.current;
+        if (!encounter) return;
+        const idle = this.clock() - encounter.lastActivityAt;
+        const allDead = encounter.enemies.size > 0 && encounter.dead.size === encounter.enemies.size;
+        if (allDead && idle >= this.killGapMs) this.#end('all_dead');
+        else if (idle >= this.idleGapMs) this.#end('idle');
+    }
+
+    #end(reason) {
+        const encounter = this.current;
+        this.current = null;
+        encounter.endedAt = encounter.lastActivityAt;
+        encounter.reason = reason;
+        if (encounter.endedAt - encounter.startedAt < MIN_SEGMENT_MS && encounter.dead.size === 0) {
+            this.nextId--;
+            return;
+        }
+        this.ended.push(encounter);
+        this.onEnd(encounter);
+    }
+}
+
+/**
+ * Statistics of one player over an encounter: difference between two `UserData.getSummary()`,
+ * with the per-second values computed over the encounter duration.
+ * @param {object} now Summary at the end of the encounter (or now).
+ * @param {object|undefined} base Summary at its start (undefined: the player was not there yet).
+ * @param {number} durationMs
+ * @param {boolean} live The encounter is still going: realtime values are kept.
+ */
+export function diffUserSummary(now, base, durationMs, live) {
+    const sub = (a = {}, b = {}) => Object.fromEntries(Object.keys(a).map((k) => [k, (a[k] ?? 0) - (b[k] ?? 0)]));
+    const num = (key) => (now[key] ?? 0) - (base?.[key] ?? 0);
+    const seconds = Math.max(1, durationMs) / 1000;
+
+    const totalDamage = sub(now.total_damage, base?.total_damage);
+    const totalHealing = sub(now.total_healing, base?.total_healing);
+    const overheal = num('total_overheal');
+    return {
+        ...now,
+        realtime_dps: live ? now.realtime_dps : 0,
+        realtime_dps_max: live ? now.realtime_dps_max : 0,
+        realtime_hps: live ? now.realtime_hps : 0,
+        realtime_hps_max: live ? now.realtime_hps_max : 0,
+        total_damage: totalDamage,
+        total_dps: totalDamage.total / seconds,
+        total_count: sub(now.total_count, base?.total_count),
+        total_healing: totalHealing,
+        total_hps: totalHealing.total / seconds,
+        total_overheal: overheal,
+        effective_healing: totalHealing.total - overheal,
+        overheal_rate: totalHealing.total > 0 ? (overheal / totalHealing.total) * 100 : 0,
+        absorbed_damage: num('absorbed_damage'),
+        taken_damage: num('taken_damage'),
+        taken_absorbed: num('taken_absorbed'),
+        shield_given: num('shield_given'),
+        dead_count: num('dead_count'),
+    };
+}
@@ -0,0 +1,212 @@
+import skill_names from '../tables/skill_names.json' with { type: 'json' };
+
+const skillConfig = skill_names.skill_names;
+
+const HP_SAMPLE_INTERVAL_MS = 500;
+const MAX_HP_SAMPLES = 600;
+const MAX_RECORDS = 2000;
+// un uid revu peu après sa mort/disparition est la même entité (attributs en retard), pas une nouvelle
+const UID_REUSE_DELAY_MS = 5000;
+
+/**
+ * @typedef {object} EnemyRecord
+ * @property {number} uid
+ * @property {string} name
+ * @property {number|null} hp
+ * @property {number} maxHp
+ * @property {number} firstSeenAt
+ * @property {number|null} firstDamagedAt
+ * @property {number|null} lastDamagedAt
+ * @property {number|null} diedAt
+ * @property {number|null} despawnedAt Left the area without dying (instance change...).
+ * @property {{uid:number, name:string, skillId:number, skillName:string}|null} killer Last player hit before death.
+ * @property {number} totalDamage Damage received from players.
+ * @property {number} hits
+ * @property {Array<[number, number]>} hpTimeline [time, hp]
+ * @property {{uid:number, name:string, skillId:number}|null} lastHit
+ */
+
+/**
+ * Enemies of the session, from their first sighting to their death.
+ * `name`, `hp` and `maxHp` are Map-like views on the live enemies, used by the decoder
+ * (and replayed from the decoding worker) the way the old cache Maps were.
+ */
+export class EnemyRegistry {
+    /** @param {() => number} [clock] */
+    constructor(clock = Date.now) {
+        this.clock = clock;
+        /** @type {Map<number, EnemyRecord>} dernier enregistrement de chaque uid */
+        this.byUid = new Map();
+        /** @type {EnemyRecord[]} tous les enregistrements, dans l'ordre d'apparition */
+        this.records = [];
+
+        this.name = this.#view('name', (r, v) => { r.name = v; });
+        this.hp = this.#view('hp', (r, v) => this.#setHp(r, v));
+        this.maxHp = this.#view('maxHp', (r, v) => { r.maxHp = v; });
+    }
+
+    /** Current record of a live enemy, created on first sight. */
+    seen(uid) {
+        const current = this.byUid.get(uid);
+        const endedAt = current?.diedAt ?? current?.despawnedAt;
+        if (current && (endedAt == null || this.clock() - endedAt < UID_REUSE_DELAY_MS)) return current;
+
+        const record = {
+            uid,
+            name: current?.name ?? '',
+            hp: null,
+            maxHp: current?.maxHp ?? 0,
+            firstSeenAt: this.clock(),
+            firstDamagedAt: null,
+            lastDamagedAt: null,
+            diedAt: null,
+            despawnedAt: null,
+            killer: null,
+            totalDamage: 0,
+            hits: 0,
+            hpTimeline: [],
+            lastHit: null,
+        };
+        this.byUid.set(uid, record);
+        this.records.push(record);
+        this.#trim();
+        return record;
+    }
+
+    get(uid) {
+        return this.byUid.get(uid) ?? null;
+    }
+
+    isAlive(uid) {
+        const r = this.byUid.get(uid);
+        return !!r && r.diedAt == null && r.despawnedAt == null;
+    }
+
+    /**
+     * A player hit this enemy.
+     * @param {{attackerUid:number, attackerName?:string, skillId:number, damage:number}} hit
+     */
+    recordDamage(uid, { attackerUid, attackerName = '', skillId, damage }) {
+        const r = this.seen(uid);
+        const now = this.clock();
+        r.firstDamagedAt ??= now;
+        r.lastDamagedAt = now;
+        r.totalDamage += damage;
+        r.hits++;
+        r.lastHit = { uid: attackerUid, name: attackerName, skillId };
+    }
+
+    /** The enemy died; the last player hit is its killer. */
+    markDead(uid) {
+        const r = this.byUid.get(uid);
+        if (!r || r.diedAt != null) return;
+        r.diedAt = this.clock();
+        r.hp = 0;
+        r.hpTimeline.push([r.diedAt, 0]);
+        if (r.lastHit) {
+            r.killer = { ...r.lastHit, skillName: skillConfig[r.lastHit.skillId] ?? String(r.lastHit.skillId) };
+        }
+    }
+
+    /** Every live enemy left (instance change, server change...). */
+    despawnAll() {
+        const now = this.clock();
+        for (const r of this.byUid.values()) {
+            if (r.diedAt == null && r.despawnedAt == null) r.despawnedAt = now;
+        }
+    }
+
+    /**
+     * New statistics session: dead and gone enemies are dropped, live ones start over
+     * (they are still around, with their name and HP).
+     */
+    resetSession() {
+        const now = this.clock();
+        this.records = [];
+        for (const [uid, r] of this.byUid) {
+            if (r.diedAt != null || r.despawnedAt != null) {
+                this.byUid.delete(uid);
+                continue;
+            }
+            Object.assign(r, {
+                firstSeenAt: now, firstDamagedAt: null, lastDamagedAt: null, killer: null, lastHit: null,
+                totalDamage: 0, hits: 0, hpTimeline: r.hp != null ? [[now, r.hp]] : [],
+            });
+            this.records.push(r);
+        }
+    }
+
+    /** Live enemies, in the shape of the old `/api/enemies` payload. */
+    getLive() {
+        const result = {};
+        for (const [uid, r] of this.byUid) {
+            if (r.diedAt != null || r.despawnedAt != null) continue;
+            result[uid] = { name: r.name || undefined, hp: r.hp ?? undefined, max_hp: r.maxHp || undefined };
+        }
+        return result;
+    }
+
+    /**
+     * Every enemy of the session, with its lifetime and time to kill.
+     * @param {{damagedOnly?:boolean, timeline?:boolean}} [opts]
+     */
+    getSummary({ damagedOnly = false, timeline = true } = {}) {
+        const now = this.clock();
+        return this.records
+            .filter((r) => !damagedOnly || r.firstDamagedAt != null)
+            .map(({ lastHit, hpTimeline, ...r }) => {
+                const endedAt = r.diedAt ?? r.despawnedAt;
+                return {
+                    ...r,
+                    alive: endedAt == null,
+                    lifetimeMs: (endedAt ?? now) - r.firstSeenAt,
+                    ttkMs: r.diedAt != null && r.firstDamagedAt != null ? r.diedAt - r.firstDamagedAt : null,
+                    ...(timeline ? { hpTimeline: hpTimeline.slice() } : {}),
+                };
+            });
+    }
+
+    #setHp(r, hp) {
+        r.hp = hp;
+        const now = this.clock();
+        const last = r.hpTimeline.at(-1);
+        if (last && last[1] === hp) return;
+        if (last && now - last[0] < HP_SAMPLE_INTERVAL_MS && hp > 0) {
+            last[1] = hp; // même créneau: on garde la valeur la plus récente
+            return;
+        }
+        r.hpTimeline.push([now, hp]);
+        // combat long: on divise la résolution par deux plutôt que de perdre le début
+        if (r.hpTimeline.length > MAX_HP_SAMPLES) r.hpTimeline = r.hpTimeline.filter((_, i) => i % 2 === 0 || i === r.hpTimeline.length - 1);
+    }
+
+    #trim() {
+        if (this.records.length <= MAX_RECORDS) return;
+        const index = this.records.findIndex((r) => r.diedAt != null || r.despawnedAt != null);
+        const [dropped] = this.records.splice(index === -1 ? 0 : index, 1);
+        if (this.byUid.get(dropped.uid) === dropped) this.byUid.delete(dropped.uid);
+    }
+
+    /** Vue Map-like sur un champ des ennemis vivants. */
+    #view(field, write) {
+        const registry = this;
+        return {
+            get: (uid) => {
+                const v = registry.byUid.get(uid)?.[field];
+                return v || v === 0 ? v : undefined;
+            },
+            has: (uid) => registry.isAlive(uid) && registry.byUid.get(uid)[field] != null,
+            set(uid, value) {
+                write(registry.seen(uid), value);
+                return this;
+            },
+            delete: (uid) => {
+                const r = registry.byUid.get(uid);
+                if (r && r.diedAt == null) r.despawnedAt ??= registry.clock();
+                return !!r;
+            },
+            clear: () => registry.despawnAll(),
+            keys: () => [...registry.byUid].filter(([uid]) => registry.isAlive(uid)).map(([uid]) => uid).values(),
+        };
+    }
+}
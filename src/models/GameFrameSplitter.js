@@ -0,0 +1,110 @@
+const HEADER_SIZE = 6; // u32 taille + u16 type
+const MAX_MESSAGE_TYPE = 6; // MessageType.FrameDown
+
+/**
+ * Cuts a reassembled game byte stream into frames (u32 BE size, u16 type, body).
+ *
+ * After a gap or an impossible length the splitter does not throw the buffer away:
+ * it scans forward for the next offset that looks like a frame header, confirmed by
+ * the header of the frame that follows it when available, and resumes from there.
+ */
+export class GameFrameSplitter {
+    /**
+     * @param {object} opts
+     * @param {(frame:Buffer) => void} opts.onFrame Receives every complete frame.
+     * @param {(reason:string, droppedBytes:number) => void} [opts.onResync] Called once back in sync, with the bytes dropped.
+     * @param {number} [opts.maxFrameSize]
+     */
+    constructor({ onFrame, onResync = () => {}, maxFrameSize = 0x0fffff }) {
+        this.onFrame = onFrame;
+        this.onResync = onResync;
+        this.maxFrameSize = maxFrameSize;
+
+        this.buffer = Buffer.alloc(0);
+        this.resyncing = false;
+        this.resyncReason = '';
+        this.resyncDropped = 0;
+        this.stats = { frames: 0, resyncs: 0, droppedBytes: 0 };
+    }
+
+    push(chunk) {
+        if (!chunk?.length) return;
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+        this.#drain();
+    }
+
+    /** The stream lost bytes: the partial frame is discarded and the next header searched for. */
+    gap() {
+        this.#startResync('gap');
+        this.#drop(this.buffer.length);
+    }
+
+    reset() {
+        this.buffer = Buffer.alloc(0);
+        this.resyncing = false;
+        this.resyncDropped = 0;
+    }
+
+    #startResync(reason) {
+        if (!this.resyncing) {
+            this.resyncReason = reason;
+            this.resyncDropped = 0;
+        }
+        this.resyncing = true;
+    }
+
+    #validSize(size) {
+        return size >= HEADER_SIZE && size <= this.maxFrameSize;
+    }
+
+    #looksLikeHeader(offset) {
+        if (this.buffer.length - offset < HEADER_SIZE) return false;
+        const type = this.buffer.readUInt16BE(offset + 4) & 0x7fff;
+        return this.#validSize(this.buffer.readUInt32BE(offset)) && type >= 1 && type <= MAX_MESSAGE_TYPE;
+    }
+
+    #drop(bytes) {
+        if (bytes <= 0) return;
+        this.buffer = this.buffer.subarray(bytes);
+        this.stats.droppedBytes += bytes;
+        this.resyncDropped += bytes;
+    }
+
+    /** Finds the next trustworthy header. Returns false when more data is needed. */
+    #resync() {
+        for (let offset = 0; offset + HEADER_SIZE <= this.buffer.length; offset++) {
+            if (!this.#looksLikeHeader(offset)) continue;
+
+            const next = offset + this.buffer.readUInt32BE(offset);
+            if (next + HEADER_SIZE <= this.buffer.length && !this.#looksLikeHeader(next)) continue;
+
+            // en-tête suivant cohérent, ou pas encore reçu: on repart d'ici
+            this.#drop(offset);
+            this.resyncing = false;
+            this.stats.resyncs++;
+            this.onResync(this.resyncReason, this.resyncDropped);
+            return true;
+        }
+        // garder la fin qui pourrait être le début d'un en-tête
+        this.#drop(Math.max(0, this.buffer.length - (HEADER_SIZE - 1)));
+        return false;
+    }
+
+    #drain() {
+        while (this.buffer.length >= HEADER_SIZE) {
+            if (this.resyncing && !this.#resync()) return;
+
+            const size = this.buffer.readUInt32BE(0);
+            if (!this.#validSize(size)) {
+                this.#startResync(`invalid length ${size}`);
+                continue;
+            }
+            if (this.buffer.length < size) return;
+
+            const frame = this.buffer.subarray(0, size);
+            this.buffer = this.buffer.subarray(size);
+            this.stats.frames++;
+            this.onFrame(frame);
+        }
+    }
+}
@@ -0,0 +1,85 @@
+import fsPromises from 'fs/promises';
+
+/**
+ * Reassembled game stream file (`stream.bin`, next to `fight.log`).
+ *
+ * Header (16 bytes): magic "BPGS", u16 version, u16 reserved, f64 base time (ms).
+ * Record: u32 delay since base time (ms), u16 flow id (game connection, v2+),
+ * then the frame as handed to `PacketProcessor.processPacket` (it starts with
+ * its own u32 BE size).
+ * All integers are big-endian, like the game framing.
+ */
+export const GAME_STREAM_MAGIC = Buffer.from('BPGS', 'ascii');
+export const GAME_STREAM_VERSION = 2;
+export const GAME_STREAM_FILENAME = 'stream.bin';
+
+const HEADER_SIZE = 16;
+const CHUNK_SIZE = 1024 * 1024;
+
+export function encodeGameStreamHeader(baseTime) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    GAME_STREAM_MAGIC.copy(header, 0);
+    header.writeUInt16BE(GAME_STREAM_VERSION, 4);
+    header.writeDoubleBE(baseTime, 8);
+    return header;
+}
+
+export function encodeGameStreamRecord(baseTime, timestamp, frame, flowId = 0) {
+    const head = Buffer.alloc(6);
+    head.writeUInt32BE(Math.max(0, Math.min(0xffffffff, Math.round(timestamp - baseTime))));
+    head.writeUInt16BE(flowId & 0xffff, 4);
+    return Buffer.concat([head, frame]);
+}
+
+/** Streams the `{ timestamp, flowId, frame }` records of a game stream file. */
+export class GameStreamReader {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.baseTime = 0;
+    }
+
+    async *records() {
+        const fh = await fsPromises.open(this.filePath, 'r');
+        try {
+            let buffer = Buffer.alloc(0);
+            let position = 0;
+            let eof = false;
+
+            const fill = async (n) => {
+                while (buffer.length < n && !eof) {
+                    const chunk = Buffer.alloc(Math.max(CHUNK_SIZE, n - buffer.length));
+                    const { bytesRead } = await fh.read(chunk, 0, chunk.length, position);
+                    position += bytesRead;
+                    if (bytesRead === 0) eof = true;
+                    else buffer = Buffer.concat([buffer, chunk.subarray(0, bytesRead)]);
+                }
+                return buffer.length >= n;
+            };
+
+            if (!(await fill(HEADER_SIZE)) || !buffer.subarray(0, 4).equals(GAME_STREAM_MAGIC)) {
+                throw new Error(`${this.filePath} is not a game stream file`);
+            }
+            const version = buffer.readUInt16BE(4);
+            if (version < 1 || version > GAME_STREAM_VERSION) {
+                throw new Error(`Unsupported game stream version ${version}`);
+            }
+            this.baseTime = buffer.readDoubleBE(8);
+            buffer = buffer.subarray(HEADER_SIZE);
+
+            const headSize = version >= 2 ? 6 : 4; // v1: pas d'id de flux
+            while (await fill(headSize + 4)) {
+                const frameSize = buffer.readUInt32BE(headSize);
+                if (frameSize < 6) throw new Error(`Corrupt game stream record (frame size ${frameSize})`);
+                if (!(await fill(headSize + frameSize))) break; // enregistrement tronqué (arrêt brutal)
+
+                const timestamp = this.baseTime + buffer.readUInt32BE(0);
+                const flowId = version >= 2 ? buffer.readUInt16BE(4) : 0;
+                const frame = Buffer.from(buffer.subarray(headSize, headSize + frameSize));
+                buffer = buffer.subarray(headSize + frameSize);
+                yield { timestamp, flowId, frame };
+            }
+        } finally {
+            await fh.close();
+        }
+    }
+}
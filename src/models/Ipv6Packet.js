@@ -0,0 +1,165 @@
+const HEADER_SIZE = 40;
+
+// en-têtes d'extension dont la longueur est (n + 1) * 8 octets
+const GENERIC_EXTENSIONS = new Set([
+    0, // Hop-by-Hop Options
+    43, // Routing
+    60, // Destination Options
+    135, // Mobility
+    139, // HIP
+    140, // Shim6
+]);
+const EXT_FRAGMENT = 44;
+const EXT_AUTH = 51;
+const EXT_ESP = 50;
+const NO_NEXT_HEADER = 59;
+const PROTOCOL_TCP = 6;
+
+/**
+ * Formats a 16-byte IPv6 address in its canonical text form (RFC 5952).
+ * @param {Buffer} buf
+ * @param {number} [offset]
+ * @returns {string}
+ */
+export function formatIpv6(buf, offset = 0) {
+    const groups = [];
+    for (let i = 0; i < 8; i++) groups.push(buf.readUInt16BE(offset + i * 2));
+
+    // plus longue suite de groupes nuls (au moins 2) remplacée par "::"
+    let bestStart = -1;
+    let bestLen = 1;
+    for (let i = 0; i < 8; ) {
+        if (groups[i] !== 0) {
+            i++;
+            continue;
+        }
+        let j = i;
+        while (j < 8 && groups[j] === 0) j++;
+        if (j - i > bestLen) {
+            bestStart = i;
+            bestLen = j - i;
+        }
+        i = j;
+    }
+
+    const hex = groups.map((g) => g.toString(16));
+    if (bestStart === -1) return hex.join(':');
+    return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLen).join(':')}`;
+}
+
+/**
+ * Skips IPv6 extension headers up to the upper-layer header.
+ * Stops at a Fragment header: what follows it must be reassembled first.
+ *
+ * @param {Buffer} buf
+ * @param {number} next Next Header value of the preceding header.
+ * @param {number} pos Offset of the first header to examine.
+ * @param {number} [end] End of the packet.
+ * @returns {{protocol:number, offset:number, fragment:{id:number, offset:number, more:boolean}|null}|null}
+ *   Null if truncated, encrypted (ESP) or without upper layer.
+ */
+export function skipIpv6Extensions(buf, next, pos, end = buf.length) {
+    while (true) {
+        if (GENERIC_EXTENSIONS.has(next)) {
+            if (pos + 2 > end) return null;
+            const len = (buf[pos + 1] + 1) * 8;
+            next = buf[pos];
+            pos += len;
+        } else if (next === EXT_AUTH) {
+            if (pos + 2 > end) return null;
+            const len = (buf[pos + 1] + 2) * 4;
+            next = buf[pos];
+            pos += len;
+        } else if (next === EXT_FRAGMENT) {
+            if (pos + 8 > end) return null;
+            const field = buf.readUInt16BE(pos + 2);
+            const fragment = { id: buf.readUInt32BE(pos + 4), offset: field & 0xfff8, more: (field & 0x1) !== 0 };
+            return { protocol: buf[pos], offset: pos + 8, fragment };
+        } else if (next === EXT_ESP || next === NO_NEXT_HEADER) {
+            return null;
+        } else {
+            return pos <= end ? { protocol: next, offset: pos, fragment: null } : null;
+        }
+        if (pos > end) return null;
+    }
+}
+
+/**
+ * Parses an IPv6 header and walks its extension headers.
+ *
+ * @param {Buffer} buf The frame.
+ * @param {number} [offset] Offset of the IPv6 header.
+ * @returns {{srcaddr:string, dstaddr:string, protocol:number, payloadOffset:number, payloadLength:number,
+ *   fragment:{id:number, offset:number, more:boolean}|null}|null}
+ *   For a fragment, `protocol` and the payload describe the fragmentable part, which starts
+ *   right after the Fragment header and may hold further extension headers.
+ *   Null if the packet is truncated, encrypted (ESP) or carries no upper layer.
+ */
+export function parseIpv6(buf, offset = 0) {
+    if (buf.length - offset < HEADER_SIZE || buf[offset] >> 4 !== 6) return null;
+
+    const end = Math.min(buf.length, offset + HEADER_SIZE + buf.readUInt16BE(offset + 4));
+    const upper = skipIpv6Extensions(buf, buf[offset + 6], offset + HEADER_SIZE, end);
+    if (!upper) return null;
+
+    return {
+        srcaddr: formatIpv6(buf, offset + 8),
+        dstaddr: formatIpv6(buf, offset + 24),
+        protocol: upper.protocol,
+        payloadOffset: upper.offset,
+        payloadLength: end - upper.offset,
+        fragment: upper.fragment,
+    };
+}
+
+/**
+ * Extracts the TCP segment of an IPv6 packet, reassembling fragments in `fragmentCache`.
+ * Cache entries are keyed `v6-<id>-<src>-<dst>` and carry a `timestamp`, so the
+ * caller can expire them along with its IPv4 fragments.
+ *
+ * @param {Map<string, object>} fragmentCache Pending fragments, shared across calls.
+ * @param {Buffer} buf The frame.
+ * @param {number} offset Offset of the IPv6 header.
+ * @param {number} [now] Capture time in ms.
+ * @returns {{srcaddr:string, dstaddr:string, payload:Buffer}|null} Null if not TCP or not complete yet.
+ */
+export function extractIpv6Segment(fragmentCache, buf, offset, now = Date.now()) {
+    const ip = parseIpv6(buf, offset);
+    if (!ip) return null;
+    const { srcaddr, dstaddr } = ip;
+    const payload = buf.subarray(ip.payloadOffset, ip.payloadOffset + ip.payloadLength);
+
+    if (!ip.fragment) {
+        return ip.protocol === PROTOCOL_TCP ? { srcaddr, dstaddr, payload: Buffer.from(payload) } : null;
+    }
+
+    const key = `v6-${ip.fragment.id}-${srcaddr}-${dstaddr}`;
+    if (!fragmentCache.has(key)) {
+        fragmentCache.set(key, { fragments: [], timestamp: now, totalLength: null, nextHeader: null });
+    }
+    const cacheEntry = fragmentCache.get(key);
+    cacheEntry.timestamp = now;
+    cacheEntry.fragments.push({ offset: ip.fragment.offset, payload: Buffer.from(payload) });
+    if (ip.fragment.offset === 0) cacheEntry.nextHeader = ip.protocol;
+    if (!ip.fragment.more) cacheEntry.totalLength = ip.fragment.offset + payload.length;
+    if (cacheEntry.totalLength === null || cacheEntry.nextHeader === null) return null;
+
+    // les fragments peuvent arriver dans le désordre: on attend qu'ils couvrent tout
+    const fragments = [...cacheEntry.fragments].sort((a, b) => a.offset - b.offset);
+    let covered = 0;
+    for (const fragment of fragments) {
+        if (fragment.offset > covered) return null;
+        covered = Math.max(covered, fragment.offset + fragment.payload.length);
+    }
+    if (covered < cacheEntry.totalLength) return null;
+
+    const fullPayload = Buffer.alloc(cacheEntry.totalLength);
+    for (const fragment of fragments) {
+        fragment.payload.copy(fullPayload, fragment.offset, 0, cacheEntry.totalLength - fragment.offset);
+    }
+    fragmentCache.delete(key);
+
+    const upper = skipIpv6Extensions(fullPayload, cacheEntry.nextHeader, 0);
+    if (!upper || upper.fragment || upper.protocol !== PROTOCOL_TCP) return null;
+    return { srcaddr, dstaddr, payload: fullPayload.subarray(upper.offset) };
+}
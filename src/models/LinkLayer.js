@@ -0,0 +1,58 @@
+import os from 'os';
+import decoders from 'cap/lib/Decoders.js';
+
+const PROTOCOL = decoders.PROTOCOL;
+
+/** Link-layer types as found in pcap/pcapng headers (see tcpdump.org/linktypes.html). */
+export const LINK_TYPE = Object.freeze({
+    NULL: 0,
+    ETHERNET: 1,
+    RAW: 101,
+    LINUX_SLL: 113,
+    IPV4: 228,
+    IPV6: 229,
+});
+
+/** Byte order of this host, which is the one of a live DLT_NULL capture. */
+export const HOST_BYTE_ORDER = os.endianness();
+
+const NULL_AF_INET = 2;
+// valeurs de AF_INET6 selon l'OS de capture (Linux, Windows, BSD, FreeBSD, macOS)
+const NULL_AF_INET6 = new Set([10, 23, 24, 28, 30]);
+
+/**
+ * Locates the network layer inside a captured frame.
+ * @param {Buffer} frameBuffer The raw frame.
+ * @param {number} linkType One of LINK_TYPE.
+ * @param {'LE'|'BE'} [byteOrder] Byte order of the capturing host, as declared by the capture file;
+ *   only DLT_NULL depends on it. Defaults to this host's.
+ * @returns {{type:number, offset:number}|null} The EtherType and offset of the IP header, or null if unsupported.
+ */
+export function locateNetworkLayer(frameBuffer, linkType, byteOrder = HOST_BYTE_ORDER) {
+    switch (linkType) {
+        case LINK_TYPE.ETHERNET: {
+            const ethPacket = decoders.Ethernet(frameBuffer);
+            return { type: ethPacket.info.type, offset: ethPacket.offset };
+        }
+        case LINK_TYPE.LINUX_SLL:
+            if (frameBuffer.length < 16) return null;
+            return { type: frameBuffer.readUInt16BE(14), offset: 16 };
+        case LINK_TYPE.NULL: {
+            if (frameBuffer.length < 4) return null;
+            const family = byteOrder === 'BE' ? frameBuffer.readUInt32BE(0) : frameBuffer.readUInt32LE(0);
+            if (family === NULL_AF_INET) return { type: PROTOCOL.ETHERNET.IPV4, offset: 4 };
+            if (NULL_AF_INET6.has(family)) return { type: PROTOCOL.ETHERNET.IPV6, offset: 4 };
+            return null;
+        }
+        case LINK_TYPE.RAW:
+        case LINK_TYPE.IPV4:
+        case LINK_TYPE.IPV6: {
+            const version = frameBuffer.length ? frameBuffer[0] >> 4 : 0;
+            if (version === 4) return { type: PROTOCOL.ETHERNET.IPV4, offset: 0 };
+            if (version === 6) return { type: PROTOCOL.ETHERNET.IPV6, offset: 0 };
+            return null;
+        }
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,83 @@
+// Groupe du (des) joueur(s) local(aux): équipe ou raid, pour distinguer les membres des joueurs
+// de passage (monde ouvert, world boss) qui passent aussi par l'AOI.
+
+/** @typedef {'self'|'party'|'raid'|'nearby'} Relation */
+export const RELATIONS = Object.freeze(['self', 'party', 'raid', 'nearby']);
+
+/**
+ * @typedef {object} Team
+ * @property {number|null} teamId
+ * @property {number|null} leaderUid
+ * @property {boolean} raid
+ * @property {number[]} members Char ids; without members, the player has no team.
+ */
+
+const toNum = (v) => {
+    if (v == null) return null;
+    const n = typeof v?.toNumber === 'function' ? v.toNumber() : Number(v);
+    return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Équipe du joueur d'après son VData (CharSerialize de SyncContainerData): champ `TeamData` (CharTeam),
+ * dont `CharIds` liste les membres, joueur local compris, et `TeamType` dit s'il s'agit d'un raid.
+ * @param {object} vData
+ * @param {Record<string, number>} teamTypes `ETeamType` du schéma compilé.
+ * @returns {Team|undefined} undefined: le schéma ne connaît pas le champ (rien à conclure).
+ */
+export function readTeam(vData, teamTypes) {
+    // classes protobufjs: un champ message absent vaut null, un champ inconnu du schéma n'existe pas
+    if (!vData || !('TeamData' in vData)) return undefined;
+    const team = vData.TeamData;
+    const members = [...new Set((team?.CharIds ?? []).map(toNum).filter((uid) => uid > 0))];
+    return {
+        teamId: toNum(team?.TeamId) || null,
+        leaderUid: toNum(team?.LeaderId) || null,
+        raid: teamTypes.Raid != null && toNum(team?.TeamType) === teamTypes.Raid,
+        members,
+    };
+}
+
+export class PartyRoster {
+    constructor() {
+        /** @type {Set<number>} un par client de jeu suivi */
+        this.selfUids = new Set();
+        /** @type {Map<number, Team>} équipe de chaque joueur local */
+        this.teams = new Map();
+    }
+
+    setSelf(uid) {
+        if (uid == null || this.selfUids.has(uid)) return false;
+        this.selfUids.add(uid);
+        return true;
+    }
+
+    /** @param {Team} team Sans membres: le joueur a quitté son équipe. */
+    setTeam(selfUid, team) {
+        this.setSelf(selfUid);
+        if (!team?.members?.length) return this.teams.delete(selfUid);
+        const prev = this.teams.get(selfUid);
+        this.teams.set(selfUid, team);
+        return !prev || prev.raid !== team.raid || prev.members.join() !== team.members.join();
+    }
+
+    /** @returns {Relation} */
+    relation(uid) {
+        uid = Number(uid);
+        if (this.selfUids.has(uid)) return 'self';
+        let relation = 'nearby';
+        for (const team of this.teams.values()) {
+            if (!team.members.includes(uid)) continue;
+            if (!team.raid) return 'party';
+            relation = 'raid';
+        }
+        return relation;
+    }
+
+    describe() {
+        return {
+            self: [...this.selfUids],
+            teams: [...this.teams].map(([selfUid, team]) => ({ selfUid, ...team, members: team.members.slice() })),
+        };
+    }
+}
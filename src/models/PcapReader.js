@@ -0,0 +1,188 @@
+import fsPromises from 'fs/promises';
+
+const PCAP_MAGIC_US = 0xa1b2c3d4;
+const PCAP_MAGIC_NS = 0xa1b23c4d;
+
+const PCAPNG_SHB = 0x0a0d0d0a;
+const PCAPNG_IDB = 0x00000001;
+const PCAPNG_PB = 0x00000002;
+const PCAPNG_SPB = 0x00000003;
+const PCAPNG_EPB = 0x00000006;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+const PCAPNG_OPT_IF_TSRESOL = 9;
+
+const CHUNK_SIZE = 1024 * 1024;
+// au-delà, l'en-tête d'enregistrement est corrompu: inutile de lire le fichier entier pour le savoir
+const MAX_RECORD_SIZE = 256 * 1024;
+const MAX_BLOCK_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Streams the packets of a `.pcap` or `.pcapng` file without loading it whole.
+ *
+ * Each record is `{ linkType, timestamp, data, offset, byteOrder }` where `timestamp` is in
+ * milliseconds since the epoch, `offset` is the file position after the record and
+ * `byteOrder` ('LE' or 'BE') is the one declared by the file, i.e. the capturing host's.
+ * A record longer than the snapshot length (256 KiB at most) means the file is corrupt:
+ * `records()` throws rather than buffering a bogus length.
+ */
+export class PcapReader {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.size = 0;
+        this.format = null;
+
+        this._fh = null;
+        this._buffer = Buffer.alloc(0);
+        this._position = 0; // position fichier du premier octet de _buffer
+        this._eof = false;
+    }
+
+    async open() {
+        this._fh = await fsPromises.open(this.filePath, 'r');
+        this.size = (await this._fh.stat()).size;
+        return this;
+    }
+
+    async close() {
+        if (this._fh) await this._fh.close();
+        this._fh = null;
+    }
+
+    /** Ensures at least `n` bytes are buffered. Returns false at end of file. */
+    async _fill(n) {
+        while (this._buffer.length < n && !this._eof) {
+            const chunk = Buffer.alloc(Math.max(CHUNK_SIZE, n - this._buffer.length));
+            const { bytesRead } = await this._fh.read(chunk, 0, chunk.length, this._position + this._buffer.length);
+            if (bytesRead === 0) this._eof = true;
+            else this._buffer = Buffer.concat([this._buffer, chunk.subarray(0, bytesRead)]);
+        }
+        return this._buffer.length >= n;
+    }
+
+    _consume(n) {
+        const out = this._buffer.subarray(0, n);
+        this._buffer = this._buffer.subarray(n);
+        this._position += n;
+        return out;
+    }
+
+    async *records() {
+        if (!this._fh) await this.open();
+        if (!(await this._fill(4))) return;
+
+        const magic = this._buffer.readUInt32BE(0);
+        if (magic === PCAPNG_SHB) {
+            this.format = 'pcapng';
+            yield* this._pcapngRecords();
+            return;
+        }
+        const magicLE = this._buffer.readUInt32LE(0);
+        if ([PCAP_MAGIC_US, PCAP_MAGIC_NS].includes(magic) || [PCAP_MAGIC_US, PCAP_MAGIC_NS].includes(magicLE)) {
+            this.format = 'pcap';
+            yield* this._pcapRecords();
+            return;
+        }
+        throw new Error(`Unsupported capture file format (magic 0x${magic.toString(16)})`);
+    }
+
+    async *_pcapRecords() {
+        if (!(await this._fill(24))) throw new Error('Truncated pcap header');
+        const header = this._consume(24);
+        const le = [PCAP_MAGIC_US, PCAP_MAGIC_NS].includes(header.readUInt32LE(0));
+        const u32 = (b, o) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o));
+        const nanos = u32(header, 0) === PCAP_MAGIC_NS;
+        const snapLen = u32(header, 16);
+        const linkType = u32(header, 20) & 0x0fffffff;
+        const byteOrder = le ? 'LE' : 'BE';
+        const maxRecord = Math.min(snapLen || MAX_RECORD_SIZE, MAX_RECORD_SIZE);
+
+        while (await this._fill(16)) {
+            const recHeader = this._buffer.subarray(0, 16);
+            const tsSec = u32(recHeader, 0);
+            const tsFrac = u32(recHeader, 4);
+            const inclLen = u32(recHeader, 8);
+            if (inclLen > maxRecord) {
+                const where = `Corrupt pcap record at offset ${this._position}`;
+                throw new Error(`${where}: ${inclLen} bytes exceed the ${maxRecord} bytes limit`);
+            }
+            if (!(await this._fill(16 + inclLen))) break; // dernier paquet tronqué
+
+            this._consume(16);
+            const data = Buffer.from(this._consume(inclLen));
+            const timestamp = tsSec * 1000 + (nanos ? tsFrac / 1e6 : tsFrac / 1e3);
+            yield { linkType, timestamp, data, offset: this._position, byteOrder };
+        }
+    }
+
+    async *_pcapngRecords() {
+        let le = true;
+        let interfaces = [];
+
+        while (await this._fill(12)) {
+            let blockType = this._buffer.readUInt32LE(0);
+            if (blockType === PCAPNG_SHB || this._buffer.readUInt32BE(0) === PCAPNG_SHB) {
+                // le Section Header fixe l'ordre des octets de toute la section
+                le = this._buffer.readUInt32LE(8) === PCAPNG_BYTE_ORDER_MAGIC;
+                blockType = PCAPNG_SHB;
+            } else if (!le) {
+                blockType = this._buffer.readUInt32BE(0);
+            }
+            const u32 = (b, o) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o));
+            const u16 = (b, o) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o));
+            const byteOrder = le ? 'LE' : 'BE';
+
+            const blockLen = u32(this._buffer, 4);
+            if (blockLen < 12 || blockLen % 4 !== 0 || blockLen > MAX_BLOCK_SIZE) {
+                throw new Error(`Corrupt pcapng block length ${blockLen} at offset ${this._position}`);
+            }
+            if (!(await this._fill(blockLen))) break;
+            const block = this._consume(blockLen);
+            const body = block.subarray(8, blockLen - 4);
+
+            switch (blockType) {
+                case PCAPNG_SHB:
+                    interfaces = [];
+                    break;
+                case PCAPNG_IDB: {
+                    const linkType = u16(body, 0);
+                    let tsDivisor = 1e6; // microsecondes par défaut
+                    let o = 8;
+                    while (o + 4 <= body.length) {
+                        const code = u16(body, o);
+                        const len = u16(body, o + 2);
+                        if (code === 0) break;
+                        if (code === PCAPNG_OPT_IF_TSRESOL && len >= 1) {
+                            const v = body[o + 4];
+                            tsDivisor = v & 0x80 ? 2 ** (v & 0x7f) : 10 ** (v & 0x7f);
+                        }
+                        o += 4 + Math.ceil(len / 4) * 4;
+                    }
+                    interfaces.push({ linkType, tsDivisor });
+                    break;
+                }
+                case PCAPNG_EPB:
+                case PCAPNG_PB: {
+                    const ifId = blockType === PCAPNG_EPB ? u32(body, 0) : u16(body, 0);
+                    const iface = interfaces[ifId];
+                    if (!iface) break;
+                    const ts = u32(body, 4) * 2 ** 32 + u32(body, 8);
+                    const capLen = u32(body, 12);
+                    const data = Buffer.from(body.subarray(20, 20 + capLen));
+                    const timestamp = (ts / iface.tsDivisor) * 1000;
+                    yield { linkType: iface.linkType, timestamp, data, offset: this._position, byteOrder };
+                    break;
+                }
+                case PCAPNG_SPB: {
+                    const iface = interfaces[0];
+                    if (!iface) break;
+                    const origLen = u32(body, 0);
+                    const data = Buffer.from(body.subarray(4, 4 + Math.min(origLen, body.length - 4)));
+                    yield { linkType: iface.linkType, timestamp: NaN, data, offset: this._position, byteOrder };
+                    break;
+                }
+                default:
+                    break; // blocs de statistiques, name resolution, etc.
+            }
+        }
+    }
+}
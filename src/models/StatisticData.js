@@ -23,6 +23,8 @@ export class StatisticData {
             value: 0,
             max: 0,
         };
+        this.overheal = 0; // 过量治疗 (仅治疗使用)
+        this.absorbed = 0; // 被护盾吸收的伤害 (仅伤害使用)
     }
 
     /** 添加数据记录
@@ -32,7 +34,7 @@ export class StatisticData {
      * @param {number} hpLessenValue - 生命值减少量（仅伤害使用）
      */
     addRecord(value, isCrit, isLucky, hpLessenValue = 0) {
-        const now = Date.now();
+        const now = this.user?.clock ? this.user.clock() : Date.now();
 
         if (isCrit) {
             if (isLucky) {
@@ -72,7 +74,7 @@ export class StatisticData {
     }
 
     updateRealtimeStats() {
-        const now = Date.now();
+        const now = this.user?.clock ? this.user.clock() : Date.now();
 
         while (this.realtimeWindow.length > 0 && now - this.realtimeWindow[0].time > 1000) {
             this.realtimeWindow.shift();
@@ -118,5 +120,7 @@ export class StatisticData {
             value: 0,
             max: 0,
         };
+        this.overheal = 0;
+        this.absorbed = 0;
     }
 }
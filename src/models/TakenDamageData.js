@@ -0,0 +1,103 @@
+import skill_names from '../tables/skill_names.json' with { type: 'json' };
+
+const skillConfig = skill_names.skill_names;
+
+const bucket = () => ({ total: 0, count: 0 });
+
+/**
+ * Damage taken by one player, broken down by attacker, attacker skill and element.
+ * Fall damage has no attacker and goes to its own bucket.
+ * The part soaked by shields is kept apart, per shielder when it is known.
+ */
+export class TakenDamageData {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * @param {number} damage
+     * @param {{attackerUid?:number, attackerIsPlayer?:boolean, attackerName?:string, skillId?:number,
+     *   element?:string, isFall?:boolean, absorbed?:number, shielderUid?:number, shielderName?:string}} [details]
+     *   absorbed: part du coup qui n'a pas retiré de PV (bouclier).
+     */
+    add(damage, details = {}) {
+        const { attackerUid = 0, attackerIsPlayer = false, attackerName, skillId = 0, element, isFall = false } = details;
+
+        if (details.absorbed > 0) this.#addAbsorbed(details.absorbed, details.shielderUid, details.shielderName);
+
+        if (isFall) {
+            this.fall.total += damage;
+            this.fall.count++;
+            return;
+        }
+
+        let attacker = this.byAttacker.get(attackerUid);
+        if (!attacker) {
+            attacker = { ...bucket(), uid: attackerUid, isPlayer: attackerIsPlayer, name: '', skills: new Map() };
+            this.byAttacker.set(attackerUid, attacker);
+        }
+        if (attackerName) attacker.name = attackerName; // le nom peut arriver après les premiers coups
+        attacker.total += damage;
+        attacker.count++;
+
+        if (!attacker.skills.has(skillId)) attacker.skills.set(skillId, bucket());
+        const attackerSkill = attacker.skills.get(skillId);
+        attackerSkill.total += damage;
+        attackerSkill.count++;
+
+        if (!this.bySkill.has(skillId)) this.bySkill.set(skillId, bucket());
+        const skill = this.bySkill.get(skillId);
+        skill.total += damage;
+        skill.count++;
+
+        if (element) {
+            if (!this.byElement.has(element)) this.byElement.set(element, bucket());
+            const elem = this.byElement.get(element);
+            elem.total += damage;
+            elem.count++;
+        }
+    }
+
+    getSummary() {
+        const skillName = (id) => skillConfig[id] ?? String(id);
+        return {
+            byAttacker: Object.fromEntries([...this.byAttacker].map(([uid, a]) => [uid, {
+                uid,
+                name: a.name,
+                isPlayer: a.isPlayer,
+                total: a.total,
+                count: a.count,
+                skills: Object.fromEntries([...a.skills].map(([id, s]) => [id, { ...s, name: skillName(id) }])),
+            }])),
+            bySkill: Object.fromEntries([...this.bySkill].map(([id, s]) => [id, { ...s, name: skillName(id) }])),
+            byElement: Object.fromEntries([...this.byElement].map(([element, s]) => [element, { ...s }])),
+            fall: { ...this.fall },
+            absorbed: { ...this.absorbed },
+            byShielder: Object.fromEntries([...this.byShielder].map(([uid, s]) => [uid, { ...s }])),
+        };
+    }
+
+    #addAbsorbed(absorbed, shielderUid, shielderName) {
+        this.absorbed.total += absorbed;
+        this.absorbed.count++;
+        if (!shielderUid) return;
+
+        let shielder = this.byShielder.get(shielderUid);
+        if (!shielder) {
+            shielder = { ...bucket(), uid: shielderUid, name: '' };
+            this.byShielder.set(shielderUid, shielder);
+        }
+        if (shielderName) shielder.name = shielderName;
+        shielder.total += absorbed;
+        shielder.count++;
+    }
+
+    reset() {
+        this.byAttacker = new Map();
+        this.bySkill = new Map();
+        this.byElement = new Map();
+        this.fall = bucket();
+        this.absorbed = bucket();
+        this.byShielder = new Map();
+    }
+}
@@ -0,0 +1,140 @@
+/** Signed distance between two 32-bit sequence numbers (handles wraparound). */
+export const seqDiff = (a, b) => (a - b) | 0;
+
+/**
+ * Reorders the payloads of one TCP direction into a contiguous byte stream.
+ *
+ * - 32-bit sequence wraparound,
+ * - duplicate and overlapping retransmissions (fully or partially already delivered),
+ * - out-of-order segments, buffered until the hole is filled,
+ * - permanently lost segments: once a hole has been pending for `gapTimeout` ms, or
+ *   too much data is buffered behind it, the hole is skipped and `onGap` is called
+ *   so the consumer can resynchronise.
+ */
+export class TcpReassembler {
+    /**
+     * @param {object} opts
+     * @param {(data:Buffer) => void} opts.onData Receives contiguous data, in order.
+     * @param {(skippedBytes:number) => void} [opts.onGap] Called when a hole is skipped.
+     * @param {number} [opts.nextSeq] Sequence number of the next expected byte (first segment otherwise).
+     * @param {number} [opts.gapTimeout] How long a hole may stay open, in ms.
+     * @param {number} [opts.maxBuffered] Bytes buffered behind a hole before it is skipped.
+     */
+    constructor({ onData, onGap = () => {}, nextSeq = null, gapTimeout = 3000, maxBuffered = 4 * 1024 * 1024 }) {
+        this.onData = onData;
+        this.onGap = onGap;
+        this.gapTimeout = gapTimeout;
+        this.maxBuffered = maxBuffered;
+
+        this.nextSeq = nextSeq === null ? null : nextSeq >>> 0;
+        this.pending = new Map(); // seq -> payload
+        this.buffered = 0;
+        this.lastProgress = 0;
+        this.gapSince = 0;
+
+        this.stats = { delivered: 0, duplicates: 0, outOfOrder: 0, gaps: 0, skippedBytes: 0 };
+    }
+
+    /**
+     * Adds a segment payload.
+     * @param {number} seq Sequence number of the first payload byte.
+     * @param {Buffer} payload Segment payload.
+     * @param {number} [now] Capture time in ms.
+     */
+    push(seq, payload, now = Date.now()) {
+        if (!payload?.length) return;
+        seq >>>= 0;
+        if (this.nextSeq === null) {
+            this.nextSeq = seq;
+            this.lastProgress = now;
+        }
+
+        const offset = seqDiff(seq, this.nextSeq);
+        if (offset + payload.length <= 0) {
+            this.stats.duplicates++;
+            return;
+        }
+        if (offset < 0) {
+            // retransmission qui chevauche des données déjà livrées
+            payload = payload.subarray(-offset);
+            seq = this.nextSeq;
+        } else if (offset > 0) {
+            this.stats.outOfOrder++;
+        }
+
+        const existing = this.pending.get(seq);
+        if (!existing || existing.length < payload.length) {
+            this.buffered += payload.length - (existing?.length ?? 0);
+            this.pending.set(seq, payload);
+        } else {
+            this.stats.duplicates++;
+        }
+
+        this.#drain(now);
+        this.checkGap(now);
+    }
+
+    /**
+     * Skips the current hole if it has been open too long or too much data waits behind it.
+     * @param {number} [now] Current time in ms.
+     */
+    checkGap(now = Date.now()) {
+        if (!this.pending.size) {
+            this.gapSince = 0;
+            return;
+        }
+        if (!this.gapSince) this.gapSince = now;
+        if (now - this.gapSince < this.gapTimeout && this.buffered <= this.maxBuffered) return;
+
+        let closest = null;
+        for (const seq of this.pending.keys()) {
+            const offset = seqDiff(seq, this.nextSeq);
+            if (closest === null || offset < closest) closest = offset;
+        }
+        if (closest === null || closest <= 0) return;
+
+        this.stats.gaps++;
+        this.stats.skippedBytes += closest;
+        this.nextSeq = (this.nextSeq + closest) >>> 0;
+        this.gapSince = 0;
+        this.onGap(closest);
+        this.#drain(now);
+        if (this.pending.size) this.gapSince = now;
+    }
+
+    /** Drops everything buffered and restarts at `nextSeq` (or at the next segment). */
+    reset(nextSeq = null) {
+        this.nextSeq = nextSeq === null ? null : nextSeq >>> 0;
+        this.pending.clear();
+        this.buffered = 0;
+        this.gapSince = 0;
+    }
+
+    /** Delivers every segment that is now contiguous, in sequence order, as one chunk. */
+    #drain(now) {
+        // après un push ou un saut de trou, seul un segment à nextSeq peut débloquer la suite
+        if (!this.pending.has(this.nextSeq)) return;
+
+        const start = this.nextSeq;
+        const queue = Array.from(this.pending.keys()).sort((a, b) => seqDiff(a, start) - seqDiff(b, start));
+        const chunks = [];
+        for (const seq of queue) {
+            const offset = seqDiff(seq, this.nextSeq);
+            if (offset > 0) break;
+
+            const payload = this.pending.get(seq);
+            this.pending.delete(seq);
+            this.buffered -= payload.length;
+            if (offset + payload.length <= 0) continue; // déjà couvert par un autre segment
+
+            const data = payload.subarray(-offset);
+            this.nextSeq = (this.nextSeq + data.length) >>> 0;
+            this.stats.delivered += data.length;
+            chunks.push(data);
+        }
+
+        this.lastProgress = now;
+        this.gapSince = 0;
+        this.onData(chunks.length === 1 ? chunks[0] : Buffer.concat(chunks));
+    }
+}
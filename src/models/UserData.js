@@ -1,4 +1,6 @@
 import { StatisticData } from './StatisticData.js';
+import { BuffTracker } from './BuffTracker.js';
+import { TakenDamageData } from './TakenDamageData.js';
 import skill_names from '../tables/skill_names.json' with { type: 'json' };
 
 const skillConfig = skill_names.skill_names;
@@ -10,6 +12,12 @@ const STAT_TYPES = {
 
 // éviter le “magic number”
 const HEAL_OFFSET = 1_000_000_000;
+// dégâts des invocations/familiers: même skillId que le propriétaire, rangés à part
+const SUMMON_OFFSET = 2 * HEAL_OFFSET;
+
+// récapitulatif de mort: évènements gardés avant chaque mort
+const DEATH_RECAP_WINDOW_MS = 15_000;
+const MAX_DEATHS_KEPT = 50;
 
 function getSubProfessionBySkillId(skillId) {
     switch (skillId) {
@@ -48,23 +56,50 @@ function getSubProfessionBySkillId(skillId) {
     }
 }
 
+/** 过量治疗百分比 */
+function overhealRate(stat) {
+    return stat.stats.total > 0 ? (stat.overheal / stat.stats.total) * 100 : 0;
+}
+
+function addToPair(map, uid, value) {
+    let entry = map.get(uid);
+    if (!entry) {
+        entry = { total: 0, count: 0 };
+        map.set(uid, entry);
+    }
+    entry.total += value;
+    entry.count++;
+    return entry;
+}
+
 export class UserData {
-    constructor(uid) {
+    constructor(uid, clock = Date.now) {
         this.uid = uid;
+        this.clock = clock; // horloge des statistiques (temps de capture lors d'un recalcul)
         this.name = '';
         this.damageStats = new StatisticData(this, STAT_TYPES.DAMAGE);
         this.healingStats = new StatisticData(this, STAT_TYPES.HEALING);
+        this.damageByTarget = new Map(); // 目标 uid -> StatisticData (过滤目标用)
+        this.damageBySource = new Map(); // 伤害来源 (Skill/Bullet/Buff...) -> { total, count }
+        this.damageByElement = new Map(); // 元素 -> { total, count }
         this.takenDamage = 0; // 承伤
+        this.takenStats = new TakenDamageData(); // 承伤明细 (来源/技能/元素)
+        this.healingByTarget = new Map(); // 治疗目标 uid -> { total, count }
+        this.healingReceived = new Map(); // 治疗来源 uid -> { total, count, lastAt } (0 = 非玩家)
+        this.shieldGiven = { total: 0, count: 0 }; // 本玩家护盾为队友吸收的伤害
         this.deadCount = 0;   // 死亡次数
+        this.deaths = [];     // 死亡记录 (最近 MAX_DEATHS_KEPT 次)
+        this.recentEvents = []; // 承伤/治疗/血量, 仅保留 DEATH_RECAP_WINDOW_MS
         this.profession = '...';
         this.skillUsage = new Map(); // 技能使用情况
         this.fightPoint = 0;  // 总评分
         this.subProfession = '';
         this.attr = {};
-        this.lastUpdateTime = Date.now();
+        this.buffs = new BuffTracker(clock); // buffs/debuffs reçus
+        this.lastUpdateTime = clock();
     }
 
-    _touch() { this.lastUpdateTime = Date.now(); }
+    _touch() { this.lastUpdateTime = this.clock(); }
 
     updateSubProfession(skillId) {
         const subProfession = getSubProfessionBySkillId(skillId);
@@ -73,24 +108,52 @@ export class UserData {
         }
     }
 
-    /** 添加伤害记录 */
-    addDamage(skillId, element, damage, isCrit, isLucky, isCauseLucky, hpLessenValue = 0) {
+    /**
+     * 添加伤害记录
+     * @param {{uid:number, name?:string}} [summon] Entité invoquée qui a porté le coup (le joueur en est le propriétaire).
+     * @param {string} [damageSource] Skill, Bullet, Buff, FBullet, Other...
+     * @param {number} [absorbed] Part du coup prise par un bouclier de la cible.
+     */
+    addDamage(skillId, element, damage, isCrit, isLucky, isCauseLucky, hpLessenValue = 0, targetUid, summon, damageSource, absorbed = 0) {
         this._touch();
         this.damageStats.addRecord(damage, isCrit, isLucky, hpLessenValue);
+        this.damageStats.absorbed += absorbed;
+        if (damageSource) addToPair(this.damageBySource, damageSource, damage);
+        if (element) addToPair(this.damageByElement, element, damage);
 
-        if (!this.skillUsage.has(skillId)) {
-            this.skillUsage.set(skillId, new StatisticData(this, STAT_TYPES.DAMAGE, element));
+        if (targetUid != null) {
+            if (!this.damageByTarget.has(targetUid)) {
+                this.damageByTarget.set(targetUid, new StatisticData(this, STAT_TYPES.DAMAGE));
+            }
+            this.damageByTarget.get(targetUid).addRecord(damage, isCrit, isLucky, hpLessenValue);
+            this.damageByTarget.get(targetUid).absorbed += absorbed;
+        }
+
+        const usageId = summon ? skillId + SUMMON_OFFSET : skillId;
+        if (!this.skillUsage.has(usageId)) {
+            this.skillUsage.set(usageId, new StatisticData(this, STAT_TYPES.DAMAGE, element));
+        }
+        const stat = this.skillUsage.get(usageId);
+        stat.addRecord(damage, isCrit, isCauseLucky, hpLessenValue);
+        stat.absorbed += absorbed;
+        stat.realtimeWindow.length = 0;
+        if (summon) {
+            stat.summonUid = summon.uid;
+            if (summon.name) stat.summonName = summon.name;
         }
-        this.skillUsage.get(skillId).addRecord(damage, isCrit, isCauseLucky, hpLessenValue);
-        this.skillUsage.get(skillId).realtimeWindow.length = 0;
 
         this.updateSubProfession(skillId);
     }
 
-    /** 添加治疗记录 */
-    addHealing(skillId, element, healing, isCrit, isLucky, isCauseLucky) {
+    /**
+     * 添加治疗记录
+     * @param {number} [overheal] Part du soin au-delà des PV max de la cible (0 si inconnue).
+     */
+    addHealing(skillId, element, healing, isCrit, isLucky, isCauseLucky, targetUid, overheal = 0) {
         this._touch();
         this.healingStats.addRecord(healing, isCrit, isLucky);
+        this.healingStats.overheal += overheal;
+        if (targetUid != null) addToPair(this.healingByTarget, targetUid, healing);
 
         // 将治疗技能映射到不同区间以避免与伤害技能冲突
         const healSkillId = skillId + HEAL_OFFSET;
@@ -99,23 +162,159 @@ export class UserData {
             this.skillUsage.set(healSkillId, new StatisticData(this, STAT_TYPES.HEALING, element));
         }
         this.skillUsage.get(healSkillId).addRecord(healing, isCrit, isCauseLucky);
+        this.skillUsage.get(healSkillId).overheal += overheal;
         this.skillUsage.get(healSkillId).realtimeWindow.length = 0;
 
         // 子职业识别仍需原始 skillId
         this.updateSubProfession(skillId);
     }
 
+    /** 受到的治疗 (sourceUid: 治疗者, 0 si ce n'est pas un joueur) */
+    addHealingReceived(sourceUid, healing, sourceName = '') {
+        addToPair(this.healingReceived, sourceUid, healing).lastAt = this.clock();
+        this._pushEvent({ type: 'heal', value: healing, sourceUid, sourceName });
+    }
+
+    /** 血量采样 (属性更新) */
+    addHpSample(hp) {
+        this._pushEvent({ type: 'hp', value: hp, maxHp: this.attr.max_hp ?? null });
+    }
+
+    _pushEvent(event) {
+        const now = this.clock();
+        this.recentEvents.push({ t: now, ...event });
+        while (this.recentEvents.length && now - this.recentEvents[0].t > DEATH_RECAP_WINDOW_MS) {
+            this.recentEvents.shift();
+        }
+    }
+
+    /** Fige les dernières secondes avant la mort, avec le coup fatal. */
+    _recordDeath(killingBlow) {
+        const at = this.clock();
+        this.deaths.push({
+            uid: this.uid,
+            name: this.name,
+            profession: this.profession,
+            at,
+            maxHp: this.attr.max_hp ?? null,
+            killingBlow,
+            events: this.recentEvents.map((e) => ({ ...e, dt: e.t - at })),
+        });
+        if (this.deaths.length > MAX_DEATHS_KEPT) this.deaths.shift();
+        this.recentEvents = [];
+        return this.deaths.at(-1);
+    }
+
+    /** 治疗分布: 给谁治疗了多少, 从谁那里受到多少 */
+    getHealingSummary() {
+        const received = Object.fromEntries(this.healingReceived);
+        const lastReceivedAt = Math.max(0, ...[...this.healingReceived.values()].map((r) => r.lastAt));
+        return {
+            byTarget: Object.fromEntries([...this.healingByTarget].map(([uid, v]) => [uid, { ...v }])),
+            received: Object.fromEntries(Object.entries(received).map(([uid, v]) => [uid, { ...v }])),
+            receivedTotal: [...this.healingReceived.values()].reduce((s, r) => s + r.total, 0),
+            lastReceivedAt: lastReceivedAt || null,
+        };
+    }
+
+    /** 本玩家的护盾吸收了队友受到的伤害 */
+    addShieldGiven(absorbed) {
+        this._touch();
+        this.shieldGiven.total += absorbed;
+        this.shieldGiven.count++;
+    }
+
     /** 添加承伤记录 */
-    addTakenDamage(damage, isDead) {
+    addTakenDamage(damage, isDead, details = {}) {
         this._touch();
         this.takenDamage += damage;
-        if (isDead) this.deadCount++;
+        this.takenStats.add(damage, details);
+
+        const hit = {
+            type: 'damage',
+            value: damage,
+            attackerUid: details.attackerUid ?? 0,
+            attackerName: details.attackerName ?? '',
+            skillId: details.skillId ?? 0,
+            skillName: details.skillId ? (skillConfig[details.skillId] ?? String(details.skillId)) : '',
+            isFall: !!details.isFall,
+        };
+        this._pushEvent(hit);
+        if (isDead) {
+            this.deadCount++;
+            return this._recordDeath(hit);
+        }
+        return null;
+    }
+
+    /** Début d'un buff sur ce joueur (sourceUid: joueur qui l'a posé, 0 si inconnu). */
+    addBuff(buffUuid, baseId, sourceUid = 0, duration = 0) {
+        if (this.buffs.start(buffUuid, { baseId, sourceUid, duration })) this._touch();
+    }
+
+    /** Effet d'un buff de ce joueur (bouclier qui encaisse, perte de cumul...). */
+    buffEffect(buffUuid) {
+        this.buffs.effect(buffUuid);
+    }
+
+    /** Fin d'un buff sur ce joueur */
+    removeBuff(buffUuid) {
+        this.buffs.end(buffUuid);
+    }
+
+    /** Uptime des buffs reçus, par BaseId */
+    getBuffSummary() {
+        return this.buffs.getSummary();
     }
 
     /** 更新实时DPS和HPS */
     updateRealtimeDps() {
         this.damageStats.updateRealtimeStats();
         this.healingStats.updateRealtimeStats();
+        for (const stat of this.damageByTarget.values()) stat.updateRealtimeStats();
+    }
+
+    /**
+     * Dégâts cumulés sur les cibles retenues par le filtre.
+     * Le max temps réel est celui de la meilleure cible (exact quand on filtre une seule cible).
+     * @param {(targetUid:number) => boolean} matchTarget
+     */
+    getFilteredDamage(matchTarget) {
+        const merged = new StatisticData(this, STAT_TYPES.DAMAGE);
+        for (const [targetUid, stat] of this.damageByTarget) {
+            if (!matchTarget(targetUid)) continue;
+            for (const k of Object.keys(merged.stats)) merged.stats[k] += stat.stats[k];
+            for (const k of Object.keys(merged.count)) merged.count[k] += stat.count[k];
+            merged.absorbed += stat.absorbed;
+            merged.realtimeStats.value += stat.realtimeStats.value;
+            merged.realtimeStats.max = Math.max(merged.realtimeStats.max, stat.realtimeStats.max);
+            const [start, end = start] = stat.timeRange;
+            if (start) {
+                merged.timeRange[0] = merged.timeRange[0] ? Math.min(merged.timeRange[0], start) : start;
+                merged.timeRange[1] = Math.max(merged.timeRange[1] ?? 0, end);
+            }
+        }
+        merged.realtimeStats.max = Math.max(merged.realtimeStats.max, merged.realtimeStats.value);
+        return merged;
+    }
+
+    /** 按目标统计的伤害 */
+    getDamageByTarget() {
+        const result = {};
+        for (const [targetUid, stat] of this.damageByTarget) {
+            result[targetUid] = { total: stat.stats.total, count: stat.count.total, dps: stat.getTotalPerSecond() };
+        }
+        return result;
+    }
+
+    /** 按来源/元素统计的伤害, share 为占总伤害的百分比 */
+    getDamageBreakdown() {
+        const total = this.damageStats.stats.total;
+        const toObject = (map) => Object.fromEntries([...map].map(([key, v]) => [key, {
+            ...v,
+            share: total > 0 ? (v.total / total) * 100 : 0,
+        }]));
+        return { bySource: toObject(this.damageBySource), byElement: toObject(this.damageByElement) };
     }
 
     getTotalDps() { return this.damageStats.getTotalPerSecond(); }
@@ -131,19 +330,35 @@ export class UserData {
         };
     }
 
-    /** 获取用户数据摘要 */
-    getSummary() {
+    /**
+     * 获取用户数据摘要
+     * @param {((targetUid:number) => boolean)|null} [matchTarget] Filtre de cibles: les champs de dégâts
+     *   ne comptent alors que les cibles retenues.
+     */
+    getSummary(matchTarget = null) {
+        const damage = matchTarget ? this.getFilteredDamage(matchTarget) : this.damageStats;
+        const count = this.getTotalCount();
+        if (matchTarget) {
+            for (const k of Object.keys(count)) count[k] += damage.count[k] - this.damageStats.count[k];
+        }
         return {
-            realtime_dps: this.damageStats.realtimeStats.value,
-            realtime_dps_max: this.damageStats.realtimeStats.max,
-            total_dps: this.getTotalDps(),
-            total_damage: { ...this.damageStats.stats },
-            total_count: this.getTotalCount(),
+            realtime_dps: damage.realtimeStats.value,
+            realtime_dps_max: damage.realtimeStats.max,
+            total_dps: damage.getTotalPerSecond(),
+            total_damage: { ...damage.stats },
+            total_count: count,
+            target_filtered: !!matchTarget,
+            absorbed_damage: damage.absorbed,
             realtime_hps: this.healingStats.realtimeStats.value,
             realtime_hps_max: this.healingStats.realtimeStats.max,
             total_hps: this.getTotalHps(),
             total_healing: { ...this.healingStats.stats },
+            total_overheal: this.healingStats.overheal,
+            effective_healing: this.healingStats.stats.total - this.healingStats.overheal,
+            overheal_rate: overhealRate(this.healingStats),
             taken_damage: this.takenDamage,
+            taken_absorbed: this.takenStats.absorbed.total,
+            shield_given: this.shieldGiven.total,
             profession: this.profession + (this.subProfession ? ` ${this.subProfession}` : ''),
             subProfession: this.subProfession,
             name: this.name,
@@ -165,21 +380,29 @@ export class UserData {
             const critRate = stat.count.total > 0 ? critCount / stat.count.total : 0;
             const luckyRate = stat.count.total > 0 ? luckyCount / stat.count.total : 0;
 
-            // retire l’offset des sorts de soin pour retrouver le vrai id
+            // retire l’offset des sorts de soin / des invocations pour retrouver le vrai id
             const baseSkillId = skillId % HEAL_OFFSET;
+            const isSummon = skillId >= SUMMON_OFFSET;
             const name = skillConfig[baseSkillId] ?? baseSkillId;
 
             const isHealing = stat.type === STAT_TYPES.HEALING;
 
             const totalDamage = isHealing ? 0 : stat.stats.total;
             const totalHealing = isHealing ? stat.stats.total : 0;
+            const overheal = isHealing ? stat.overheal : 0;
 
             skills[skillId] = {
                 displayName: name,
                 type: stat.type,                 // 'damage' | 'healing'
+                group: isSummon ? 'summon' : 'self',
+                summonName: isSummon ? stat.summonName ?? '' : undefined,
                 elementType: stat.element,       // (ex- elementype)
                 totalDamage,
                 totalHealing,
+                overheal,
+                effectiveHealing: totalHealing - overheal,
+                overhealRate: isHealing ? overhealRate(stat) : 0,
+                absorbed: isHealing ? 0 : stat.absorbed,
                 totalCount: stat.count.total,
                 critCount: stat.count.critical,
                 luckyCount: stat.count.lucky,
@@ -223,8 +446,18 @@ export class UserData {
     reset() {
         this.damageStats.reset();
         this.healingStats.reset();
+        this.damageByTarget.clear();
+        this.damageBySource.clear();
+        this.damageByElement.clear();
         this.takenDamage = 0;
+        this.takenStats.reset();
+        this.healingByTarget.clear();
+        this.healingReceived.clear();
+        this.shieldGiven = { total: 0, count: 0 };
+        this.deaths = [];
+        this.recentEvents = [];
         this.skillUsage.clear();
+        this.buffs.reset();
         this.fightPoint = 0;
         this._touch();
     }
@@ -22,6 +22,14 @@
     const sumDmg = $("#sumDmg");
     const sumHeal = $("#sumHeal");
     const sumCasts = $("#sumCasts");
+    const sumOverheal = $("#sumOverheal");
+    const buffTbody = $("#buffTbody");
+    const buffSection = $("#buffSection");
+    const takenTbody = $("#takenTbody");
+    const takenSection = $("#takenSection");
+    const healTbody = $("#healTbody");
+    const healSection = $("#healSection");
+    const dmgMixSection = $("#dmgMixSection");
 
     // ===== Const =====
     const HEAL_OFFSET = 1_000_000_000;
@@ -52,8 +60,11 @@
         const byBase = new Map();
         for (const it of items) {
             const baseId = Number(it.id) % HEAL_OFFSET;
-            const key = String(baseId);
-            const entry = byBase.get(key) || { id: key, name: it.name, damage: 0, heal: 0, casts: 0, dmgCasts: 0, healCasts: 0, kind: "dmg" };
+            // les coups des invocations restent sur leur propre ligne
+            const isSummon = it.group === "summon";
+            const key = isSummon ? `s${baseId}` : String(baseId);
+            const entry = byBase.get(key) || { id: key, baseId, name: it.name, summonName: "", isSummon, damage: 0, heal: 0, overheal: 0, casts: 0, dmgCasts: 0, healCasts: 0, kind: "dmg" };
+            if (it.summonName) entry.summonName = it.summonName;
 
             if (!entry.name || (it.name && String(it.name).length > String(entry.name).length)) entry.name = it.name;
 
@@ -61,7 +72,7 @@
             const amount = it.damage || it.totalDamage || 0;
             const count = Number(it.casts ?? it.totalCount ?? (it.countBreakdown && typeof it.countBreakdown.total === "number" ? it.countBreakdown.total : undefined) ?? it.hits ?? 0) || 0;
 
-            if (type === "healing" || Number(it.id) >= HEAL_OFFSET) { entry.heal += amount; entry.healCasts += count; }
+            if (!isSummon && (type === "healing" || Number(it.id) >= HEAL_OFFSET)) { entry.heal += amount; entry.overheal += it.overheal || 0; entry.healCasts += count; }
             else { entry.damage += amount; entry.dmgCasts += count; }
 
             entry.casts = entry.dmgCasts + entry.healCasts;
@@ -75,18 +86,31 @@
         totalDamage: rows.reduce((s, r) => s + (r.damage || 0), 0),
         totalHeal: rows.reduce((s, r) => s + (r.heal || 0), 0),
         totalCasts: rows.reduce((s, r) => s + (r.casts || 0), 0),
+        totalOverheal: rows.reduce((s, r) => s + (r.overheal || 0), 0),
+        summonDamage: rows.reduce((s, r) => s + (r.isSummon ? r.damage || 0 : 0), 0),
     });
 
+    const overhealPct = (overheal, heal) => (heal > 0 ? (overheal / heal) * 100 : 0);
+    const setOverhealCell = (cell, overheal, heal) => {
+        const v = overhealPct(overheal, heal);
+        cell.textContent = heal > 0 ? `${v.toFixed(1)}%` : "\u2014";
+        cell.title = heal > 0 ? `${overheal} overheal` : "";
+    };
+
     const getSortedFilteredData = (rows, totals) => {
         const filter = String(search?.value ?? "").toLowerCase();
 
         const data = rows
             .filter(r => String(r.name ?? "").toLowerCase().includes(filter))
-            .filter(r => modeFilter === "all" ? true : (modeFilter === "dmg" ? r.damage > 0 : r.heal > 0))
+            .filter(r => {
+                if (modeFilter === "summon") return r.isSummon;
+                return modeFilter === "all" ? true : (modeFilter === "dmg" ? r.damage > 0 : r.heal > 0);
+            })
             .map(r => ({
                 ...r,
                 shareDmg: totals.totalDamage > 0 ? (r.damage / totals.totalDamage) * 100 : 0,
                 shareHeal: totals.totalHeal > 0 ? (r.heal / totals.totalHeal) * 100 : 0,
+                overhealRate: overhealPct(r.overheal, r.heal),
             }));
 
         const dir = sortDir === "asc" ? 1 : -1;
@@ -111,21 +135,23 @@
         rowName.className = "spell-row-name";
 
         const badge = document.createElement("span");
-        badge.className = `badge ${r.kind}`;
-        badge.textContent = r.kind.toUpperCase();
-        badge.ariaLabel = r.kind;
+        const badgeKind = r.isSummon ? "summon" : r.kind;
+        badge.className = `badge ${badgeKind}`;
+        badge.textContent = badgeKind.toUpperCase();
+        badge.ariaLabel = badgeKind;
+        if (r.isSummon && r.summonName) badge.title = r.summonName;
 
         const icon = document.createElement("img");
         icon.className = "spell-icon";
         icon.alt = "";
         icon.decoding = "async";
         icon.loading = "lazy";
-        icon.src = `../assets/skills/${r.id}.webp`;
+        icon.src = `../assets/skills/${r.baseId ?? r.id}.webp`;
         icon.addEventListener("error", () => icon.remove(), { passive: true });
 
         const nameEl = document.createElement("div");
         nameEl.className = "spell-name";
-        nameEl.textContent = r.name;
+        nameEl.textContent = r.isSummon && r.summonName ? `${r.name} (${r.summonName})` : r.name;
 
         const bars = document.createElement("div");
         bars.className = "dual-bars";
@@ -162,10 +188,169 @@
         const vH = totals.totalHeal > 0 ? (r.heal / totals.totalHeal * 100) : 0;
         tdShareH.textContent = `${vH.toFixed(1)}%`; tdShareH.title = vH.toString();
 
-        tr.append(tdName, tdDmg, tdHeal, tdCasts, tdShareD, tdShareH);
+        const tdOverheal = document.createElement("td"); tdOverheal.className = "col-oh";
+        setOverhealCell(tdOverheal, r.overheal, r.heal);
+
+        tr.append(tdName, tdDmg, tdHeal, tdCasts, tdShareD, tdShareH, tdOverheal);
         return tr;
     };
 
+    // Buffs de la session: uptime sur ce joueur + moyenne sur les joueurs qui l'ont eu
+    const renderBuffs = () => {
+        const buffs = (DATA?.buffs || []).slice().sort((a, b) => (b.uptime - a.uptime) || (b.avgUptime - a.avgUptime));
+        buffSection.hidden = buffs.length === 0;
+        buffTbody.replaceChildren();
+
+        const frag = document.createDocumentFragment();
+        for (const b of buffs) {
+            const tr = document.createElement("tr");
+            tr.classList.toggle("buff-active", !!b.active);
+
+            const tdName = document.createElement("td");
+            tdName.textContent = b.name;
+
+            const tdUptime = document.createElement("td"); tdUptime.className = "col-share";
+            const bar = document.createElement("div"); bar.className = "bar buff";
+            const fill = document.createElement("span"); fill.className = "fill";
+            fill.style.width = `${Math.min(100, b.uptime).toFixed(3)}%`;
+            bar.appendChild(fill);
+            const label = document.createElement("span");
+            label.textContent = `${b.uptime.toFixed(1)}%`;
+            tdUptime.append(label, bar);
+            tdUptime.title = `${(b.uptimeMs / 1000).toFixed(1)}s`;
+
+            const tdApps = document.createElement("td"); tdApps.className = "col-casts"; setNumCellText(tdApps, b.applications);
+
+            const tdAvg = document.createElement("td"); tdAvg.className = "col-share";
+            tdAvg.textContent = `${b.avgUptime.toFixed(1)}%`;
+            tdAvg.title = `${b.players} player(s)`;
+
+            const tdGiven = document.createElement("td"); tdGiven.className = "col-casts"; setNumCellText(tdGiven, b.given);
+
+            const tdFrom = document.createElement("td");
+            tdFrom.textContent = b.topSource || "\u2014";
+
+            tr.append(tdName, tdUptime, tdApps, tdAvg, tdGiven, tdFrom);
+            frag.appendChild(tr);
+        }
+        buffTbody.appendChild(frag);
+    };
+
+    // Degats subis: attaquants (et leurs sorts), elements, chutes
+    const renderTaken = () => {
+        const taken = DATA?.taken;
+        const byTotal = (obj) => Object.entries(obj || {}).map(([key, v]) => ({ key, ...v })).sort((a, b) => b.total - a.total);
+        const attackers = byTotal(taken?.byAttacker);
+        const elements = byTotal(taken?.byElement);
+        const fall = taken?.fall?.total ? taken.fall : null;
+        const totalTaken = attackers.reduce((s, a) => s + a.total, 0) + (fall?.total || 0);
+
+        takenSection.hidden = totalTaken === 0;
+        takenTbody.replaceChildren();
+        if (totalTaken === 0) return;
+
+        const frag = document.createDocumentFragment();
+        const addRow = (label, b, cls) => {
+            const tr = document.createElement("tr");
+            if (cls) tr.className = cls;
+            const tdName = document.createElement("td"); tdName.textContent = label;
+            const tdDmg = document.createElement("td"); tdDmg.className = "col-num"; setNumCellText(tdDmg, b.total);
+            const tdHits = document.createElement("td"); tdHits.className = "col-casts"; setNumCellText(tdHits, b.count);
+            const tdShare = document.createElement("td"); tdShare.className = "col-share";
+            const v = (b.total / totalTaken) * 100;
+            tdShare.textContent = `${v.toFixed(1)}%`; tdShare.title = v.toString();
+            tr.append(tdName, tdDmg, tdHits, tdShare);
+            frag.appendChild(tr);
+        };
+
+        for (const a of attackers) {
+            addRow(a.name || `#${a.key}`, a, "taken-group");
+            for (const sk of byTotal(a.skills).slice(0, 5)) addRow(sk.name || sk.key, sk, "taken-sub");
+        }
+        for (const e of elements) addRow(e.key, e, "taken-group");
+        if (fall) addRow("Fall", fall, "taken-group");
+        takenTbody.appendChild(frag);
+    };
+
+    // Repartition des degats par source (sort, projectile, DoT...) et par element
+    const SOURCE_LABELS = { Skill: "Skill", Bullet: "Bullet", Buff: "Buff (DoT)", FBullet: "Fake bullet", Other: "Other" };
+    const SOURCE_COLORS = { Skill: "#ff9c9e", Bullet: "#ffc46b", Buff: "#c58cff", FBullet: "#7fd6ff", Other: "#9aa3ad" };
+    // cle = dernier caractere du libelle d'element (physique, feu, glace, foudre, foret, vent, roche, lumiere, tenebres)
+    const ELEMENT_COLORS = {
+        "\u7269": "#c9ccd1", "\u706b": "#ff7a59", "\u51b0": "#7fd6ff", "\u96f7": "#c58cff", "\u68ee": "#6fdc8c",
+        "\u98ce": "#9ee6d0", "\u5ca9": "#d9a66b", "\u5149": "#ffe47a", "\u6697": "#8a6cff",
+    };
+
+    const renderStackBar = (bar, legend, parts, labelOf, colorOf) => {
+        bar.replaceChildren();
+        legend.replaceChildren();
+        for (const p of parts) {
+            const seg = document.createElement("span");
+            seg.className = "stack-seg";
+            seg.style.width = `${p.share.toFixed(3)}%`;
+            seg.style.background = colorOf(p.key);
+            seg.title = `${labelOf(p.key)}: ${formatNumber(p.total)} (${p.share.toFixed(1)}%)`;
+            bar.appendChild(seg);
+
+            const item = document.createElement("span");
+            item.className = "mix-item";
+            const dot = document.createElement("i");
+            dot.style.background = colorOf(p.key);
+            item.append(dot, `${labelOf(p.key)} ${p.share.toFixed(1)}%`);
+            legend.appendChild(item);
+        }
+    };
+
+    const renderDamageMix = () => {
+        const parts = (obj) => Object.entries(obj || {}).map(([key, v]) => ({ key, ...v })).filter(p => p.total > 0).sort((a, b) => b.total - a.total);
+        const sources = parts(DATA?.damageBreakdown?.bySource);
+        const elements = parts(DATA?.damageBreakdown?.byElement);
+        dmgMixSection.hidden = sources.length === 0 && elements.length === 0;
+        if (dmgMixSection.hidden) return;
+
+        renderStackBar($("#dmgSourceBar"), $("#dmgSourceLegend"), sources,
+            k => SOURCE_LABELS[k] ?? k, k => SOURCE_COLORS[k] ?? "#9aa3ad");
+        renderStackBar($("#dmgElementBar"), $("#dmgElementLegend"), elements,
+            k => k, k => ELEMENT_COLORS[k.slice(-1)] ?? "#9aa3ad");
+    };
+
+    // Soins par joueur: cibles soignees puis sources des soins recus
+    const renderHealing = () => {
+        const { done = [], received = [] } = DATA?.healing || {};
+        healSection.hidden = done.length === 0 && received.length === 0;
+        healTbody.replaceChildren();
+
+        const frag = document.createDocumentFragment();
+        const addGroup = (title, rows) => {
+            if (!rows.length) return;
+            const total = rows.reduce((s, r) => s + r.total, 0);
+            const head = document.createElement("tr");
+            head.className = "taken-group";
+            const tdTitle = document.createElement("td"); tdTitle.textContent = title;
+            const tdTotal = document.createElement("td"); tdTotal.className = "col-num"; setNumCellText(tdTotal, total);
+            const tdCount = document.createElement("td"); tdCount.className = "col-casts"; setNumCellText(tdCount, rows.reduce((s, r) => s + r.count, 0));
+            const tdShare = document.createElement("td"); tdShare.className = "col-share"; tdShare.textContent = "100%";
+            head.append(tdTitle, tdTotal, tdCount, tdShare);
+            frag.appendChild(head);
+
+            for (const r of rows) {
+                const tr = document.createElement("tr");
+                tr.className = "taken-sub";
+                const tdName = document.createElement("td"); tdName.textContent = r.name;
+                const tdHeal = document.createElement("td"); tdHeal.className = "col-num"; setNumCellText(tdHeal, r.total);
+                const tdHeals = document.createElement("td"); tdHeals.className = "col-casts"; setNumCellText(tdHeals, r.count);
+                const tdPct = document.createElement("td"); tdPct.className = "col-share";
+                const v = total > 0 ? (r.total / total) * 100 : 0;
+                tdPct.textContent = `${v.toFixed(1)}%`; tdPct.title = v.toString();
+                tr.append(tdName, tdHeal, tdHeals, tdPct);
+                frag.appendChild(tr);
+            }
+        };
+        addGroup("Healed players", done);
+        addGroup("Healing received from", received);
+        healTbody.appendChild(frag);
+    };
+
     const renderSummary = (totals) => {
         const { user } = DATA;
         summary.replaceChildren();
@@ -175,11 +360,18 @@
             { label: "Max DPS", value: formatNumber(user.realtime_dps_max) },
             { label: "HPS", value: formatNumber(user.realtime_hps) },
             { label: "Max HPS", value: formatNumber(user.realtime_hps_max) },
+            { label: "Overheal", value: `${(user.overheal_rate ?? 0).toFixed(1)}%` },
             { label: "Total Damage", value: formatNumber(totals.totalDamage) },
             { label: "Total Healing", value: formatNumber(totals.totalHeal) },
+            { label: "Summons", value: `${formatNumber(totals.summonDamage)} (${(totals.totalDamage > 0 ? totals.summonDamage / totals.totalDamage * 100 : 0).toFixed(1)}%)` },
             { label: "Hits", value: user.total_count.total },
             { label: "FP", value: user.fightPoint },
             { label: "Max HP", value: user.max_hp },
+            { label: "Taken", value: formatNumber(user.taken_damage) },
+            { label: "Shielded", value: formatNumber(user.taken_absorbed ?? 0) },
+            { label: "Shields given", value: formatNumber(user.shield_given ?? 0) },
+            { label: "Absorbed by enemy shields", value: formatNumber(user.absorbed_damage ?? 0) },
+            { label: "Last heal received", value: DATA.healing?.lastReceivedAt ? `${Math.round((Date.now() - DATA.healing.lastReceivedAt) / 1000)}s ago` : "never" },
             { label: "Deaths", value: user.dead_count },
         ];
         for (const c of chips) {
@@ -215,8 +407,13 @@
         setNumCellText(sumDmg, totals.totalDamage);
         setNumCellText(sumHeal, totals.totalHeal);
         setNumCellText(sumCasts, totals.totalCasts);
+        setOverhealCell(sumOverheal, totals.totalOverheal, totals.totalHeal);
 
         renderSummary(totals);
+        renderBuffs();
+        renderTaken();
+        renderHealing();
+        renderDamageMix();
 
         // Feed scope and size window
         pushScopePoint(Number(DATA?.user?.realtime_dps || 0), Number(DATA?.user?.realtime_hps || 0));
@@ -262,6 +459,9 @@
                 shares[1].textContent = `${v.toFixed(1)}%`; shares[1].title = v.toString();
             }
 
+            const ohCell = tr.querySelector(".col-oh");
+            if (ohCell) setOverhealCell(ohCell, r.overheal, r.heal);
+
             const fills = tr.querySelectorAll(".fill");
             if (fills[0]) {
                 const w = maxDmg > 0 ? ((r.damage / maxDmg) * 100).toFixed(3) + "%" : "0%";
@@ -277,7 +477,12 @@
         setNumCellText(sumDmg, totals.totalDamage);
         setNumCellText(sumHeal, totals.totalHeal);
         setNumCellText(sumCasts, totals.totalCasts);
+        setOverhealCell(sumOverheal, totals.totalOverheal, totals.totalHeal);
         renderSummary(totals);
+        renderBuffs();
+        renderTaken();
+        renderHealing();
+        renderDamageMix();
 
         // Feed and redraw scope
         pushScopePoint(Number(DATA?.user?.realtime_dps || 0), Number(DATA?.user?.realtime_hps || 0));
@@ -64,6 +64,24 @@
         colorIndex: 0,
         users: /** @type {Record<string, any>} */ ({}),
         skillsByUser: /** @type {Record<string, any>} */ ({}),
+        // dégâts subis (onglet Tank) et détails du joueur de la fenêtre des sorts: lus à la demande
+        takenByUser: /** @type {Record<string, any>} */ ({}),
+        takenFetchedAt: 0,
+        spellDetails: /** @type {{userId:string, data:any, buffTable:Record<string, any>}|null} */ (null),
+        spellDetailsFetchedAt: 0,
+        // connexions de jeu (multi-client) + filtre "personnage local"
+        flows: /** @type {Array<any>} */ ([]),
+        flowFilter: "all",
+        // filtre de cibles (côté serveur): "all" | "maxHp" | "enemy:<uid>"
+        targets: /** @type {Array<any>} */ ([]),
+        targetFilter: "all",
+        // combats (pulls) de la session: "overall" | "current" | id d'un combat terminé
+        segments: /** @type {Array<any>} */ ([]),
+        currentSegment: /** @type {any} */ (null),
+        segmentPlayers: /** @type {Record<string, any>} */ ({}),
+        segmentView: "overall",
+        // état de la capture: searching | locked | lost | relocked
+        captureState: "searching",
         renderPending: false,
         // fenêtre des sorts
         spellWindowRef: /** @type {Window|null} */ (null),
@@ -126,15 +144,54 @@
         switch (activeTab) {
             case CONFIG.TABS.DPS:
                 return `${formatNumber(u.total_damage.total)} (${formatNumber(u.total_dps)} DPS, ${p}%)`;
-            case CONFIG.TABS.HEAL:
-                return `${formatNumber(u.total_healing.total)} (${formatNumber(u.total_hps)} HPS, ${p}%)`;
-            case CONFIG.TABS.TANK:
-                return `${formatNumber(u.taken_damage)} (${p}%)`;
+            case CONFIG.TABS.HEAL: {
+                const shields = u.shield_given ? `, Shields ${formatNumber(u.shield_given)}` : "";
+                return `${formatNumber(u.total_healing.total)} (${formatNumber(u.total_hps)} HPS, ${p}%, OH ${(u.overheal_rate ?? 0).toFixed(0)}%${shields})`;
+            }
+            case CONFIG.TABS.TANK: {
+                const [top] = topTaken(State.takenByUser[u.id]?.byAttacker, 1);
+                const absorbed = u.taken_absorbed ? `, ${formatNumber(u.taken_absorbed)} absorbed` : "";
+                return `${formatNumber(u.taken_damage)} (${p}%${absorbed})${top ? ` \u2014 ${takenLabel(top)}` : ""}`;
+            }
             default:
                 return "";
         }
     }
 
+    /** Plus grosses sources de dégâts subis (attaquants, sorts ou éléments). */
+    function topTaken(buckets, n = 3) {
+        return Object.entries(buckets ?? {})
+            .map(([key, b]) => ({ key, ...b }))
+            .sort((a, b) => b.total - a.total)
+            .slice(0, n);
+    }
+
+    function takenLabel(b) {
+        return b.name || (b.isPlayer === undefined ? b.key : `#${b.key}`);
+    }
+
+    /** Infobulle de l'onglet Tank: qui frappe, avec quoi, et les chutes. */
+    function takenTooltip(uid) {
+        const taken = State.takenByUser[uid];
+        if (!taken) return "";
+        const lines = [];
+        const section = (title, buckets) => {
+            const top = topTaken(buckets);
+            if (!top.length) return;
+            lines.push(title);
+            for (const b of top) lines.push(`  ${takenLabel(b)}: ${formatNumber(b.total)} (${b.count} hits)`);
+        };
+        section("Attackers", taken.byAttacker);
+        section("Skills", taken.bySkill);
+        section("Elements", taken.byElement);
+        if (taken.fall?.total) lines.push(`Fall: ${formatNumber(taken.fall.total)} (${taken.fall.count} hits)`);
+        if (taken.absorbed?.total) {
+            lines.push(`Absorbed by shields: ${formatNumber(taken.absorbed.total)} (${taken.absorbed.count} hits)`);
+            for (const b of topTaken(taken.byShielder)) lines.push(`  ${takenLabel(b)}: ${formatNumber(b.total)}`);
+        }
+        return lines.join("\n");
+    }
+
     // ==========================================================================
     // 4) Fusion des compétences (algorithme pur)
     // ==========================================================================
@@ -204,6 +261,10 @@
         opacity: /** @type {HTMLInputElement} */ ($("#opacitySlider")),
         serverStatus: $("#serverStatus"),
         tabButtons: $$(".tab-button"),
+        flowFilter: /** @type {HTMLSelectElement} */ ($("#flowFilter")),
+        targetFilter: /** @type {HTMLSelectElement} */ ($("#targetFilter")),
+        segmentFilter: /** @type {HTMLSelectElement} */ ($("#segmentFilter")),
+        captureState: $("#captureState"),
         allButtons: [$("#clearButton"), $("#pauseButton"), $("#helpButton"), $("#settingsButton"), $("#closeButton"), $("#btnOpenSessions")],
         popup: {
             container: $("#spellPopup"),
@@ -211,6 +272,14 @@
             list: $("#spellList"),
         },
         sessionsBtn: $("#btnOpenSessions"),
+        deaths: {
+            container: $("#deathPopup"),
+            title: $("#deathPopupTitle"),
+            close: $("#deathPopupClose"),
+            list: $("#deathList"),
+            recap: $("#deathRecapBody"),
+            footer: $("#deathFooter"),
+        },
     };
 
     function setBackgroundOpacity(v) {
@@ -281,6 +350,7 @@
                   <span class="spec-icons"></span>
                   <span class="name"></span>
                   <span class="stats"></span>
+                  <button class="death-btn hidden" title="Death recap"></button>
                   <button class="spell-btn" title="Player Details">
                     <svg viewBox="0 0 24 24" width="14" height="14">
                       <path fill="currentColor" d="M15.5 14h-.79l-.28-.27A6.471 6.471 0 0016 9.5 
@@ -298,6 +368,10 @@
                             e.stopPropagation();
                             UI.showPopupForUser(uid);
                         });
+                        li.querySelector(".death-btn").addEventListener("click", (e) => {
+                            e.stopPropagation();
+                            Deaths.open(uid);
+                        });
                         Dom.columns.appendChild(li);
                     } else {
                         li.className = `data-item ${classKey}`;
@@ -312,6 +386,12 @@
                     rankEl.textContent = `${i + 1}.`;
                     nameEl.textContent = displayName;
                     statsEl.textContent = stats;
+                    li.title = activeTab === CONFIG.TABS.TANK ? takenTooltip(uid) : "";
+
+                    const deathBtn = li.querySelector(".death-btn");
+                    const deaths = user.dead_count ?? 0;
+                    deathBtn.textContent = `\u{1F480}${deaths}`;
+                    deathBtn.classList.toggle("hidden", activeTab !== CONFIG.TABS.TANK || deaths === 0);
                     fill.style.transition = "width 0.3s ease";
                     fill.style.width = `${barPercent}%`;
                     fill.style.background = `linear-gradient(90deg, ${baseColor}, rgba(0,0,0,0.3))`;
@@ -408,7 +488,8 @@
             const merged = mergeSkills(entry.skills);
             const items = Object.entries(merged)
                 .map(([id, d]) => {
-                    const damage = d.totalDamage || 0;
+                    // les sorts de soin portent leur total dans totalHealing
+                    const damage = d.totalDamage || d.totalHealing || 0;
                     // ✅ ajoute toutes les sources possibles de "casts"
                     const casts = d.totalCount ?? d.countBreakdown?.total ?? d.totalHits ?? d.hits ?? 0;
 
@@ -419,12 +500,15 @@
                         id,
                         name: d.displayName || id,
                         type: (d.type || "").toLowerCase(),     // "healing" / "damage"
+                        group: d.group || "self",                // "self" / "summon" (coups des invocations)
+                        summonName: d.summonName || "",
                         damage,
                         casts,                                   // <<--- NOUVEAU
                         hits,                                    // conservé pour l'ancien details.html
                         critHits,
                         avg: hits > 0 ? damage / hits : 0,
                         critRate: hits > 0 ? (critHits / hits) * 100 : 0,
+                        overheal: d.overheal || 0,
                         countBreakdown: d.countBreakdown || null // optionnel, utile au debug
                     };
                 })
@@ -432,7 +516,60 @@
 
             const total = items.reduce((s, i) => s + i.damage, 0) || 1;
             const classKey = getClassKey(user.profession);
-            return { user, items, total, classKey };
+            const details = State.spellDetails?.userId === userId ? State.spellDetails : null;
+            const buffs = Spells.buildBuffRows(userId, details?.buffTable);
+            const taken = details?.data.taken ?? null;
+            const healing = Spells.buildHealingRows(details?.data.healing);
+            const damageBreakdown = details?.data.damageBreakdown ?? null;
+            return { user, items, total, classKey, buffs, taken, healing, damageBreakdown };
+        },
+
+        /** Soins donnés par cible et reçus par source, avec les noms connus. */
+        buildHealingRows(healing) {
+            const nameOf = (uid) => (uid === "0" ? "Other sources" : (State.users[uid]?.name || `#${uid}`));
+            const rows = (obj) => Object.entries(obj ?? {})
+                .map(([uid, v]) => ({ uid, name: nameOf(uid), total: v.total, count: v.count }))
+                .sort((a, b) => b.total - a.total);
+            return {
+                done: rows(healing?.byTarget),
+                received: rows(healing?.received),
+                lastReceivedAt: healing?.lastReceivedAt ?? null,
+            };
+        },
+
+        /** Tableau des buffs de la session (/api/buffs), vu depuis un joueur (uptime reçu, applications données). */
+        buildBuffRows(userId, buffTable) {
+            return Object.values(buffTable ?? {}).map((row) => {
+                const own = row.players?.[userId];
+                const [topUid] = Object.entries(row.sources ?? {}).sort((a, b) => b[1] - a[1])[0] ?? [];
+                return {
+                    id: row.baseId,
+                    name: `Buff ${row.baseId}`,
+                    uptime: own?.uptime ?? 0,
+                    uptimeMs: own?.uptimeMs ?? 0,
+                    applications: own?.applications ?? 0,
+                    active: own?.active ?? false,
+                    avgUptime: row.avgUptime,
+                    players: Object.keys(row.players ?? {}).length,
+                    given: row.sources?.[userId] ?? 0,
+                    topSource: topUid ? (State.users[topUid]?.name || `#${topUid}`) : "",
+                };
+            });
+        },
+
+        /** Détails du joueur (buffs, dégâts subis, soins...) et table des buffs, lus à la demande. */
+        async fetchDetails(userId) {
+            State.spellDetailsFetchedAt = Date.now();
+            try {
+                const [skill, buffs] = await Promise.all([
+                    fetch(`http://${CONFIG.SERVER_URL}/api/skill/${encodeURIComponent(userId)}`).then((r) => r.json()),
+                    fetch(`http://${CONFIG.SERVER_URL}/api/buffs`).then((r) => r.json()),
+                ]);
+                if (skill.code !== 0) return;
+                State.spellDetails = { userId, data: skill.data, buffTable: buffs.code === 0 ? buffs.data : {} };
+            } catch (err) {
+                console.error("Failed to load player details:", err);
+            }
         },
 
         bringWindowToFront() {
@@ -446,11 +583,12 @@
             try { State.spellWindowRef?.close?.(); } catch { }
             State.spellWindowRef = null;
             State.currentSpellUserId = null;
+            State.spellDetails = null;
             if (State.spellWindowWatchdog) { clearInterval(State.spellWindowWatchdog); State.spellWindowWatchdog = null; }
         },
 
         // --- Spells.openWindowForUser : réouverture + focus fiable
-        openWindowForUser(userId) {
+        async openWindowForUser(userId) {
             State.currentSpellUserId = userId;
 
             const DETAILS_URL = "./details/index.html";
@@ -476,6 +614,7 @@
             Spells.bringWindowToFront?.();
             try { window.electronAPI?.focusChildWindow?.(NAME); } catch { }
 
+            await Spells.fetchDetails(userId);
             const payload = Spells.buildSpellPayload(userId);
             if (!payload) return;
 
@@ -504,9 +643,12 @@
             setTimeout(send, 200);
         },
 
-        pushLiveUpdateIfActive(userId) {
+        async pushLiveUpdateIfActive(userId) {
             if (!State.spellWindowRef || State.spellWindowRef.closed) return;
             if (State.currentSpellUserId !== userId) return;
+            // les détails sont relus au plus une fois par seconde, les sorts suivent le flux live
+            if (Date.now() - State.spellDetailsFetchedAt >= 1000) await Spells.fetchDetails(userId);
+            if (State.currentSpellUserId !== userId || !State.spellWindowRef || State.spellWindowRef.closed) return;
             const payload = Spells.buildSpellPayload(userId);
             if (!payload) return;
             State.spellWindowRef.postMessage({ type: "spell-data", payload }, "*");
@@ -519,14 +661,192 @@
 
     const Data = {
         updateAll() {
-            const users = Object.values(State.users).filter((u) =>
-                (State.activeTab === CONFIG.TABS.DPS && u.total_dps > 0) ||
-                (State.activeTab === CONFIG.TABS.HEAL && u.total_hps > 0) ||
-                (State.activeTab === CONFIG.TABS.TANK && u.taken_damage > 0)
+            const flow = State.flows.find((f) => String(f.id) === State.flowFilter);
+            const flowUids = flow ? new Set(flow.uids.map(String)) : null;
+            const users = Data.viewUsers().filter((u) =>
+                (!flowUids || flowUids.has(String(u.id))) && (
+                    (State.activeTab === CONFIG.TABS.DPS && u.total_dps > 0) ||
+                    (State.activeTab === CONFIG.TABS.HEAL && u.total_hps > 0) ||
+                    (State.activeTab === CONFIG.TABS.TANK && u.taken_damage > 0)
+                )
             );
             Renderer.renderDataList(users, State.activeTab);
         },
 
+        /** Joueurs de la vue choisie: toute la session, ou les stats d'un seul combat. */
+        viewUsers() {
+            if (State.segmentView === "overall") return Object.values(State.users);
+            const players = State.segmentView === "current"
+                ? State.currentSegment?.players
+                : State.segmentPlayers[State.segmentView];
+            return Object.entries(players ?? {}).map(([userId, p]) => ({
+                ...State.users[userId],
+                ...p,
+                id: userId,
+                name: State.users[userId]?.name || p.name || "...",
+            }));
+        },
+
+        /** Combat en cours (ou dernier terminé), reçu avec chaque mise à jour live. */
+        updateCurrentSegment(current) {
+            State.currentSegment = current ?? null;
+            Dom.segmentFilter.classList.toggle("hidden", !State.currentSegment && State.segmentView === "overall");
+        },
+
+        /** Liste des combats terminés, relue à la connexion. */
+        async loadSegments() {
+            try {
+                const resp = await fetch(`http://${CONFIG.SERVER_URL}/api/segments`);
+                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                const result = await resp.json();
+                Data.updateSegments(result.data ?? []);
+            } catch (err) {
+                console.error("Failed to load segments:", err);
+            }
+        },
+
+        /** Met à jour la liste des combats (combat en cours, session entière, pulls précédents). */
+        updateSegments(segments) {
+            // par id: un combat terminé peut arriver à la fois par /api/segments et par segment_ended
+            const byId = new Map((Array.isArray(segments) ? segments : []).filter((s) => !s.active).map((s) => [s.id, s]));
+            State.segments = [...byId.values()];
+            const ended = State.segments;
+            if (!["overall", "current"].includes(State.segmentView) && !ended.some((s) => String(s.id) === State.segmentView)) {
+                State.segmentView = "overall";
+            }
+
+            const duration = (ms) => {
+                const total = Math.round(ms / 1000);
+                return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+            };
+            const options = [["current", "Current fight"], ["overall", "Overall"]].concat(
+                ended
+                    .slice()
+                    .reverse()
+                    .map((s) => [String(s.id), `#${s.index} ${s.label} (${duration(s.durationMs)})`])
+            );
+            const signature = options.map((o) => o.join("=")).join("|");
+            if (Dom.segmentFilter.dataset.signature !== signature) {
+                Dom.segmentFilter.dataset.signature = signature;
+                Dom.segmentFilter.replaceChildren(...options.map(([value, label]) => {
+                    const opt = document.createElement("option");
+                    opt.value = value;
+                    opt.textContent = label;
+                    return opt;
+                }));
+            }
+            Dom.segmentFilter.value = State.segmentView;
+            Dom.segmentFilter.classList.toggle("hidden", !State.currentSegment && State.segmentView === "overall");
+        },
+
+        /** Choix d'un combat; les stats d'un combat terminé ne changent plus, elles sont chargées une fois. */
+        async selectSegment(value) {
+            State.segmentView = value;
+            if (value !== "overall" && value !== "current" && !State.segmentPlayers[value]) {
+                try {
+                    const resp = await fetch(`http://${CONFIG.SERVER_URL}/api/segments/${encodeURIComponent(value)}`);
+                    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                    const result = await resp.json();
+                    State.segmentPlayers[value] = result.data?.players ?? {};
+                } catch (err) {
+                    console.error("Failed to load segment:", err);
+                    State.segmentView = "overall";
+                    Dom.segmentFilter.value = State.segmentView;
+                }
+            }
+            Data.updateAll();
+        },
+
+        resetSegments() {
+            State.segments = [];
+            State.currentSegment = null;
+            State.segmentPlayers = {};
+            if (State.segmentView !== "current") State.segmentView = "overall";
+            Data.updateSegments([]);
+        },
+
+        /** Met à jour la liste des personnages locaux (visible dès 2 connexions de jeu). */
+        updateFlows(flows) {
+            State.flows = Array.isArray(flows) ? flows : [];
+            if (State.flowFilter !== "all" && !State.flows.some((f) => String(f.id) === State.flowFilter)) {
+                State.flowFilter = "all";
+            }
+
+            const options = [["all", "All characters"]].concat(
+                State.flows.map((f) => [String(f.id), f.localName || (f.localUid != null ? `#${f.localUid}` : f.server)])
+            );
+            const signature = options.map((o) => o.join("=")).join("|");
+            if (Dom.flowFilter.dataset.signature !== signature) {
+                Dom.flowFilter.dataset.signature = signature;
+                Dom.flowFilter.replaceChildren(...options.map(([value, label]) => {
+                    const opt = document.createElement("option");
+                    opt.value = value;
+                    opt.textContent = label;
+                    return opt;
+                }));
+            }
+            Dom.flowFilter.value = State.flowFilter;
+            Dom.flowFilter.classList.toggle("hidden", State.flows.length < 2);
+        },
+
+        /** Met à jour la liste des cibles (filtre boss / ennemi unique). */
+        updateTargets(targets, filter) {
+            State.targets = Array.isArray(targets) ? targets : [];
+            if (filter) {
+                State.targetFilter = filter.mode === "enemy" ? `enemy:${filter.uid}` : filter.mode;
+            }
+
+            const threshold = filter?.mode === "maxHp" ? ` \u2265 ${formatNumber(filter.minMaxHp)}` : "";
+            const options = [["all", "All targets"], ["maxHp", `Bosses (max HP${threshold})`]].concat(
+                State.targets
+                    .slice()
+                    .sort((a, b) => b.totalDamage - a.totalDamage)
+                    .map((t) => [`enemy:${t.uid}`, `${t.name || `#${t.uid}`}${t.maxHp ? ` (${formatNumber(t.maxHp)} HP)` : ""}`])
+            );
+            const signature = options.map((o) => o.join("=")).join("|");
+            if (Dom.targetFilter.dataset.signature !== signature) {
+                Dom.targetFilter.dataset.signature = signature;
+                Dom.targetFilter.replaceChildren(...options.map(([value, label]) => {
+                    const opt = document.createElement("option");
+                    opt.value = value;
+                    opt.textContent = label;
+                    return opt;
+                }));
+            }
+            Dom.targetFilter.value = State.targetFilter;
+            Dom.targetFilter.classList.toggle("hidden", State.targets.length === 0 && State.targetFilter === "all");
+        },
+
+        /** Relit les dégâts subis de chaque joueur (onglet Tank), au plus une fois par seconde. */
+        async refreshTaken() {
+            if (Date.now() - State.takenFetchedAt < 1000) return;
+            State.takenFetchedAt = Date.now();
+            try {
+                const resp = await fetch(`http://${CONFIG.SERVER_URL}/api/taken`);
+                const result = await resp.json();
+                if (result.code === 0) State.takenByUser = result.data ?? {};
+            } catch (err) {
+                console.error("Failed to load taken damage:", err);
+            }
+        },
+
+        /** Envoie le filtre de cibles choisi au serveur (appliqué aux prochaines mises à jour). */
+        async sendTargetFilter(value) {
+            const [mode, uid] = value.split(":");
+            try {
+                const resp = await fetch(`http://${CONFIG.SERVER_URL}/api/target-filter`, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify(mode === "enemy" ? { mode, uid: Number(uid) } : { mode }),
+                });
+                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                State.targetFilter = value;
+            } catch (err) {
+                console.error("Failed to set target filter:", err);
+                Dom.targetFilter.value = State.targetFilter;
+            }
+        },
+
         processDataUpdate(data) {
             if (State.paused || !data?.user) return;
 
@@ -548,6 +868,10 @@
                 }
             }
 
+            if (data.flows) Data.updateFlows(data.flows);
+            if (State.activeTab === CONFIG.TABS.TANK) Data.refreshTaken();
+            if ("currentSegment" in data) Data.updateCurrentSegment(data.currentSegment);
+
             Data.updateAll();
 
             if (State.currentSpellUserId) {
@@ -560,6 +884,101 @@
         },
     };
 
+    // ==========================================================================
+    // 8b) Récap des morts (onglet Tank)
+    //     SRP: liste des morts de la session + dernières secondes avant chacune.
+    // ==========================================================================
+
+    const Deaths = {
+        deaths: /** @type {Array<any>} */ ([]),
+        selected: /** @type {any} */ (null),
+
+        /** Ouvre le récap sur la dernière mort du joueur (ou la dernière de la session). */
+        async open(uid = null) {
+            await Deaths.refresh();
+            Deaths.select(Deaths.deaths.find((d) => uid == null || String(d.uid) === String(uid)) ?? Deaths.deaths[0] ?? null);
+            Dom.deaths.container.classList.remove("hidden");
+        },
+
+        close() {
+            Dom.deaths.container.classList.add("hidden");
+        },
+
+        isOpen() {
+            return !Dom.deaths.container.classList.contains("hidden");
+        },
+
+        async refresh() {
+            try {
+                const resp = await fetch(`http://${CONFIG.SERVER_URL}/api/deaths`);
+                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                const result = await resp.json();
+                Deaths.deaths = Array.isArray(result.data) ? result.data : [];
+            } catch (err) {
+                console.error("Failed to load deaths:", err);
+                Deaths.deaths = [];
+            }
+            Deaths.renderList();
+        },
+
+        killerLabel(kb) {
+            if (!kb) return "unknown";
+            if (kb.isFall) return "Fall";
+            const who = kb.attackerName || (kb.attackerUid ? `#${kb.attackerUid}` : "unknown");
+            return kb.skillName ? `${who} \u2014 ${kb.skillName}` : who;
+        },
+
+        renderList() {
+            Dom.deaths.title.textContent = `Deaths (${Deaths.deaths.length})`;
+            Dom.deaths.list.replaceChildren(...Deaths.deaths.map((d) => {
+                const li = document.createElement("li");
+                li.classList.toggle("active", d.uid === Deaths.selected?.uid && d.at === Deaths.selected?.at);
+                li.textContent = `${new Date(d.at).toLocaleTimeString()}  ${d.name || `#${d.uid}`}  \u2190 ${Deaths.killerLabel(d.killingBlow)}`;
+                li.addEventListener("click", () => Deaths.select(d));
+                return li;
+            }));
+        },
+
+        select(death) {
+            Deaths.selected = death;
+            Deaths.renderList();
+            Dom.deaths.recap.replaceChildren();
+            if (!death) {
+                Dom.deaths.footer.textContent = "No death recorded in this session.";
+                return;
+            }
+
+            const events = death.events ?? [];
+            const last = events.length - 1;
+            Dom.deaths.recap.replaceChildren(...events.map((e, i) => {
+                const tr = document.createElement("tr");
+                tr.className = `ev-${e.type}${i === last && e.type === "damage" ? " ev-fatal" : ""}`;
+                let label = "HP";
+                if (e.type === "damage") label = e.isFall ? "Fall" : Deaths.killerLabel(e);
+                else if (e.type === "heal") label = `Heal from ${e.sourceName || (e.sourceUid ? `#${e.sourceUid}` : "other")}`;
+
+                const cells = [
+                    `${(e.dt / 1000).toFixed(1)}s`,
+                    label,
+                    e.type === "hp" ? "" : `${e.type === "heal" ? "+" : "-"}${formatNumber(e.value)}`,
+                    e.type === "hp" ? `${formatNumber(e.value)}${e.maxHp ? ` / ${formatNumber(e.maxHp)}` : ""}` : "",
+                ];
+                tr.append(...cells.map((text, col) => {
+                    const td = document.createElement("td");
+                    if (col >= 2) td.className = col === 2 ? "col-damage" : "col-hits";
+                    td.textContent = text;
+                    return td;
+                }));
+                return tr;
+            }));
+
+            const taken = events.filter((e) => e.type === "damage").reduce((s, e) => s + e.value, 0);
+            const healed = events.filter((e) => e.type === "heal").reduce((s, e) => s + e.value, 0);
+            Dom.deaths.footer.textContent =
+                `${death.name || `#${death.uid}`}: ${formatNumber(taken)} taken, ${formatNumber(healed)} healed in the last ${Math.round(-(events[0]?.dt ?? 0) / 1000)}s`;
+        },
+    };
+
     // ==========================================================================
     // 9) UI actions (contrôleurs)
     //    SRP: actions utilisateur + orchestration d’autres modules.
@@ -584,6 +1003,8 @@
                 if (result.code === 0) {
                     State.users = {};
                     State.skillsByUser = {};
+                    State.takenByUser = {};
+                    Data.resetSegments();
                     Data.updateAll();
                     UI.resetSpellPopup();
                     Spells.closeWindowIfAny();
@@ -660,6 +1081,7 @@
                 State.wsConnected = true;
                 setServerStatus("connected");
                 State.lastWsMessageTs = Date.now();
+                Data.loadSegments();
             });
 
             State.socket.on("disconnect", () => {
@@ -675,9 +1097,29 @@
                 State.lastWsMessageTs = Date.now();
             });
 
+            State.socket.on("capture_state", ({ state }) => {
+                State.captureState = state;
+                const message = {
+                    searching: "Waiting for game server…",
+                    lost: "Game server lost, waiting for it to come back…",
+                }[state];
+                Dom.captureState.textContent = message ?? "";
+                Dom.captureState.className = `capture-state ${state}${message ? "" : " hidden"}`;
+            });
+
+            State.socket.on("segment_ended", (segment) => Data.updateSegments([...State.segments, segment]));
+
+            State.socket.on("targets", ({ data, filter }) => Data.updateTargets(data, filter));
+            State.socket.on("target_filter", (filter) => Data.updateTargets(State.targets, filter));
+
+            State.socket.on("death", () => {
+                if (Deaths.isOpen()) Deaths.refresh();
+            });
+
             State.socket.on("user_deleted", ({ uid }) => {
                 delete State.users[uid];
                 delete State.skillsByUser[uid];
+                delete State.takenByUser[uid];
                 Data.updateAll();
                 if (State.currentSpellUserId === uid) Spells.closeWindowIfAny();
             });
@@ -690,12 +1132,14 @@
             State.socket.on('session_started', (data) => {
                 setServerStatus('cleared');
                 State.users = {};
+                Data.resetSegments();
                 Renderer.renderDataList([], State.activeTab);
             });
 
             State.socket.on('session_changed', (data) => {
                 setServerStatus('cleared');
                 State.users = {};
+                Data.resetSegments();
                 Renderer.renderDataList([], State.activeTab);
             });
         },
@@ -734,6 +1178,15 @@
             });
         });
 
+        Dom.flowFilter.addEventListener("change", () => {
+            State.flowFilter = Dom.flowFilter.value;
+            Data.updateAll();
+        });
+
+        Dom.targetFilter.addEventListener("change", () => Data.sendTargetFilter(Dom.targetFilter.value));
+        Dom.segmentFilter.addEventListener("change", () => Data.selectSegment(Dom.segmentFilter.value));
+        Dom.deaths.close.addEventListener("click", Deaths.close);
+
         Dom.opacity.addEventListener("input", (e) => setBackgroundOpacity(e.target.value));
         setBackgroundOpacity(Dom.opacity.value);
 
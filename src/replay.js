@@ -0,0 +1,69 @@
+// src/replay.js (ESM) — rejoue une capture .pcap/.pcapng sans lancer l'application.
+//   npm run replay -- <capture.pcapng> [--speed <facteur>] [--logs <dossier>]
+// Chaque segment (changement d'instance) devient une entrée d'historique dans le dossier de logs.
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import logger from './services/Logger.js';
+import { replayCaptureFile, CAPTURE_FILE_EXTENSIONS } from './services/PcapReplay.js';
+
+const USAGE = 'Usage: npm run replay -- <capture.pcap|capture.pcapng> [--speed <factor>] [--logs <dir>]';
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            speed: { type: 'string', default: '0' },
+            logs: { type: 'string', default: './logs' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    if (values.help || positionals.length !== 1) {
+        console.log(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    const filePath = path.resolve(positionals[0]);
+    if (!CAPTURE_FILE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        console.error(`Not a .pcap or .pcapng file: ${filePath}`);
+        return 2;
+    }
+    const stat = await fsPromises.stat(filePath).catch(() => null);
+    if (!stat?.isFile()) {
+        console.error(`Capture file not found: ${filePath}`);
+        return 2;
+    }
+    const speed = Number(values.speed);
+    if (!Number.isFinite(speed) || speed < 0) {
+        console.error(`Invalid speed: ${values.speed}`);
+        return 2;
+    }
+
+    let lastPercent = -1;
+    const result = await replayCaptureFile(filePath, {
+        speed,
+        onProgress: ({ percent }) => {
+            const rounded = Math.floor(percent / 10) * 10;
+            if (rounded === lastPercent) return;
+            lastPercent = rounded;
+            logger.info(`Replay: ${rounded}%`);
+        },
+    });
+
+    const { userDataManager: udm, packets, skipped, startTime, endTime } = result;
+    const history = startTime != null ? await udm.saveReplayHistory({ endTime, logsDir: values.logs }) : [];
+    logger.info(`Replay finished: ${packets} packets, ${skipped} skipped`);
+    for (const entry of history) logger.info(`Saved history entry ${path.join(values.logs, String(entry))}`);
+    if (!history.length) logger.warn('No player data found in the capture');
+    return 0;
+}
+
+main().then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (err) => {
+        logger.error(`Replay failed: ${err.message}`);
+        process.exitCode = 1;
+    }
+);
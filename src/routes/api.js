@@ -6,6 +6,13 @@ import logger from '../services/Logger.js';
 import userDataManager from '../services/UserDataManager.js';
 import socket from '../services/Socket.js';
 import * as Sessions from '../services/Sessions.js';
+import cap, { pcapLoadError } from '../services/PcapDriver.js';
+import { PacketInterceptor } from '../services/PacketInterceptor.js';
+import { describeDevices } from '../services/NetInterfaceService.js';
+import { recomputeGameStream } from '../services/GameStreamReplay.js';
+import { CAPTURE_FILE_EXTENSIONS } from '../services/PcapReplay.js';
+import { createFlowContext } from '../services/CapturePipeline.js';
+import { GAME_STREAM_FILENAME } from '../models/GameStreamFile.js';
 import mapNames from '../tables/map_names.json' with { type: 'json' };
 
 /* -------------------------------------------------------------------------- */
@@ -43,9 +50,10 @@ const saveCurrentSessionIfAny = async () => {
     if (!previous || !hadPlayers) return { saved: false };
 
     const savedUsers = new Map(userDataManager.users);
-    const snapshotUsers = userDataManager.getAllUsersData();
+    const snapshotUsers = userDataManager.getAllUsersData({ applyRosterFilter: true });
 
     const players = Array.from(savedUsers.keys())
+        .filter((uid) => userDataManager._rosterAllows(uid))
         .map((uid) => userDataManager._buildPlayerSnapshot(uid))
         .filter(Boolean);
 
@@ -67,6 +75,9 @@ const saveCurrentSessionIfAny = async () => {
         instanceId: previous.instanceId,
         fromInstance: previous.fromInstance,
         partySize: players.length,
+        deaths: userDataManager.getDeaths(undefined, { applyRosterFilter: true }),
+        enemies: userDataManager.getEnemies({ damagedOnly: true }),
+        segments: userDataManager.getSegments({ withPlayers: true }),
         snapshot: { usersAgg: snapshotUsers, players },
     };
 
@@ -75,6 +86,31 @@ const saveCurrentSessionIfAny = async () => {
     return { saved: true, session: sessionToSave };
 };
 
+/** Fichiers d'un historique réécrits par un recalcul. */
+const HISTORY_RESULT_FILES = ['allUserData.json', 'summary.json', 'users'];
+const HISTORY_BACKUP_DIR = 'original';
+
+/**
+ * Copie le résultat d'origine d'un historique dans `<logDir>/original` avant un recalcul.
+ * Les recalculs suivants gardent la toute première copie.
+ */
+const backupHistoryEntry = async (logDir) => {
+    const backupDir = path.join(logDir, HISTORY_BACKUP_DIR);
+    try {
+        await fs.access(backupDir);
+        return;
+    } catch {
+        await fs.mkdir(backupDir, { recursive: true });
+    }
+    for (const name of HISTORY_RESULT_FILES) {
+        try {
+            await fs.cp(path.join(logDir, name), path.join(backupDir, name), { recursive: true });
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+};
+
 /* -------------------------------------------------------------------------- */
 /*                               Router factory                               */
 /* -------------------------------------------------------------------------- */
@@ -100,17 +136,80 @@ export function createApiRouter(isPausedInit, SETTINGS_PATH, LOGS_DIR) {
         return abs;
     };
 
+    const readGlobalSettings = () => globalThis.globalSettings ?? {};
+    const writeGlobalSettings = async (next) => {
+        globalThis.globalSettings = next;
+        await fs.writeFile(SETTINGS_PATH, JSON.stringify(next, null, 2), 'utf8');
+    };
+
     // Middleware JSON
     router.use(express.json());
 
     // --------------------------- LIVE DATA ------------------------------------
 
-    router.get('/data', (_req, res) => {
-        res.json(JSON_OK({ user: userDataManager.getAllUsersData() }));
+    /** ?flow=<id> limite aux joueurs vus sur une connexion de jeu donnée. */
+    router.get('/data', (req, res) => {
+        const user = userDataManager.getAllUsersData({ applyTargetFilter: true, applyRosterFilter: true });
+        if (req.query.flow === undefined) return res.json(JSON_OK({ user }));
+
+        const flow = PacketInterceptor.livePipeline?.describeFlows().find((f) => String(f.id) === req.query.flow);
+        if (!flow) return res.status(404).json(JSON_ERR('Flow not found'));
+        const uids = new Set(flow.uids.map(String));
+        res.json(JSON_OK({ user: Object.fromEntries(Object.entries(user).filter(([uid]) => uids.has(uid))) }));
+    });
+
+    /**
+     * enemy: ennemis vivants (PV courants); data: tous les ennemis de la session avec durée de vie,
+     * temps de mise à mort et tueur. ?damaged=1 ne garde que les ennemis frappés, ?timeline=0 retire les courbes de PV.
+     */
+    router.get('/enemies', (req, res) => {
+        const data = userDataManager.getEnemies({
+            damagedOnly: req.query.damaged === '1',
+            timeline: req.query.timeline !== '0',
+        });
+        res.json(JSON_OK({ enemy: userDataManager.getAllEnemiesData(), data }));
+    });
+
+    // ---------------------------- TARGETS -------------------------------------
+
+    router.get('/targets', (_req, res) => {
+        res.json(JSON_OK({ data: userDataManager.getTargets(), filter: userDataManager.targetFilter }));
+    });
+
+    router.get('/target-filter', (_req, res) => {
+        res.json(JSON_OK({ filter: userDataManager.targetFilter }));
+    });
+
+    /** Body: { mode: 'all' } | { mode: 'enemy', uid } | { mode: 'maxHp', minMaxHp? } */
+    router.post('/target-filter', (req, res) => {
+        try {
+            const filter = userDataManager.setTargetFilter(req.body ?? {});
+            res.json(JSON_OK({ filter }));
+        } catch (e) {
+            res.status(400).json(JSON_ERR(e.message));
+        }
+    });
+
+    // ----------------------------- ROSTER -------------------------------------
+
+    /** Joueurs locaux et leur équipe / raid; users: relation de chaque joueur de la session. */
+    router.get('/roster', (_req, res) => {
+        const users = Object.fromEntries(userDataManager.getUserIds().map((uid) => [uid, userDataManager.getRelation(uid)]));
+        res.json(JSON_OK({ data: { ...userDataManager.roster.describe(), users } }));
+    });
+
+    // ---------------------------- SEGMENTS ------------------------------------
+
+    /** Combats (pulls) de la session en cours, le combat en cours en dernier (active). */
+    router.get('/segments', (_req, res) => {
+        res.json(JSON_OK({ data: userDataManager.getSegments() }));
     });
 
-    router.get('/enemies', (_req, res) => {
-        res.json(JSON_OK({ enemy: userDataManager.getAllEnemiesData() }));
+    /** Un combat avec les stats de chaque joueur; :id = current pour le combat en cours (ou le dernier). */
+    router.get('/segments/:id', (req, res) => {
+        const segment = userDataManager.getSegment(req.params.id);
+        if (!segment) return res.status(404).json(JSON_ERR('Segment not found'));
+        res.json(JSON_OK({ data: segment }));
     });
 
     // ---------------------- CLEAR + AUTO-RESTART ------------------------------
@@ -178,11 +277,33 @@ export function createApiRouter(isPausedInit, SETTINGS_PATH, LOGS_DIR) {
     router.get('/skill/:uid', (req, res) => {
         const uid = Number.parseInt(req.params.uid, 10);
         if (Number.isNaN(uid)) return res.status(400).json(JSON_ERR('Invalid uid'));
-        const skillData = userDataManager.getUserSkillData(uid);
+        const skillData = userDataManager.getUserSkillData(uid, { details: true });
         if (!skillData) return res.status(404).json(JSON_ERR('User not found'));
         res.json(JSON_OK({ data: skillData }));
     });
 
+    router.get('/taken', (_req, res) => {
+        res.json(JSON_OK({ data: userDataManager.getTakenData({ applyRosterFilter: true }) }));
+    });
+
+    router.get('/buffs', (_req, res) => {
+        res.json(JSON_OK({ data: userDataManager.getBuffTable() }));
+    });
+
+    /** ?uid=<uid> limite aux morts d'un joueur. */
+    router.get('/deaths', (req, res) => {
+        let uid;
+        if (req.query.uid !== undefined) {
+            uid = Number.parseInt(req.query.uid, 10);
+            if (Number.isNaN(uid)) return res.status(400).json(JSON_ERR('Invalid uid'));
+        }
+        res.json(JSON_OK({ data: userDataManager.getDeaths(uid, { applyRosterFilter: true }) }));
+    });
+
+    router.get('/healing/matrix', (_req, res) => {
+        res.json(JSON_OK({ data: userDataManager.getHealingMatrix() }));
+    });
+
     // ----------------------- HISTORY FILES (logs/) ----------------------------
 
     router.get(
@@ -269,6 +390,40 @@ export function createApiRouter(isPausedInit, SETTINGS_PATH, LOGS_DIR) {
         })
     );
 
+    /**
+     * Recalcule un historique à partir de son flux de jeu enregistré (stream.bin).
+     * Le résultat d'origine est gardé dans `<timestamp>/original`.
+     */
+    router.post(
+        '/history/:timestamp/recompute',
+        asyncHandler(async (req, res) => {
+            const { timestamp } = req.params;
+            if (!isDigits(timestamp)) return res.status(400).json(JSON_ERR('Invalid timestamp'));
+
+            const logDir = safeJoinLogs(timestamp);
+            const file = safeJoinLogs(timestamp, GAME_STREAM_FILENAME);
+            try {
+                await fs.access(file);
+            } catch {
+                logger.warn('History game stream not found:', file);
+                return res.status(404).json(JSON_ERR('History game stream not found'));
+            }
+
+            try {
+                const { userDataManager: udm, frames, endTime } = await recomputeGameStream(file, {
+                    createFlowContext,
+                });
+                const userCount = udm._getAllUserEntries().length;
+                await backupHistoryEntry(logDir);
+                const history = await udm.saveReplayHistory({ endTime, logsDir: LOGS_DIR });
+                res.json(JSON_OK({ data: { frames, userCount, history, user: udm.getAllUsersData() } }));
+            } catch (error) {
+                logger.error('Failed to recompute history:', error);
+                res.status(500).json(JSON_ERR('Failed to recompute history'));
+            }
+        })
+    );
+
     router.get(
         '/history/list',
         asyncHandler(async (_req, res) => {
@@ -327,13 +482,134 @@ export function createApiRouter(isPausedInit, SETTINGS_PATH, LOGS_DIR) {
         }
     });
 
-    // ----------------------------- SETTINGS -----------------------------------
+    // ------------------------------ CAPTURE -----------------------------------
 
-    const readGlobalSettings = () => globalThis.globalSettings ?? {};
-    const writeGlobalSettings = async (next) => {
-        globalThis.globalSettings = next;
-        await fs.writeFile(SETTINGS_PATH, JSON.stringify(next, null, 2), 'utf8');
-    };
+    /** Rejoue un fichier .pcap/.pcapng hors de la session en cours; le résultat va dans l'historique. */
+    router.post(
+        '/capture/replay',
+        asyncHandler(async (req, res) => {
+            const { path: filePath, speed } = req.body || {};
+            if (typeof filePath !== 'string' || !filePath.trim()) {
+                return res.status(400).json(JSON_ERR('Missing capture file path'));
+            }
+            const speedFactor = speed === undefined ? 0 : Number(speed);
+            if (!Number.isFinite(speedFactor) || speedFactor < 0) {
+                return res.status(400).json(JSON_ERR('Invalid speed'));
+            }
+            const absPath = path.resolve(filePath);
+            if (!CAPTURE_FILE_EXTENSIONS.includes(path.extname(absPath).toLowerCase())) {
+                return res.status(400).json(JSON_ERR('Capture file must be a .pcap or .pcapng file'));
+            }
+            let stat;
+            try {
+                stat = await fs.stat(absPath);
+            } catch {
+                return res.status(404).json(JSON_ERR('Capture file not found'));
+            }
+            if (!stat.isFile()) return res.status(400).json(JSON_ERR('Capture file path is not a file'));
+            if (PacketInterceptor.getReplayStatus().running) {
+                return res.status(409).json(JSON_ERR('A replay is already running'));
+            }
+            res.json(JSON_OK({ data: PacketInterceptor.startReplay(absPath, speedFactor) }));
+        })
+    );
+
+    router.get('/capture/replay', (_req, res) => {
+        res.json(JSON_OK({ data: PacketInterceptor.getReplayStatus() }));
+    });
+
+    router.delete('/capture/replay', (_req, res) => {
+        if (!PacketInterceptor.cancelReplay()) return res.status(404).json(JSON_ERR('No replay running'));
+        res.json(JSON_OK({ data: PacketInterceptor.getReplayStatus() }));
+    });
+
+    /** Liste les interfaces de capture (adresses, virtuelle ?, trafic TCP récent; ?traffic=0: sans nouvel échantillon). */
+    router.get(
+        '/capture/devices',
+        asyncHandler(async (req, res) => {
+            if (!cap) return res.status(503).json(JSON_ERR(`Packet capture driver unavailable: ${pcapLoadError?.message}`));
+            const devices = cap.deviceList();
+            const data = await describeDevices(devices, { traffic: req.query.traffic !== '0' });
+            const active = PacketInterceptor.capture?.device ?? null;
+            res.json(JSON_OK({ data: data.map((d) => ({ ...d, active: d.name === active })) }));
+        })
+    );
+
+    /** Connexions de jeu suivies (une par client local / serveur de scène). */
+    router.get('/capture/flows', (_req, res) => {
+        res.json(JSON_OK({ data: PacketInterceptor.livePipeline?.describeFlows() ?? [] }));
+    });
+
+    /** Santé de la chaîne capture -> réassemblage -> décodage (aussi émise en socket 'diagnostics'). */
+    router.get('/diagnostics', (_req, res) => {
+        res.json(JSON_OK({ data: PacketInterceptor.getDiagnostics() }));
+    });
+
+    /** Messages ignorés par le décodeur (collecteur opt-in, réglage protocolResearch). */
+    router.get('/debug/protocol', (_req, res) => {
+        res.json(JSON_OK({ data: PacketInterceptor.getResearch() }));
+    });
+
+    /** Active/désactive le collecteur et mémorise le choix. */
+    router.post(
+        '/debug/protocol',
+        asyncHandler(async (req, res) => {
+            const { enabled } = req.body || {};
+            if (typeof enabled !== 'boolean') {
+                return res.status(400).json(JSON_ERR('enabled must be a boolean'));
+            }
+            PacketInterceptor.configureResearch({ enabled });
+            await writeGlobalSettings({ ...readGlobalSettings(), protocolResearch: enabled });
+            res.json(JSON_OK({ data: { enabled } }));
+        })
+    );
+
+    /** Packs de schémas protobuf chargés, pack actif et décodages repassés sur le schéma intégré. */
+    router.get('/schemas', (_req, res) => {
+        res.json(JSON_OK({ data: PacketInterceptor.getSchemas() }));
+    });
+
+    /** Recharge les packs (après en avoir déposé un nouveau ou changé gameClientVersion). */
+    router.post('/schemas/reload', (_req, res) => {
+        res.json(JSON_OK({ data: PacketInterceptor.loadSchemas() }));
+    });
+
+    router.get('/capture/device', (_req, res) => {
+        const capture = PacketInterceptor.capture;
+        res.json(JSON_OK({ data: capture ? { device: capture.device, linkType: capture.linkType } : null }));
+    });
+
+    /** Mode sans pcap: adresse du relais TCP (réglages captureMode/relayTarget/relayListenPort). */
+    router.get('/capture/relay', (_req, res) => {
+        res.json(JSON_OK({ data: PacketInterceptor.getRelayStatus() }));
+    });
+
+    /** Bascule la capture live sur une autre interface et mémorise le choix. */
+    router.post(
+        '/capture/device',
+        asyncHandler(async (req, res) => {
+            const { device } = req.body || {};
+            if (typeof device !== 'string' || !device) {
+                return res.status(400).json(JSON_ERR('Missing device name'));
+            }
+            if (!cap) return res.status(503).json(JSON_ERR(`Packet capture driver unavailable: ${pcapLoadError?.message}`));
+            if (!cap.deviceList().some((d) => d.name === device)) {
+                return res.status(404).json(JSON_ERR('Capture device not found'));
+            }
+
+            let data;
+            try {
+                data = PacketInterceptor.switchDevice(device);
+            } catch (e) {
+                logger.error('[POST /api/capture/device] switch failed:', e);
+                return res.status(500).json(JSON_ERR(e.message));
+            }
+            await writeGlobalSettings({ ...readGlobalSettings(), captureDevice: device });
+            res.json(JSON_OK({ data }));
+        })
+    );
+
+    // ----------------------------- SETTINGS -----------------------------------
 
     router.get('/settings', (_req, res) => {
         res.json(JSON_OK({ data: readGlobalSettings() }));
@@ -19,7 +19,7 @@ const __dirname = path.dirname(__filename);
 let isPaused = false;
 
 class Server {
-    /** @param {{ publicDir:string, settingsPath:string, logsDir:string }} paths */
+    /** @param {{ publicDir:string, settingsPath:string, logsDir:string, schemasDir?:string }} paths */
     start = async (paths) =>
         new Promise(async (resolve, reject) => {
             try {
@@ -86,6 +86,8 @@ class Server {
 
                 this._configureProcessEvents();
                 this._configureSocketEmitter();
+                this._configureDiagnosticsEmitter();
+                this._configureTargetsEmitter();
                 this._configureSocketListener();
 
                 // ---------- Port libre ----------
@@ -108,7 +110,7 @@ class Server {
                     const finalUrl = url || `http://localhost:${server_port}`;
                     resolve(finalUrl);
                 };
-                PacketInterceptor.start(this.server, server_port, safeResolve, reject);
+                PacketInterceptor.start(this.server, server_port, safeResolve, reject, { schemasDir: paths.schemasDir });
             } catch (error) {
                 console.error('Error during server startup:', error);
                 reject(error);
@@ -127,6 +129,13 @@ class Server {
                         autoClearOnServerChange: true,
                         autoClearOnTimeout: false,
                         onlyRecordEliteDummy: false,
+                        recordGameStream: true,
+                        captureMode: 'pcap',
+                        bossMinMaxHp: 10000000,
+                        shieldBuffIds: [],
+                        protocolResearch: false,
+                        gameClientVersion: null,
+                        onlyPartyMembers: false,
                     },
                     null,
                     2
@@ -146,21 +155,44 @@ class Server {
         setInterval(() => {
             if (!isPaused) {
                 userDataManager.updateAllRealtimeDps();
-                const userData = userDataManager.getAllUsersData();
+                const userData = userDataManager.getAllUsersData({ applyTargetFilter: true, applyRosterFilter: true });
                 const skillData = {};
                 for (const uid in userData) {
                     if (Object.prototype.hasOwnProperty.call(userData, uid)) {
                         skillData[uid] = userDataManager.getUserSkillData(uid);
                     }
                 }
-                socket.emit('data', { code: 0, user: userData, skills: skillData });
+                const flows = PacketInterceptor.livePipeline?.describeFlows() ?? [];
+                // la liste des combats suit l'évènement segment_ended et /api/segments
+                const currentSegment = userDataManager.getSegment('current');
+                socket.emit('data', { code: 0, user: userData, skills: skillData, flows, currentSegment });
             }
         }, 100);
     }
 
+    /** Liste des cibles, envoyée seulement quand elle change (nouvel ennemi, mort, nom ou PV max connus). */
+    _configureTargetsEmitter() {
+        let lastSignature = '';
+        setInterval(() => {
+            const targets = userDataManager.getTargets();
+            const signature = targets.map((t) => `${t.uid}:${t.name}:${t.maxHp}:${t.alive}`).join('|');
+            if (signature === lastSignature) return;
+            lastSignature = signature;
+            socket.emit('targets', { data: targets, filter: userDataManager.targetFilter });
+        }, 1000);
+    }
+
+    _configureDiagnosticsEmitter() {
+        setInterval(() => {
+            socket.emit('diagnostics', PacketInterceptor.getDiagnostics());
+        }, 1000);
+    }
+
     _configureSocketListener() {
         socket.on('connection', (sock) => {
             logger.info(`WebSocket client connected: ${sock.id}`);
+            sock.emit('capture_state', PacketInterceptor.getCaptureState());
+            sock.emit('targets', { data: userDataManager.getTargets(), filter: userDataManager.targetFilter });
             sock.on('disconnect', () => {
                 logger.info(`WebSocket client disconnected: ${sock.id}`);
             });
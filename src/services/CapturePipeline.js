@@ -0,0 +1,347 @@
+// décodeurs JS seuls: l'addon natif de cap ne peut être chargé que dans un thread
+import decoders from 'cap/lib/Decoders.js';
+import logger from './Logger.js';
+import defaultUserDataManager from './UserDataManager.js';
+import defaultDiagnostics from './Diagnostics.js';
+
+import { PacketProcessor } from './PacketProcessor.js';
+import { InstanceTracker } from './InstanceTracker.js';
+import { Lock } from '../models/Lock.js';
+import { TcpReassembler } from '../models/TcpReassembler.js';
+import { GameFrameSplitter } from '../models/GameFrameSplitter.js';
+import { extractIpv6Segment } from '../models/Ipv6Packet.js';
+import { LINK_TYPE, HOST_BYTE_ORDER, locateNetworkLayer } from '../models/LinkLayer.js';
+import { CaptureState } from '../models/CaptureState.js';
+import { identifyServer } from './ServerIdentification.js';
+
+const PROTOCOL = decoders.PROTOCOL;
+
+const FRAGMENT_TIMEOUT = 30000;
+const FLOW_IDLE_TIMEOUT = 30000;
+const DRAIN_YIELD_EVERY = 500;
+
+export { LINK_TYPE };
+
+/**
+ * Builds the per-connection decoding context: a `PacketProcessor` and its own `InstanceTracker`.
+ * Only the primary connection may segment sessions or clear the enemy cache on instance changes.
+ * @param {import('./UserDataManager.js').UserDataManager} udm The statistics sink shared by all connections.
+ * @param {() => boolean} isPrimary Tells whether this connection is currently the primary one.
+ * @returns {{instanceTracker:InstanceTracker, processor:PacketProcessor}}
+ */
+export function createFlowContext(udm, isPrimary) {
+    const trackerHost = {
+        addLog: (msg) => udm.addLog(msg),
+        get enemyCache() {
+            return isPrimary() ? udm.enemyCache : null;
+        },
+        onInstanceChanged: (...args) => {
+            if (isPrimary()) udm.onInstanceChanged(...args);
+        },
+    };
+    const instanceTracker = new InstanceTracker({ logger, userDataManager: trackerHost });
+    const processor = new PacketProcessor({ userDataManager: udm, instanceTracker });
+    return { instanceTracker, processor };
+}
+
+/**
+ * Turns captured frames into game packets: IPv4/IPv6 decoding and defragmentation, scene server
+ * identification, TCP reassembly, then `PacketProcessor.processPacket`.
+ *
+ * One pipeline holds the state of one capture source (live device or replayed file).
+ * Every identified game connection is a separate flow, keyed by its server -> client
+ * 4-tuple, with its own reassembly state, `PacketProcessor` and `InstanceTracker`, so
+ * several local clients (or a reconnect to another scene server) do not clobber each other.
+ * All flows feed the same UserDataManager; the most recently identified flow drives
+ * session segmentation on instance changes.
+ */
+export class CapturePipeline {
+    /**
+     * @param {object} [opts]
+     * @param {{write:(frame:Buffer, timestamp:number, flowId:number) => void}} [opts.recorder] Receives every game frame once processed.
+     * @param {import('./UserDataManager.js').UserDataManager} [opts.userDataManager] Defaults to the live one.
+     * @param {import('./Diagnostics.js').Diagnostics} [opts.diagnostics] Health counters, defaults to the global ones.
+     * @param {(state:object) => void} [opts.onStateChange] Called on `capture_state` transitions.
+     */
+    constructor(opts = {}) {
+        this.recorder = opts.recorder ?? null;
+        this.userDataManager = opts.userDataManager ?? defaultUserDataManager;
+        this.diagnostics = opts.diagnostics ?? defaultDiagnostics;
+        this.captureState = new CaptureState(opts.onStateChange);
+        this.flows = new Map();
+        this.tcpLock = new Lock();
+        this.fragmentIpCache = new Map();
+        this._nextFlowId = 1;
+        this.queue = [];
+        this._draining = false;
+        // cumulés sur toutes les connexions, y compris celles déjà fermées
+        this.stats = { gaps: 0, skippedBytes: 0, resyncs: 0, droppedBytes: 0 };
+    }
+
+    /** The flow allowed to trigger instance changes: the most recently identified one. */
+    get primaryFlow() {
+        let primary = null;
+        for (const flow of this.flows.values()) {
+            if (!primary || flow.identifiedAt >= primary.identifiedAt) primary = flow;
+        }
+        return primary;
+    }
+
+    /** Forgets every flow and all reassembly state. */
+    reset() {
+        this.queue.length = 0;
+        this.flows.clear();
+        this.fragmentIpCache.clear();
+        this.captureState.searching();
+    }
+
+    /**
+     * Queues a captured frame; queued frames are processed in order, outside the capture callback.
+     * The frame is copied, so the capture buffer can be reused right away.
+     * @param {Buffer} frameBuffer The raw frame.
+     * @param {number} [linkType] Link-layer type of the frame.
+     * @param {number} [now] Capture time in ms.
+     * @param {'LE'|'BE'} [byteOrder] Byte order of the capturing host (DLT_NULL headers).
+     */
+    push(frameBuffer, linkType = LINK_TYPE.ETHERNET, now = Date.now(), byteOrder = HOST_BYTE_ORDER) {
+        this.queue.push({ frameBuffer: Buffer.from(frameBuffer), linkType, now, byteOrder });
+        if (!this._draining) this.#drainQueue();
+    }
+
+    async #drainQueue() {
+        this._draining = true;
+        try {
+            let processed = 0;
+            while (this.queue.length) {
+                const { frameBuffer, linkType, now, byteOrder } = this.queue.shift();
+                try {
+                    await this.processFrame(frameBuffer, linkType, now, byteOrder);
+                } catch (e) {
+                    logger.error(`Failed to process captured frame: ${e.stack || e.message}`);
+                }
+                // laisser respirer la boucle d'événements sur un gros arriéré
+                if (++processed % DRAIN_YIELD_EVERY === 0) await new Promise((r) => setImmediate(r));
+            }
+        } finally {
+            this._draining = false;
+        }
+    }
+
+    /** Summary of the tracked flows, for the API and the UI. */
+    describeFlows() {
+        const primary = this.primaryFlow;
+        return Array.from(this.flows.values()).map((flow) => {
+            const localUid = flow.instanceTracker.currentPlayerUid ?? null;
+            const localUser = localUid != null ? this.userDataManager._getAnyUser(localUid) : null;
+            return {
+                id: flow.id,
+                server: flow.server,
+                identifiedAt: flow.identifiedAt,
+                lastPacketAt: flow.lastPacketAt,
+                lastFrameAt: flow.lastFrameAt,
+                primary: flow === primary,
+                localUid,
+                localName: localUser?.name || null,
+                uids: Array.from(flow.processor.observedUids),
+                tcp: { ...flow.reassembler.stats, pendingSegments: flow.reassembler.pending.size },
+                frames: { ...flow.splitter.stats },
+            };
+        });
+    }
+
+    /** Reassembly health, for the diagnostics endpoint. */
+    describeHealth() {
+        return {
+            captureState: this.captureState.toJSON(),
+            queueDepth: this.queue.length,
+            fragmentsPending: this.fragmentIpCache.size,
+            tcp: { ...this.stats },
+            flows: this.describeFlows(),
+        };
+    }
+
+    #openFlow(server, nextSeq, now) {
+        const flow = {
+            id: this._nextFlowId++,
+            server,
+            identifiedAt: now,
+            lastPacketAt: now,
+            lastFrameAt: null,
+            instanceTracker: null,
+            processor: null,
+            reassembler: null,
+            splitter: null,
+        };
+
+        Object.assign(flow, createFlowContext(this.userDataManager, () => this.primaryFlow === flow));
+
+        flow.splitter = new GameFrameSplitter({
+            onFrame: (frame) => {
+                flow.lastFrameAt = flow.lastPacketAt;
+                this.diagnostics.countFrame();
+                flow.processor.processPacket(frame);
+                this.recorder?.write(frame, flow.lastPacketAt, flow.id);
+            },
+            onResync: (reason, droppedBytes) => {
+                this.stats.resyncs++;
+                this.stats.droppedBytes += droppedBytes;
+                logger.warn(`Resynchronised ${server} after ${reason}, ${droppedBytes} bytes dropped`);
+            },
+        });
+        flow.reassembler = new TcpReassembler({
+            nextSeq,
+            onData: (data) => flow.splitter.push(data),
+            onGap: (skippedBytes) => {
+                this.stats.gaps++;
+                this.stats.skippedBytes += skippedBytes;
+                logger.warn(`Lost ${skippedBytes} bytes of ${server}, skipping to the next frame`);
+                flow.splitter.gap();
+            },
+        });
+
+        this.flows.set(server, flow);
+        this.captureState.locked(server);
+        return flow;
+    }
+
+    getTCPPacket(frameBuffer, ipOffset, now = Date.now()) {
+        const ipPacket = decoders.IPV4(frameBuffer, ipOffset);
+        const ipId = ipPacket.info.id;
+        const isFragment = (ipPacket.info.flags & 0x1) !== 0;
+        const _key = `${ipId}-${ipPacket.info.srcaddr}-${ipPacket.info.dstaddr}-${ipPacket.info.protocol}`;
+
+        if (isFragment || ipPacket.info.fragoffset > 0) {
+            if (!this.fragmentIpCache.has(_key)) {
+                this.fragmentIpCache.set(_key, { fragments: [], timestamp: now });
+            }
+            const cacheEntry = this.fragmentIpCache.get(_key);
+            cacheEntry.fragments.push(Buffer.from(frameBuffer.subarray(ipOffset)));
+            cacheEntry.timestamp = now;
+
+            if (isFragment) return null;
+
+            const { fragments } = cacheEntry;
+            if (!fragments) {
+                logger.error(`Can't find fragments for ${_key}`);
+                return null;
+            }
+
+            let totalLength = 0;
+            const fragmentData = [];
+            for (const buffer of fragments) {
+                const ip = decoders.IPV4(buffer);
+                const fragmentOffset = ip.info.fragoffset * 8;
+                const payloadLength = ip.info.totallen - ip.hdrlen;
+                const payload = Buffer.from(buffer.subarray(ip.offset, ip.offset + payloadLength));
+                fragmentData.push({ offset: fragmentOffset, payload });
+                const endOffset = fragmentOffset + payloadLength;
+                if (endOffset > totalLength) totalLength = endOffset;
+            }
+
+            const fullPayload = Buffer.alloc(totalLength);
+            for (const fragment of fragmentData) {
+                fragment.payload.copy(fullPayload, fragment.offset);
+            }
+            this.fragmentIpCache.delete(_key);
+            return fullPayload;
+        }
+        return Buffer.from(
+            frameBuffer.subarray(ipPacket.offset, ipPacket.offset + (ipPacket.info.totallen - ipPacket.hdrlen))
+        );
+    }
+
+    /**
+     * Extracts the TCP segment of an IPv6 packet, walking extension headers and
+     * reassembling fragments (they are kept in `fragmentIpCache` like IPv4 ones).
+     * @returns {{srcaddr:string, dstaddr:string, payload:Buffer}|null} Null if not TCP or not complete yet.
+     */
+    getIpv6Payload(frameBuffer, ipOffset, now = Date.now()) {
+        return extractIpv6Segment(this.fragmentIpCache, frameBuffer, ipOffset, now);
+    }
+
+    /**
+     * Feeds one captured frame through the pipeline.
+     * @param {Buffer} frameBuffer The raw frame.
+     * @param {number} [linkType] Link-layer type of the frame (defaults to Ethernet).
+     * @param {number} [now] Capture time in ms, used for the reassembly timeouts.
+     * @param {'LE'|'BE'} [byteOrder] Byte order declared by the capture file, defaults to this host's.
+     */
+    async processFrame(frameBuffer, linkType = LINK_TYPE.ETHERNET, now = Date.now(), byteOrder = HOST_BYTE_ORDER) {
+        this.diagnostics.countProcessed();
+        const network = locateNetworkLayer(frameBuffer, linkType, byteOrder);
+        if (!network) return;
+
+        let srcaddr, dstaddr, tcpBuffer;
+        if (network.type === PROTOCOL.ETHERNET.IPV4) {
+            const ipPacket = decoders.IPV4(frameBuffer, network.offset);
+            if (ipPacket.info.protocol !== PROTOCOL.IP.TCP) return;
+            ({ srcaddr, dstaddr } = ipPacket.info);
+            tcpBuffer = this.getTCPPacket(frameBuffer, network.offset, now);
+        } else if (network.type === PROTOCOL.ETHERNET.IPV6) {
+            const segment = this.getIpv6Payload(frameBuffer, network.offset, now);
+            if (segment === null) return;
+            srcaddr = `[${segment.srcaddr}]`;
+            dstaddr = `[${segment.dstaddr}]`;
+            tcpBuffer = segment.payload;
+        } else {
+            return;
+        }
+        if (tcpBuffer === null) return;
+
+        const tcpPacket = decoders.TCP(tcpBuffer);
+        const buf = Buffer.from(tcpBuffer.subarray(tcpPacket.hdrlen));
+        const { srcport, dstport } = tcpPacket.info;
+        const src_server = `${srcaddr}:${srcport} -> ${dstaddr}:${dstport}`;
+
+        await this.tcpLock.acquire();
+        try {
+            const flow = this.flows.get(src_server);
+            if (!flow) {
+                this.#identifyServer(src_server, buf, tcpPacket.info.seqno, now);
+                return;
+            }
+
+            flow.lastPacketAt = now;
+            flow.reassembler.push(tcpPacket.info.seqno, buf, now);
+        } finally {
+            this.tcpLock.release();
+        }
+    }
+
+    /** Opens a flow if one of the registered identification strategies recognises `buf`. */
+    #identifyServer(src_server, buf, seqno, now) {
+        const strategy = identifyServer(buf);
+        if (!strategy) return;
+        this.#openFlow(src_server, seqno + buf.length, now);
+        logger.info(`Got Scene Server Address (${strategy}): ${src_server}`);
+    }
+
+    /**
+     * Drops expired IP fragments, skips reassembly holes that will not be filled
+     * and forgets connections that stopped sending.
+     * @param {number} [now] Current time in ms (capture time when replaying).
+     */
+    sweep(now = Date.now()) {
+        let clearedFragments = 0;
+        this.fragmentIpCache.forEach((cacheEntry, key) => {
+            if (now - cacheEntry.timestamp > FRAGMENT_TIMEOUT) {
+                this.fragmentIpCache.delete(key);
+                clearedFragments++;
+            }
+        });
+        if (clearedFragments > 0) {
+            logger.debug(`Cleared ${clearedFragments} expired IP fragment caches`);
+        }
+        for (const [key, flow] of this.flows) {
+            if (now - flow.lastPacketAt > FLOW_IDLE_TIMEOUT) {
+                logger.warn(
+                    `Cannot capture the next packet of ${flow.server}! Is the game closed or disconnected? seq: ${flow.reassembler.nextSeq}`
+                );
+                this.flows.delete(key);
+                if (this.flows.size === 0) this.captureState.lost(flow.server);
+                continue;
+            }
+            flow.reassembler.checkGap(now);
+        }
+    }
+}
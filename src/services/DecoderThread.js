@@ -0,0 +1,217 @@
+import { Worker } from 'worker_threads';
+import logger from './Logger.js';
+
+const WORKER_URL = new URL('./DecoderWorker.js', import.meta.url);
+const RESTART_DELAY = 1000;
+
+// seules ces méthodes du UserDataManager peuvent être appelées par le worker
+const REMOTE_METHODS = new Set([
+    'addDamage',
+    'addHealing',
+    'addTakenDamage',
+    'addBuff',
+    'buffEffect',
+    'removeBuff',
+    'addLog',
+    'deleteEnemyData',
+    'setName',
+    'setProfession',
+    'setFightPoint',
+    'setAttrKV',
+    'setLocalPlayer',
+    'setTeam',
+    'onInstanceChanged',
+]);
+const ENEMY_FIELDS = new Set(['name', 'hp', 'maxHp']);
+const MAP_METHODS = new Set(['set', 'delete', 'clear']);
+
+/**
+ * Runs the capture pipeline (reassembly, zstd, protobuf) in a worker thread.
+ *
+ * Captured frames are posted to the worker in batches; the worker sends back the
+ * UserDataManager calls and recorded frames in the order the decoder produced them,
+ * and they are applied here, on the thread that owns the statistics.
+ * Exposes the same `push`/`reset`/`describeFlows`/`describeHealth` surface as `CapturePipeline`.
+ */
+export class DecoderThread {
+    /**
+     * @param {object} opts
+     * @param {import('./UserDataManager.js').UserDataManager} opts.userDataManager
+     * @param {{write:(frame:Buffer, timestamp:number, flowId:number) => void}} [opts.recorder]
+     * @param {(state:object) => void} [opts.onStateChange] Called on `capture_state` transitions in the worker.
+     */
+    constructor({ userDataManager, recorder = null, onStateChange = () => {} }) {
+        this.userDataManager = userDataManager;
+        this.recorder = recorder;
+        this.onStateChange = onStateChange;
+        this.worker = null;
+        this.state = null; // dernier état publié par le worker
+        this.researchOptions = null; // réglages du collecteur, renvoyés au worker s'il redémarre
+        this.schemaOptions = null; // idem pour les packs de schémas
+        this.stopped = false;
+
+        this._frames = [];
+        this._transfer = [];
+        this._flushScheduled = false;
+    }
+
+    /** Starts the worker; resolves once its modules are loaded, rejects if they cannot be. */
+    start() {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(WORKER_URL);
+            let online = false;
+
+            worker.on('message', (msg) => {
+                if (msg.type !== 'ready') return this.#onMessage(msg);
+                online = true;
+                this.worker = worker;
+                this.#sendKnownNames();
+                if (this.researchOptions) worker.postMessage({ type: 'research', options: this.researchOptions });
+                if (this.schemaOptions) worker.postMessage({ type: 'schemas', options: this.schemaOptions });
+                resolve();
+            });
+            worker.on('error', (err) => {
+                if (!online) return reject(err);
+                logger.error(`[DecoderThread] Worker error: ${err.stack || err.message}`);
+            });
+            worker.on('exit', (code) => {
+                if (this.worker === worker) this.worker = null;
+                if (!online || this.stopped) return;
+                logger.error(`[DecoderThread] Worker exited with code ${code}, restarting`);
+                this.state = null;
+                this.onStateChange({ state: 'searching', server: null, since: Date.now() });
+                setTimeout(() => {
+                    if (this.stopped) return;
+                    this.start().catch((e) => logger.error(`[DecoderThread] Restart failed: ${e.message}`));
+                }, RESTART_DELAY);
+            });
+        });
+    }
+
+    async stop() {
+        this.stopped = true;
+        await this.worker?.terminate();
+        this.worker = null;
+    }
+
+    /**
+     * Queues a captured frame for the worker. The frame is copied, so the capture buffer can be reused.
+     * @param {Buffer} frameBuffer The raw frame.
+     * @param {number} linkType Link-layer type of the frame.
+     * @param {number} [now] Capture time in ms.
+     */
+    push(frameBuffer, linkType, now = Date.now()) {
+        // copie à la taille exacte: transférée au worker sans recopier tout le pool
+        const data = new Uint8Array(frameBuffer);
+        this._frames.push({ data, linkType, now });
+        this._transfer.push(data.buffer);
+        if (!this._flushScheduled) {
+            this._flushScheduled = true;
+            setImmediate(() => this.#flush());
+        }
+    }
+
+    reset() {
+        this._frames = [];
+        this._transfer = [];
+        this.worker?.postMessage({ type: 'reset' });
+    }
+
+    describeFlows() {
+        return this.state?.health.flows ?? [];
+    }
+
+    describeHealth() {
+        if (!this.state) return null;
+        return {
+            ...this.state.health,
+            queueDepth: this.state.health.queueDepth + this._frames.length,
+            decoder: 'worker',
+        };
+    }
+
+    /** Decode counters of the worker (its own `Diagnostics` instance). */
+    decodeDiagnostics() {
+        return this.state?.diagnostics ?? null;
+    }
+
+    /** Sets up the unknown message collector of the worker (see `ProtocolResearch.configure`). */
+    configureResearch(options) {
+        this.researchOptions = { ...this.researchOptions, ...options };
+        this.worker?.postMessage({ type: 'research', options: this.researchOptions });
+    }
+
+    /** Unknown message counts collected by the worker. */
+    researchSnapshot() {
+        return this.state?.research ?? null;
+    }
+
+    /** Loads the schema packs in the worker (see `SchemaPacks.load`). */
+    loadSchemas(options) {
+        this.schemaOptions = options;
+        this.worker?.postMessage({ type: 'schemas', options });
+    }
+
+    /** Schema packs as loaded by the worker. */
+    describeSchemas() {
+        return this.state?.schemas ?? null;
+    }
+
+    #flush() {
+        this._flushScheduled = false;
+        if (!this.worker) {
+            // worker en cours de redémarrage: le flux TCP sera resynchronisé de toute façon
+            this._frames = [];
+            this._transfer = [];
+            return;
+        }
+        if (!this._frames.length) return;
+        this.worker.postMessage({ type: 'frames', frames: this._frames }, this._transfer);
+        this._frames = [];
+        this._transfer = [];
+    }
+
+    #sendKnownNames() {
+        const names = [];
+        for (const [uid, cached] of this.userDataManager.userCache) {
+            if (cached?.name) names.push([Number(uid), cached.name]);
+        }
+        for (const [uid, user] of this.userDataManager.users) {
+            if (user.name) names.push([uid, user.name]);
+        }
+        this.worker.postMessage({ type: 'names', names });
+    }
+
+    #onMessage(msg) {
+        if (msg.type === 'state') {
+            this.state = msg;
+            return;
+        }
+        if (msg.type === 'capture_state') {
+            this.onStateChange(msg.state);
+            return;
+        }
+        if (msg.type !== 'ops') return;
+
+        const udm = this.userDataManager;
+        for (const op of msg.ops) {
+            try {
+                switch (op[0]) {
+                    case 'call':
+                        if (REMOTE_METHODS.has(op[1])) udm[op[1]](...op[2]);
+                        break;
+                    case 'enemy':
+                        if (ENEMY_FIELDS.has(op[1]) && MAP_METHODS.has(op[2])) udm.enemyCache[op[1]][op[2]](...op[3]);
+                        break;
+                    case 'record': {
+                        const frame = op[1];
+                        this.recorder?.write(Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength), op[2], op[3]);
+                        break;
+                    }
+                }
+            } catch (e) {
+                logger.error(`[DecoderThread] Failed to apply ${op[0]} ${op[1]}: ${e.stack || e.message}`);
+            }
+        }
+    }
+}
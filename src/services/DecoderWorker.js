@@ -0,0 +1,161 @@
+// src/services/DecoderWorker.js
+// Point d'entrée du worker de décodage: réassemblage TCP, zstd et protobuf hors du thread principal.
+// Les appels au UserDataManager sont renvoyés au thread principal, dans l'ordre, par lots.
+import { parentPort } from 'worker_threads';
+import logger from './Logger.js';
+import diagnostics from './Diagnostics.js';
+import protocolResearch from './ProtocolResearch.js';
+import schemaPacks from './SchemaPacks.js';
+
+import { CapturePipeline } from './CapturePipeline.js';
+
+const FLUSH_DELAY = 16;
+const FLUSH_MAX_OPS = 5000;
+const STATE_INTERVAL = 250;
+const SWEEP_INTERVAL = 10000;
+
+let pendingOps = [];
+let pendingTransfer = [];
+let flushTimer = null;
+
+const queueOp = (op, transfer) => {
+    pendingOps.push(op);
+    if (transfer) pendingTransfer.push(transfer);
+    if (pendingOps.length >= FLUSH_MAX_OPS) flush();
+    else flushTimer ??= setTimeout(flush, FLUSH_DELAY);
+};
+
+const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!pendingOps.length) return;
+    parentPort.postMessage({ type: 'ops', ops: pendingOps }, pendingTransfer);
+    pendingOps = [];
+    pendingTransfer = [];
+};
+
+/** Map dont les écritures sont rejouées sur le cache d'ennemis du thread principal. */
+class RemoteMap extends Map {
+    constructor(field) {
+        super();
+        this.field = field;
+    }
+
+    set(key, value) {
+        queueOp(['enemy', this.field, 'set', [key, value]]);
+        return super.set(key, value);
+    }
+
+    delete(key) {
+        queueOp(['enemy', this.field, 'delete', [key]]);
+        return super.delete(key);
+    }
+
+    clear() {
+        queueOp(['enemy', this.field, 'clear', []]);
+        super.clear();
+    }
+}
+
+/**
+ * Stand-in for the UserDataManager inside the worker: every mutation is forwarded to the
+ * main thread, and just enough state (names, enemy cache) is kept locally for the reads
+ * the decoder does when building log lines.
+ */
+class RemoteUserDataManager {
+    constructor() {
+        this.names = new Map();
+        this.enemyCache = {
+            name: new RemoteMap('name'),
+            hp: new RemoteMap('hp'),
+            maxHp: new RemoteMap('maxHp'),
+        };
+    }
+
+    getUser(uid) {
+        return { uid, name: this.names.get(uid) ?? '' };
+    }
+
+    _getAnyUser(uid) {
+        return this.names.has(uid) ? this.getUser(uid) : null;
+    }
+
+    setName(uid, name) {
+        this.names.set(uid, name);
+        queueOp(['call', 'setName', [uid, name]]);
+    }
+}
+
+for (const method of [
+    'addDamage',
+    'addHealing',
+    'addTakenDamage',
+    'addBuff',
+    'buffEffect',
+    'removeBuff',
+    'addLog',
+    'deleteEnemyData',
+    'setProfession',
+    'setFightPoint',
+    'setAttrKV',
+    'setLocalPlayer',
+    'setTeam',
+    'onInstanceChanged',
+]) {
+    RemoteUserDataManager.prototype[method] = function (...args) {
+        queueOp(['call', method, args]);
+    };
+}
+
+const remoteUserDataManager = new RemoteUserDataManager();
+const pipeline = new CapturePipeline({
+    userDataManager: remoteUserDataManager,
+    onStateChange: (state) => {
+        flush(); // les mises à jour décodées avant le changement d'état passent d'abord
+        parentPort.postMessage({ type: 'capture_state', state });
+    },
+    recorder: {
+        write: (frame, timestamp, flowId) => {
+            const copy = new Uint8Array(frame);
+            queueOp(['record', copy, timestamp, flowId], copy.buffer);
+        },
+    },
+});
+
+parentPort.on('message', (msg) => {
+    switch (msg.type) {
+        case 'frames':
+            for (const { data, linkType, now } of msg.frames) {
+                pipeline.push(Buffer.from(data.buffer, data.byteOffset, data.byteLength), linkType, now);
+            }
+            break;
+        case 'names':
+            for (const [uid, name] of msg.names) remoteUserDataManager.names.set(uid, name);
+            break;
+        case 'reset':
+            pipeline.reset();
+            break;
+        case 'research':
+            protocolResearch.configure(msg.options);
+            break;
+        case 'schemas':
+            schemaPacks.load(msg.options);
+            break;
+        default:
+            logger.warn(`[DecoderWorker] Unknown message type ${msg.type}`);
+    }
+});
+
+setInterval(() => pipeline.sweep(), SWEEP_INTERVAL);
+setInterval(() => {
+    parentPort.postMessage({
+        type: 'state',
+        health: pipeline.describeHealth(),
+        diagnostics: diagnostics.snapshot(),
+        research: protocolResearch.snapshot(),
+        schemas: schemaPacks.describe(),
+    });
+}, STATE_INTERVAL);
+
+// les imports sont évalués: le thread principal peut commencer à envoyer des trames
+parentPort.postMessage({ type: 'ready' });
@@ -0,0 +1,102 @@
+// src/services/Diagnostics.js
+// Compteurs de santé capture/décodage, pour savoir où ça bloque quand le meter reste vide.
+
+const RATE_WINDOW_MS = 1000;
+
+class RateCounter {
+    constructor(clock) {
+        this.clock = clock;
+        this.total = 0;
+        this.perSecond = 0;
+        this.windowStart = clock();
+        this.windowCount = 0;
+    }
+
+    add(n = 1) {
+        this.#roll();
+        this.total += n;
+        this.windowCount += n;
+    }
+
+    rate() {
+        this.#roll();
+        return this.perSecond;
+    }
+
+    #roll() {
+        const now = this.clock();
+        const elapsed = now - this.windowStart;
+        if (elapsed < RATE_WINDOW_MS) return;
+        // fenêtre vide depuis longtemps: le débit est retombé à zéro
+        this.perSecond = elapsed < 2 * RATE_WINDOW_MS ? Math.round((this.windowCount * 1000) / elapsed) : 0;
+        this.windowStart = now;
+        this.windowCount = 0;
+    }
+}
+
+export class Diagnostics {
+    constructor(clock = Date.now) {
+        this.clock = clock;
+        this.reset();
+    }
+
+    reset() {
+        this.captured = new RateCounter(this.clock);
+        this.processed = new RateCounter(this.clock);
+        this.frames = new RateCounter(this.clock);
+        this.notifyMethods = {}; // nom de méthode -> trames décodées
+        this.decodeFailures = {}; // type de message -> { missing, empty, error }
+        this.lastFrameAt = 0;
+    }
+
+    /** A frame came out of the capture device (or a replayed file). */
+    countCaptured(n = 1) {
+        this.captured.add(n);
+    }
+
+    /** A captured frame went through the pipeline. */
+    countProcessed(n = 1) {
+        this.processed.add(n);
+    }
+
+    /** A complete game frame was cut from a TCP stream. */
+    countFrame() {
+        this.frames.add();
+        this.lastFrameAt = this.clock();
+    }
+
+    countNotify(method) {
+        this.notifyMethods[method] = (this.notifyMethods[method] ?? 0) + 1;
+    }
+
+    /**
+     * @param {string} type Message type that failed to decode.
+     * @param {'missing'|'empty'|'error'} reason
+     */
+    countDecodeFailure(type, reason) {
+        const entry = (this.decodeFailures[type] ??= { missing: 0, empty: 0, error: 0 });
+        entry[reason]++;
+    }
+
+    snapshot() {
+        return {
+            packets: {
+                captured: this.captured.total,
+                capturedPerSec: this.captured.rate(),
+                processed: this.processed.total,
+                processedPerSec: this.processed.rate(),
+            },
+            frames: {
+                total: this.frames.total,
+                perSec: this.frames.rate(),
+                lastFrameAt: this.lastFrameAt || null,
+                sinceLastFrameMs: this.lastFrameAt ? this.clock() - this.lastFrameAt : null,
+            },
+            notifyMethods: { ...this.notifyMethods },
+            decodeFailures: structuredClone(this.decodeFailures),
+        };
+    }
+}
+
+const diagnostics = new Diagnostics();
+export default diagnostics;
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './Logger.js';
+
+import {
+    GAME_STREAM_FILENAME,
+    encodeGameStreamHeader,
+    encodeGameStreamRecord,
+} from '../models/GameStreamFile.js';
+
+/**
+ * Writes every reassembled game frame into `logs/<startTime>/stream.bin`, next
+ * to the session's `fight.log`, so the session can be recomputed later.
+ *
+ * The file follows `userDataManager.startTime`: a new one is opened whenever the
+ * statistics are cleared. Disabled with the `recordGameStream: false` setting.
+ */
+export class GameStreamRecorder {
+    constructor(userDataManager) {
+        this.userDataManager = userDataManager;
+        this._stream = null;
+        this._startTime = null;
+        this._failed = false;
+    }
+
+    get enabled() {
+        return globalThis.globalSettings?.recordGameStream !== false;
+    }
+
+    _open(startTime) {
+        this.close();
+        const logDir = path.join('./logs', String(startTime));
+        const filePath = path.join(logDir, GAME_STREAM_FILENAME);
+        try {
+            fs.mkdirSync(logDir, { recursive: true });
+            const isNew = !fs.existsSync(filePath);
+            const stream = fs.createWriteStream(filePath, { flags: 'a' });
+            stream.on('error', (err) => {
+                logger.error(`Failed to record game stream to ${filePath}:`, err);
+                if (this._stream !== stream) return;
+                this._failed = true;
+                this._stream = null; // pas de nouvel essai avant la prochaine session
+            });
+            this._stream = stream;
+            if (isNew) this._stream.write(encodeGameStreamHeader(startTime));
+            this._startTime = startTime;
+            this._failed = false;
+        } catch (err) {
+            logger.error(`Failed to open game stream file ${filePath}:`, err);
+            this._startTime = startTime;
+            this._failed = true;
+        }
+    }
+
+    /**
+     * @param {Buffer} frame Frame handed to `PacketProcessor.processPacket`.
+     * @param {number} [timestamp] Capture time in ms.
+     * @param {number} [flowId] Game connection the frame belongs to.
+     */
+    write(frame, timestamp = Date.now(), flowId = 0) {
+        if (!this.enabled) {
+            this.close();
+            return;
+        }
+        const startTime = this.userDataManager.startTime;
+        if (startTime !== this._startTime) this._open(startTime);
+        if (!this._stream || this._failed) return;
+        this._stream.write(encodeGameStreamRecord(startTime, timestamp, frame, flowId));
+    }
+
+    close() {
+        if (this._stream) this._stream.end();
+        this._stream = null;
+        this._startTime = null;
+    }
+}
@@ -0,0 +1,48 @@
+import logger from './Logger.js';
+
+import { UserDataManager } from './UserDataManager.js';
+import { GameStreamReader } from '../models/GameStreamFile.js';
+
+/**
+ * Re-injects a recorded game stream into a fresh, headless UserDataManager.
+ *
+ * The statistics clock follows the recorded timestamps, so DPS/HPS match the
+ * original session even though the file is replayed as fast as possible.
+ *
+ * The first instance lock of the replay does not clear what was decoded before it, and
+ * later instance changes close segments: `userDataManager.saveReplayHistory` writes them all.
+ *
+ * @param {string} filePath Path of a `stream.bin` file.
+ * @param {object} options
+ * @param {typeof import('./CapturePipeline.js').createFlowContext} options.createFlowContext Builds the
+ *   `PacketProcessor` of each recorded connection.
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{userDataManager:UserDataManager, frames:number, startTime:number, endTime:number}>}
+ */
+export async function recomputeGameStream(filePath, { createFlowContext, signal }) {
+    let now = 0;
+    const userDataManager = new UserDataManager({ headless: true, clock: () => now });
+    await userDataManager.loadUserCache();
+
+    // un contexte par connexion de jeu, la plus récente est la principale (comme en live)
+    const flows = new Map();
+    let primaryFlowId = null;
+
+    const reader = new GameStreamReader(filePath);
+    let frames = 0;
+    for await (const { timestamp, flowId, frame } of reader.records()) {
+        if (signal?.aborted) break;
+        now = timestamp;
+        if (frames === 0) userDataManager.startTime = reader.baseTime; // l'entrée d'historique d'origine
+        if (!flows.has(flowId)) {
+            flows.set(flowId, createFlowContext(userDataManager, () => primaryFlowId === flowId));
+            primaryFlowId = flowId;
+        }
+        flows.get(flowId).processor.processPacket(frame);
+        frames++;
+        if (frames % 500 === 0) await new Promise((r) => setImmediate(r));
+    }
+
+    logger.info(`Recomputed ${frames} frames from ${filePath}`);
+    return { userDataManager, frames, startTime: reader.baseTime, endTime: now || reader.baseTime };
+}
@@ -1,20 +1,49 @@
 import { exec } from 'child_process';
-import cap from 'cap';
+import fsPromises from 'fs/promises';
+import { requirePcap, CAPTURE_FILTER } from './PcapDriver.js';
 
-const VIRTUAL_KEYWORDS = ['zerotier', 'vmware', 'hyper-v', 'virtual', 'loopback', 'tap', 'bluetooth', 'wan miniport'];
+// Mots entiers de la description (Windows: "TAP-Windows Adapter V9", "Hyper-V Virtual Ethernet Adapter"...)
+const VIRTUAL_DESCRIPTION_RX = /\b(zerotier|vmware|hyper-v|virtual|loopback|tap|bluetooth|wan miniport)\b/i;
+// Préfixes des noms d'interface Linux / macOS (lo, docker0, veth1a2b, br-1f2e, utun3, awdl0...)
+const VIRTUAL_NAME_RX = /^(lo\d*$|docker\d|veth|virbr\d|vboxnet\d|vmnet\d|br-|bridge\d|utun\d|tun\d|tap\d|awdl\d|llw\d|zt)/i;
+
+// Trafic récent par interface: compteur courant pour l'interface capturée, échantillon de 3 s pour les autres
+const TRAFFIC_WINDOW_MS = 3000;
+const TRAFFIC_SAMPLE_TTL_MS = 60_000;
+/** @type {Map<string, {count:number, at:number}>} dernier comptage terminé, par nom d'interface */
+const trafficSamples = new Map();
+/** @type {Map<string, {count:number, since:number}>} comptage en cours sur les interfaces capturées */
+const liveTraffic = new Map();
+/** @type {Promise<void>|null} échantillonnage en cours, partagé entre les appels */
+let sampling = null;
+
+/**
+ * Counts one captured packet on a device, for its recent traffic.
+ * @param {string} deviceName The pcap device name.
+ */
+export function countTraffic(deviceName) {
+    const now = Date.now();
+    let live = liveTraffic.get(deviceName);
+    if (!live) liveTraffic.set(deviceName, (live = { count: 0, since: now }));
+    if (now - live.since >= TRAFFIC_WINDOW_MS) {
+        trafficSamples.set(deviceName, { count: live.count, at: now });
+        live.count = 0;
+        live.since = now;
+    }
+    live.count++;
+}
 
 /**
- * Checks if a network adapter is virtual based on its name.
- * @param {string} name The description or name of the network device.
- * @returns {boolean} True if the device name indicates it's a virtual adapter.
+ * Checks if a network adapter is virtual, from its interface name or its description.
+ * @param {{name?:string, description?:string}} device The network device.
+ * @returns {boolean} True if the device is a virtual adapter.
  */
-function isVirtual(name) {
-    const lower = name.toLowerCase();
-    return VIRTUAL_KEYWORDS.some((keyword) => lower.includes(keyword));
+function isVirtual(device) {
+    return VIRTUAL_NAME_RX.test(device.name || '') || VIRTUAL_DESCRIPTION_RX.test(device.description || '');
 }
 
 /**
- * Detects TCP traffic on a network adapter for 3 seconds.
+ * Detects TCP traffic on a network adapter for 3 seconds. The count is kept as the device's recent traffic.
  * @param {number} deviceIndex The index of the device.
  * @param {Object} devices A map of network devices.
  * @returns {Promise<number>} A promise that resolves with the number of packets detected.
@@ -36,8 +65,9 @@ export function detectTraffic(deviceIndex, devices) {
 
         const timeoutId = setTimeout(() => {
             cleanup();
+            trafficSamples.set(devices[deviceIndex].name, { count, at: Date.now() });
             resolve(count);
-        }, 3000);
+        }, TRAFFIC_WINDOW_MS);
 
         try {
             // Check if the device exists before proceeding
@@ -48,11 +78,11 @@ export function detectTraffic(deviceIndex, devices) {
                 return;
             }
 
-            c = new cap.Cap();
+            c = new (requirePcap().Cap)();
             const buffer = Buffer.alloc(65535);
 
             console.log(`Attempting to open device: ${devices[deviceIndex].name}`);
-            const openResult = c.open(devices[deviceIndex].name, 'ip and tcp', 1024 * 1024, buffer);
+            const openResult = c.open(devices[deviceIndex].name, CAPTURE_FILTER, 1024 * 1024, buffer);
             console.log(`Open result for ${devices[deviceIndex].name}: ${openResult}`);
 
             if (openResult) {
@@ -92,42 +122,162 @@ export function detectTraffic(deviceIndex, devices) {
 }
 
 /**
- * Finds the default network device using the system's route table.
- * This function is specifically for Windows.
+ * Describes the capture devices for display: addresses, virtual flag and recent traffic.
+ * The captured device is counted as it goes; the others are sniffed for 3 seconds when their last
+ * count is older than a minute, all at once and never twice at the same time.
  * @param {Object} devices A map of network devices.
- * @returns {Promise<number|undefined>} A promise that resolves with the device index or undefined.
+ * @param {{traffic?:boolean}} [options] traffic: false to only return the counts already known.
+ * @returns {Promise<Array<{index:number, name:string, description:string, addresses:string[], virtual:boolean,
+ *   traffic:number|null, trafficAt:number|null}>>} traffic: TCP packets over 3 seconds, at `trafficAt`.
  */
-export async function findByRoute(devices) {
-    try {
-        const stdout = await new Promise((resolve, reject) => {
-            exec('route print 0.0.0.0', (error, stdout) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(stdout);
-                }
+export async function describeDevices(devices, { traffic = true } = {}) {
+    const indexes = Object.keys(devices).map((key) => parseInt(key, 10));
+    if (traffic) {
+        const stale = indexes.filter((index) => {
+            const sample = trafficSamples.get(devices[index].name);
+            return !sample || Date.now() - sample.at > TRAFFIC_SAMPLE_TTL_MS;
+        });
+        if (stale.length) {
+            sampling ??= Promise.all(stale.map((index) => detectTraffic(index, devices))).finally(() => {
+                sampling = null;
             });
+            await sampling;
+        }
+    }
+
+    return indexes.map((index) => {
+        const device = devices[index];
+        const sample = trafficSamples.get(device.name);
+        return {
+            index,
+            name: device.name,
+            description: device.description || '',
+            addresses: (device.addresses || []).map((address) => address.addr).filter(Boolean),
+            virtual: isVirtual(device),
+            traffic: sample?.count ?? null,
+            trafficAt: sample?.at ?? null,
+        };
+    });
+}
+
+/**
+ * Runs a shell command and resolves with its stdout.
+ * @param {string} command The command line to run.
+ * @returns {Promise<string>} The standard output of the command.
+ */
+function run(command) {
+    return new Promise((resolve, reject) => {
+        exec(command, { timeout: 5000 }, (error, stdout) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
         });
+    });
+}
+
+/**
+ * Finds the index of the device bound to an IPv4 address.
+ * @param {Object} devices A map of network devices.
+ * @param {string} addr The IPv4 address.
+ * @returns {number|undefined} The device index.
+ */
+function findDeviceByAddress(devices, addr) {
+    const key = Object.keys(devices).find((k) => devices[k].addresses?.find((address) => address.addr === addr));
+    return key === undefined ? undefined : parseInt(key, 10);
+}
+
+/**
+ * Finds the index of the device with the given interface name (e.g. `eth0`, `en0`).
+ * @param {Object} devices A map of network devices.
+ * @param {string} name The interface name.
+ * @returns {number|undefined} The device index.
+ */
+function findDeviceByName(devices, name) {
+    const key = Object.keys(devices).find((k) => devices[k].name === name);
+    return key === undefined ? undefined : parseInt(key, 10);
+}
+
+/**
+ * Reads the default route interface from the Windows route table.
+ * @param {Object} devices A map of network devices.
+ * @returns {Promise<number|undefined>} The device index.
+ */
+async function findByRouteWindows(devices) {
+    const stdout = await run('route print 0.0.0.0');
+
+    const defaultInterface = stdout
+        .split('\n')
+        .find((line) => line.trim().startsWith('0.0.0.0'))
+        ?.trim()
+        .split(/\s+/)[3];
+
+    if (!defaultInterface) {
+        return undefined;
+    }
 
-        const defaultInterface = stdout
+    return findDeviceByAddress(devices, defaultInterface);
+}
+
+/**
+ * Reads the default route interface on Linux, from `/proc/net/route` or `ip route`.
+ * @param {Object} devices A map of network devices.
+ * @returns {Promise<number|undefined>} The device index.
+ */
+async function findByRouteLinux(devices) {
+    let iface;
+    try {
+        const table = await fsPromises.readFile('/proc/net/route', 'utf8');
+        // Iface Destination Gateway Flags RefCnt Use Metric Mask ...
+        iface = table
             .split('\n')
-            .find((line) => line.trim().startsWith('0.0.0.0'))
-            ?.trim()
-            .split(/\s+/)[3];
+            .slice(1)
+            .map((line) => line.trim().split(/\s+/))
+            .filter((cols) => cols.length >= 8 && cols[1] === '00000000' && cols[7] === '00000000')
+            .sort((a, b) => Number(a[6]) - Number(b[6]))[0]?.[0];
+    } catch (error) {
+        console.warn('Could not read /proc/net/route, trying `ip route`:', error.message);
+    }
 
-        if (!defaultInterface) {
-            return undefined;
-        }
+    if (!iface) {
+        const stdout = await run('ip route show default');
+        iface = stdout.match(/\bdev\s+(\S+)/)?.[1];
+    }
 
-        const targetInterface = Object.keys(devices).find((key) =>
-            devices[key].addresses.find((address) => address.addr === defaultInterface)
-        );
+    return iface ? findDeviceByName(devices, iface) : undefined;
+}
 
-        if (!targetInterface) {
-            return undefined;
-        }
+/**
+ * Reads the default route interface on macOS with `route -n get default`.
+ * @param {Object} devices A map of network devices.
+ * @returns {Promise<number|undefined>} The device index.
+ */
+async function findByRouteMac(devices) {
+    const stdout = await run('route -n get default');
+    const iface = stdout.match(/interface:\s*(\S+)/)?.[1];
+    return iface ? findDeviceByName(devices, iface) : undefined;
+}
 
-        return parseInt(targetInterface, 10);
+/**
+ * Finds the default network device using the system's route table.
+ * Supports Windows (`route print`), Linux (`/proc/net/route`, `ip route`) and macOS (`route -n get`).
+ * @param {Object} devices A map of network devices.
+ * @returns {Promise<number|undefined>} A promise that resolves with the device index or undefined.
+ */
+export async function findByRoute(devices) {
+    try {
+        switch (process.platform) {
+            case 'win32':
+                return await findByRouteWindows(devices);
+            case 'linux':
+                return await findByRouteLinux(devices);
+            case 'darwin':
+                return await findByRouteMac(devices);
+            default:
+                console.warn(`No route table lookup for platform ${process.platform}.`);
+                return undefined;
+        }
     } catch (error) {
         console.error('Failed to find device by route:', error);
         return undefined;
@@ -135,7 +285,42 @@ export async function findByRoute(devices) {
 }
 
 /**
- * Finds the most suitable default network device by using the system's route table.
+ * Picks the busiest adapter by sniffing TCP traffic on every candidate at once.
+ * Physical adapters with an IPv4 address are preferred; virtual ones are only tried if no other is available.
+ * @param {Object} devices A map of network devices.
+ * @returns {Promise<number|undefined>} The index of the adapter with the most traffic.
+ */
+export async function findByTraffic(devices) {
+    const hasIPv4 = (device) => device.addresses?.some((address) => /^\d+\.\d+\.\d+\.\d+$/.test(address.addr || ''));
+    const isLoopback = (device) => device.flags?.includes('PCAP_IF_LOOPBACK') || device.name === 'lo';
+
+    const usable = Object.keys(devices)
+        .map((key) => parseInt(key, 10))
+        .filter((index) => hasIPv4(devices[index]) && !isLoopback(devices[index]));
+    const physical = usable.filter((index) => !isVirtual(devices[index]));
+    const candidates = physical.length ? physical : usable;
+
+    if (!candidates.length) {
+        return undefined;
+    }
+
+    console.log(`Sniffing traffic on ${candidates.length} adapter(s)...`);
+    const counts = await Promise.all(candidates.map((index) => detectTraffic(index, devices)));
+
+    let best;
+    let bestCount = 0;
+    candidates.forEach((index, i) => {
+        if (counts[i] > bestCount) {
+            best = index;
+            bestCount = counts[i];
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Finds the most suitable default network device: route table first, then traffic detection.
  * @param {Object} devices A map of network devices.
  * @returns {Promise<number|undefined>} The index of the default network device.
  */
@@ -145,12 +330,20 @@ export async function findDefaultNetworkDevice(devices) {
         const routeIndex = await findByRoute(devices);
 
         if (routeIndex !== undefined) {
-            console.log(`Using adapter from route table: ${routeIndex} - ${devices[routeIndex].description}`);
+            console.log(`Using adapter from route table: ${routeIndex} - ${devices[routeIndex].description || devices[routeIndex].name}`);
+            return routeIndex;
+        }
+
+        console.log('Could not find a default network interface via route table, falling back to traffic detection.');
+        const trafficIndex = await findByTraffic(devices);
+
+        if (trafficIndex !== undefined) {
+            console.log(`Using adapter with the most traffic: ${trafficIndex} - ${devices[trafficIndex].description || devices[trafficIndex].name}`);
         } else {
-            console.log('Could not find a default network interface via route table.');
+            console.log('Could not find a network interface with traffic.');
         }
 
-        return routeIndex;
+        return trafficIndex;
     } catch (error) {
         console.error(
             'An error occurred during device lookup. Please ensure your system is properly configured.',
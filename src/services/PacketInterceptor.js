@@ -1,16 +1,18 @@
-﻿import cap from 'cap';
-import zlib from 'zlib';
+﻿import zlib from 'zlib';
 import logger from './Logger.js';
 import userDataManager from './UserDataManager.js';
-
-import { PacketProcessor } from './PacketProcessor.js';
-import { Lock } from '../models/Lock.js';
-import { Readable } from 'stream';
-import { findDefaultNetworkDevice } from './NetInterfaceService.js';
-
-const Cap = cap.Cap;
-const decoders = cap.decoders;
-const PROTOCOL = decoders.PROTOCOL;
+import socket from './Socket.js';
+import diagnostics from './Diagnostics.js';
+import protocolResearch from './ProtocolResearch.js';
+import schemaPacks from './SchemaPacks.js';
+import { requirePcap, CAPTURE_FILTER } from './PcapDriver.js';
+
+import { CapturePipeline, LINK_TYPE, createFlowContext } from './CapturePipeline.js';
+import { DecoderThread } from './DecoderThread.js';
+import { TcpRelay, DEFAULT_RELAY_PORT } from './TcpRelay.js';
+import { GameStreamRecorder } from './GameStreamRecorder.js';
+import { replayCaptureFile } from './PcapReplay.js';
+import { countTraffic, findDefaultNetworkDevice } from './NetInterfaceService.js';
 
 const clearDataOnServerChange = () => {
     userDataManager.refreshEnemyCache();
@@ -25,27 +27,64 @@ const clearDataOnServerChange = () => {
     //logger.info('Server changed, statistics cleared!');
 };
 
+/**
+ * "host:port", "[ipv6]:port" ou "ipv6:port": le port est après le dernier deux-points.
+ * @returns {{host:string, port:number}|null}
+ */
+const parseHostPort = (value) => {
+    const text = String(value ?? '').trim();
+    const sep = text.lastIndexOf(':');
+    if (sep <= 0) return null;
+    const host = text.slice(0, sep).replace(/^\[(.*)\]$/, '$1');
+    const port = Number(text.slice(sep + 1));
+    if (!host || !Number.isInteger(port) || port <= 0 || port > 65535) return null;
+    return { host, port };
+};
+
 export class PacketInterceptor {
-    static start(server, port, resolve, reject) {
+    static livePipeline = null; // DecoderThread, TcpRelay, ou CapturePipeline si le worker n'a pas pu démarrer
+    static replay = null;
+    static capture = null; // { cap, device, linkType }
+    static schemasDir = null; // packs de schémas protobuf (dossier utilisateur)
+
+    /**
+     * @param {{schemasDir?:string}} [options] schemasDir: dossier des packs de schémas protobuf.
+     */
+    static start(server, port, resolve, reject, options = {}) {
+        PacketInterceptor.schemasDir = options.schemasDir ?? null;
         server.listen(port, async () => {
-            const devices = cap.deviceList();
-            let num;
-
-            console.log('Auto detecting default network interface...');
-            const device_num = await findDefaultNetworkDevice(devices);
-            if (device_num !== null && device_num !== undefined) {
-                num = device_num;
-                console.log(`Using network interface: ${num} - ${devices[num].description}`);
-            } else {
-                return reject(new Error('Default network interface not found!'));
-            }
-
             if (!zlib.zstdDecompressSync) {
                 const errorMsg = 'zstdDecompressSync is not available! Please update your Node.js!';
                 logger.error(errorMsg);
                 return reject(new Error(errorMsg));
             }
 
+            if (globalThis.globalSettings?.captureMode === 'relay') {
+                return PacketInterceptor.#startRelayMode(port, resolve, reject);
+            }
+
+            let devices;
+            try {
+                devices = requirePcap().deviceList();
+            } catch (e) {
+                logger.error(`${e.message}. Set captureMode to "relay" in the settings to capture without it.`);
+                return reject(e);
+            }
+            let num = PacketInterceptor.findSavedDevice(devices);
+
+            if (num !== undefined) {
+                console.log(`Using saved network interface: ${num} - ${devices[num].description || devices[num].name}`);
+            } else {
+                console.log('Auto detecting default network interface...');
+                const device_num = await findDefaultNetworkDevice(devices);
+                if (device_num !== null && device_num !== undefined) {
+                    num = device_num;
+                    console.log(`Using network interface: ${num} - ${devices[num].description || devices[num].name}`);
+                } else {
+                    return reject(new Error('Default network interface not found!'));
+                }
+            }
+
             const url = `http://localhost:${port}`;
             logger.info(`Web Server started at ${url}`);
             logger.info('WebSocket Server started');
@@ -53,237 +92,310 @@ export class PacketInterceptor {
             logger.info('Welcome!');
             logger.info('Attempting to find the game server, please wait!');
 
-            let current_server = '';
-            let _data = Buffer.alloc(0);
-            let tcp_next_seq = -1;
-            let tcp_cache = new Map();
-            let tcp_last_time = 0;
-            const tcp_lock = new Lock();
-
-            const clearTcpCache = () => {
-                _data = Buffer.alloc(0);
-                tcp_next_seq = -1;
-                tcp_last_time = 0;
-                tcp_cache.clear();
-            };
-
-            const fragmentIpCache = new Map();
-            const FRAGMENT_TIMEOUT = 30000;
-            const getTCPPacket = (frameBuffer, ethOffset) => {
-                const ipPacket = decoders.IPV4(frameBuffer, ethOffset);
-                const ipId = ipPacket.info.id;
-                const isFragment = (ipPacket.info.flags & 0x1) !== 0;
-                const _key = `${ipId}-${ipPacket.info.srcaddr}-${ipPacket.info.dstaddr}-${ipPacket.info.protocol}`;
-                const now = Date.now();
-
-                if (isFragment || ipPacket.info.fragoffset > 0) {
-                    if (!fragmentIpCache.has(_key)) {
-                        fragmentIpCache.set(_key, { fragments: [], timestamp: now });
-                    }
-                    const cacheEntry = fragmentIpCache.get(_key);
-                    cacheEntry.fragments.push(Buffer.from(frameBuffer.subarray(ethOffset)));
-                    cacheEntry.timestamp = now;
-
-                    if (isFragment) return null;
-
-                    const { fragments } = cacheEntry;
-                    if (!fragments) {
-                        logger.error(`Can't find fragments for ${_key}`);
-                        return null;
-                    }
-
-                    let totalLength = 0;
-                    const fragmentData = [];
-                    for (const buffer of fragments) {
-                        const ip = decoders.IPV4(buffer);
-                        const fragmentOffset = ip.info.fragoffset * 8;
-                        const payloadLength = ip.info.totallen - ip.hdrlen;
-                        const payload = Buffer.from(buffer.subarray(ip.offset, ip.offset + payloadLength));
-                        fragmentData.push({ offset: fragmentOffset, payload });
-                        const endOffset = fragmentOffset + payloadLength;
-                        if (endOffset > totalLength) totalLength = endOffset;
-                    }
-
-                    const fullPayload = Buffer.alloc(totalLength);
-                    for (const fragment of fragmentData) {
-                        fragment.payload.copy(fullPayload, fragment.offset);
-                    }
-                    fragmentIpCache.delete(_key);
-                    return fullPayload;
-                }
-                return Buffer.from(
-                    frameBuffer.subarray(ipPacket.offset, ipPacket.offset + (ipPacket.info.totallen - ipPacket.hdrlen))
-                );
-            };
-
-            const c = new Cap();
-            const device = devices[num].name;
-            const filter = 'ip and tcp';
-            const bufSize = 10 * 1024 * 1024;
-            const buffer = Buffer.alloc(65535);
-            const linkType = c.open(device, filter, bufSize, buffer);
-            if (linkType !== 'ETHERNET') {
-                logger.error('The device seems to be WRONG! Please check the device! Device type: ' + linkType);
+            const recorder = new GameStreamRecorder(userDataManager);
+            const onStateChange = PacketInterceptor.#emitCaptureState;
+            const decoder = new DecoderThread({ userDataManager, recorder, onStateChange });
+            try {
+                await decoder.start();
+                PacketInterceptor.livePipeline = decoder;
+                logger.info('Packet decoding runs in a worker thread');
+            } catch (e) {
+                logger.warn(`Decoder worker unavailable (${e.message}), decoding on the main thread`);
+                const pipeline = new CapturePipeline({ recorder, onStateChange });
+                PacketInterceptor.livePipeline = pipeline;
+                setInterval(() => pipeline.sweep(), 10000);
+            }
+            PacketInterceptor.configureResearch({ enabled: !!globalThis.globalSettings?.protocolResearch });
+            PacketInterceptor.loadSchemas();
+
+            try {
+                PacketInterceptor.openDevice(devices[num].name);
+            } catch (e) {
+                logger.error(e.message);
+                return reject(e);
             }
-            c.setMinBytes && c.setMinBytes(0);
 
-            const eth_queue = [];
-            c.on('packet', (nbytes) => {
-                eth_queue.push(Buffer.from(buffer.subarray(0, nbytes)));
-            });
+            resolve(url);
+        });
+    }
 
-            const processEthPacket = async (frameBuffer) => {
-                const ethPacket = decoders.Ethernet(frameBuffer);
-                if (ethPacket.info.type !== PROTOCOL.ETHERNET.IPV4) return;
-
-                const ipPacket = decoders.IPV4(frameBuffer, ethPacket.offset);
-                const { srcaddr, dstaddr } = ipPacket.info;
-
-                const tcpBuffer = getTCPPacket(frameBuffer, ethPacket.offset);
-                if (tcpBuffer === null) return;
-
-                const tcpPacket = decoders.TCP(tcpBuffer);
-                const buf = Buffer.from(tcpBuffer.subarray(tcpPacket.hdrlen));
-                const { srcport, dstport } = tcpPacket.info;
-                const src_server = `${srcaddr}:${srcport} -> ${dstaddr}:${dstport}`;
-
-                await tcp_lock.acquire();
-                try {
-                    if (current_server !== src_server) {
-                        try {
-                            if (buf[4] == 0) {
-                                const data = buf.subarray(10);
-                                if (data.length) {
-                                    const stream = Readable.from(data, { objectMode: false });
-                                    let data1;
-                                    do {
-                                        const len_buf = stream.read(4);
-                                        if (!len_buf) break;
-
-                                        const packetLength = len_buf.readUInt32BE();
-                                        if (packetLength > 0x100000 || packetLength < 4) {
-                                            logger.warn(
-                                                `Invalid packet length during server identification: ${packetLength}. Discarding buffer.`
-                                            );
-                                            stream.destroy();
-                                            break;
-                                        }
-
-                                        data1 = stream.read(packetLength - 4);
-                                        if (!data1) break;
-
-                                        const signature = Buffer.from([0x00, 0x63, 0x33, 0x53, 0x42, 0x00]); //c3SB??
-                                        if (Buffer.compare(data1.subarray(5, 5 + signature.length), signature) !== 0)
-                                            break;
-
-                                        if (current_server !== src_server) {
-                                            current_server = src_server;
-                                            clearTcpCache();
-                                            tcp_next_seq = tcpPacket.info.seqno + buf.length;
-                                            //clearDataOnServerChange();
-                                            logger.info('Got Scene Server Address: ' + src_server);
-                                        }
-                                    } while (data1 && data1.length);
-                                }
-                            }
-                            if (buf.length === 0x62) {
-                                const signature = Buffer.from([
-                                    0x00, 0x00, 0x00, 0x62, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x11, 0x45, 0x14,
-                                    0x00, 0x00, 0x00, 0x00, 0x0a, 0x4e, 0x08, 0x01, 0x22, 0x24,
-                                ]);
-                                if (
-                                    Buffer.compare(buf.subarray(0, 10), signature.subarray(0, 10)) === 0 &&
-                                    Buffer.compare(buf.subarray(14, 14 + 6), signature.subarray(14, 14 + 6)) === 0
-                                ) {
-                                    if (current_server !== src_server) {
-                                        current_server = src_server;
-                                        clearTcpCache();
-                                        tcp_next_seq = tcpPacket.info.seqno + buf.length;
-                                        //clearDataOnServerChange();
-                                        logger.info('Got Scene Server Address by Login Return Packet: ' + src_server);
-                                    }
-                                }
-                            }
-                        } catch (e) {}
-                        return;
-                    }
-
-                    if (tcp_next_seq === -1) {
-                        if (buf.length > 4 && buf.readUInt32BE() < 0x0fffff) {
-                            tcp_next_seq = tcpPacket.info.seqno;
-                        } else {
-                            logger.error('Unexpected TCP capture error! tcp_next_seq is -1');
-                        }
-                    }
-
-                    if (tcp_next_seq - tcpPacket.info.seqno <= 0 || tcp_next_seq === -1) {
-                        tcp_cache.set(tcpPacket.info.seqno, buf);
-                    }
-
-                    while (tcp_cache.has(tcp_next_seq)) {
-                        const seq = tcp_next_seq;
-                        const cachedTcpData = tcp_cache.get(seq);
-                        _data = _data.length === 0 ? cachedTcpData : Buffer.concat([_data, cachedTcpData]);
-                        tcp_next_seq = (seq + cachedTcpData.length) >>> 0;
-                        tcp_cache.delete(seq);
-                        tcp_last_time = Date.now();
-                    }
-
-                    while (_data.length > 4) {
-                        const packetSize = _data.readUInt32BE();
-                        if (_data.length < packetSize) break;
-                        if (packetSize > 0x0fffff) {
-                            logger.error(
-                                `Invalid Length!! ${_data.length},${packetSize},${_data.toString('hex')},${tcp_next_seq}`
-                            );
-                            _data = Buffer.alloc(0);
-                            break;
-                        }
-                        if (_data.length >= packetSize) {
-                            const packet = _data.subarray(0, packetSize);
-                            _data = _data.subarray(packetSize);
-                            const processor = new PacketProcessor();
-                            processor.processPacket(packet);
-                        }
-                    }
-                } finally {
-                    tcp_lock.release();
-                }
-            };
-
-            (async () => {
-                while (true) {
-                    if (eth_queue.length) {
-                        const pkt = eth_queue.shift();
-                        await processEthPacket(pkt);
-                    } else {
-                        await new Promise((r) => setTimeout(r, 1));
-                    }
-                }
-            })();
-
-            setInterval(() => {
-                const now = Date.now();
-                let clearedFragments = 0;
-                fragmentIpCache.forEach((cacheEntry, key) => {
-                    if (now - cacheEntry.timestamp > FRAGMENT_TIMEOUT) {
-                        fragmentIpCache.delete(key);
-                        clearedFragments++;
-                    }
-                });
-                if (clearedFragments > 0) {
-                    logger.debug(`Cleared ${clearedFragments} expired IP fragment caches`);
-                }
-                if (tcp_last_time && Date.now() - tcp_last_time > FRAGMENT_TIMEOUT) {
-                    logger.warn(
-                        'Cannot capture the next packet! Is the game closed or disconnected? seq: ' + tcp_next_seq
-                    );
-                    current_server = '';
-                    clearTcpCache();
-                }
-            }, 10000);
+    /** Startup without pcap: the game connection goes through a local TCP relay. */
+    static async #startRelayMode(port, resolve, reject) {
+        const settings = globalThis.globalSettings;
+        const target = parseHostPort(settings.relayTarget);
+        if (!target) {
+            const err = new Error('Relay capture mode needs relayTarget set to "host:port" (or "[ipv6]:port") in the settings');
+            logger.error(err.message);
+            return reject(err);
+        }
+
+        const relay = new TcpRelay({
+            targetHost: target.host,
+            targetPort: target.port,
+            listenPort: Number(settings.relayListenPort ?? DEFAULT_RELAY_PORT),
+            createFlowContext,
+            recorder: new GameStreamRecorder(userDataManager),
+            onStateChange: PacketInterceptor.#emitCaptureState,
+        });
+        try {
+            await relay.start();
+        } catch (e) {
+            logger.error(`Failed to start the TCP relay: ${e.message}`);
+            return reject(e);
+        }
+        PacketInterceptor.livePipeline = relay;
+        PacketInterceptor.configureResearch({ enabled: !!globalThis.globalSettings?.protocolResearch });
+        PacketInterceptor.loadSchemas();
+
+        const url = `http://localhost:${port}`;
+        logger.info(`Web Server started at ${url}`);
+        logger.info(`Point the game connection at 127.0.0.1:${relay.listenPort} to capture it`);
+        resolve(url);
+    }
 
-            resolve(url);
+    /**
+     * Returns the index of the device saved in the settings (`captureDevice`), if it still exists.
+     * @param {Array} devices Result of `cap.deviceList()`.
+     * @returns {number|undefined}
+     */
+    static findSavedDevice(devices) {
+        const saved = globalThis.globalSettings?.captureDevice;
+        if (!saved) return undefined;
+        const index = devices.findIndex((d) => d.name === saved);
+        if (index === -1) {
+            logger.warn(`Saved capture device ${saved} not found, falling back to auto detection`);
+            return undefined;
+        }
+        return index;
+    }
+
+    /**
+     * Opens a capture device and makes it the live capture source.
+     * The previous device is closed only once the new one is open, so a failed switch keeps capturing.
+     * @param {string} deviceName The pcap device name.
+     * @returns {{device:string, linkType:string}}
+     */
+    static openDevice(deviceName) {
+        const c = new (requirePcap().Cap)();
+        const filter = CAPTURE_FILTER;
+        const bufSize = 10 * 1024 * 1024;
+        const buffer = Buffer.alloc(65535);
+
+        let linkType;
+        try {
+            linkType = c.open(deviceName, filter, bufSize, buffer);
+        } catch (e) {
+            throw new Error(`Failed to open capture device ${deviceName}: ${e.message}`);
+        }
+        if (LINK_TYPE[linkType] === undefined) {
+            logger.error('The device seems to be WRONG! Please check the device! Device type: ' + linkType);
+        }
+        c.setMinBytes && c.setMinBytes(0);
+
+        const previous = PacketInterceptor.capture;
+        const frameLinkType = LINK_TYPE[linkType] ?? LINK_TYPE.ETHERNET;
+        c.on('packet', (nbytes) => {
+            diagnostics.countCaptured();
+            countTraffic(deviceName);
+            PacketInterceptor.livePipeline?.push(buffer.subarray(0, nbytes), frameLinkType);
         });
+
+        if (previous) {
+            try {
+                previous.cap.close();
+            } catch (e) {
+                logger.warn(`Error closing capture device ${previous.device}: ${e.message}`);
+            }
+            // les trames de l'ancien adaptateur et la session TCP en cours ne sont plus valides
+            PacketInterceptor.livePipeline?.reset();
+            logger.info(`Capture switched from ${previous.device} to ${deviceName}`);
+        }
+
+        PacketInterceptor.capture = { cap: c, device: deviceName, linkType };
+        return { device: deviceName, linkType };
+    }
+
+    /**
+     * Switches the live capture to another adapter without restarting.
+     * @param {string} deviceName The pcap device name, as listed by `cap.deviceList()`.
+     * @returns {{device:string, linkType:string}}
+     */
+    static switchDevice(deviceName) {
+        if (!PacketInterceptor.livePipeline) {
+            throw new Error('Capture is not started');
+        }
+        if (PacketInterceptor.livePipeline instanceof TcpRelay) {
+            throw new Error('Capture runs through the TCP relay, there is no device to switch');
+        }
+        if (!requirePcap().deviceList().some((d) => d.name === deviceName)) {
+            throw new Error(`Unknown capture device: ${deviceName}`);
+        }
+        return PacketInterceptor.openDevice(deviceName);
+    }
+
+    /**
+     * Starts replaying a capture file. The replay has its own pipeline and statistics, so the
+     * live capture and session are left untouched; once finished, its statistics are saved
+     * to the history (`logs/<capture start time>`) and summed up in the replay status.
+     * @param {string} filePath Path of the `.pcap`/`.pcapng` file.
+     * @param {number} [speed] Playback speed factor, 0 for as fast as possible.
+     * @returns {object} The replay status.
+     */
+    static startReplay(filePath, speed = 0) {
+        if (PacketInterceptor.replay?.running) {
+            throw new Error('A replay is already running');
+        }
+
+        const controller = new AbortController();
+        const replay = {
+            file: filePath,
+            speed,
+            running: true,
+            startedAt: Date.now(),
+            finishedAt: null,
+            progress: { bytesRead: 0, totalBytes: 0, packets: 0, percent: 0 },
+            result: null,
+            error: null,
+            controller,
+        };
+        PacketInterceptor.replay = replay;
+
+        logger.info(`Replaying capture file ${filePath} (speed: ${speed > 0 ? speed + 'x' : 'max'})`);
+        replayCaptureFile(filePath, {
+            speed,
+            signal: controller.signal,
+            onProgress: (progress) => {
+                replay.progress = progress;
+                socket.emit('replay_progress', PacketInterceptor.getReplayStatus());
+            },
+        })
+            .then(async ({ userDataManager: udm, ...result }) => {
+                const userCount = udm._getAllUserEntries().length;
+                const history =
+                    result.startTime != null ? await udm.saveReplayHistory({ endTime: result.endTime }) : [];
+                replay.result = { ...result, userCount, history, user: udm.getAllUsersData() };
+                logger.info(
+                    `Replay ${result.aborted ? 'cancelled' : 'finished'}: ${result.packets} packets, ${result.skipped} skipped`
+                );
+            })
+            .catch((err) => {
+                replay.error = err.message;
+                logger.error(`Replay of ${filePath} failed: ${err.message}`);
+            })
+            .finally(() => {
+                replay.running = false;
+                replay.finishedAt = Date.now();
+                socket.emit('replay_progress', PacketInterceptor.getReplayStatus());
+            });
+
+        return PacketInterceptor.getReplayStatus();
+    }
+
+    /** Cancels the running replay, if any. Returns false when nothing was running. */
+    static cancelReplay() {
+        if (!PacketInterceptor.replay?.running) return false;
+        PacketInterceptor.replay.controller.abort();
+        return true;
+    }
+
+    /**
+     * Health of the whole chain: capture, server identification, reassembly and decoding.
+     * @returns {object}
+     */
+    static getDiagnostics() {
+        const pipeline = PacketInterceptor.livePipeline;
+        const health = pipeline?.describeHealth() ?? null;
+        const local = diagnostics.snapshot();
+        // le décodage peut tourner dans le worker: ses compteurs arrivent avec son état
+        const decoding = pipeline?.decodeDiagnostics?.() ?? local;
+        return {
+            capture: {
+                device: PacketInterceptor.capture?.device ?? null,
+                linkType: PacketInterceptor.capture?.linkType ?? null,
+                decoder: health?.decoder ?? 'main',
+                queueDepth: health?.queueDepth ?? 0,
+            },
+            captureState: health?.captureState ?? null,
+            sceneServer: health?.flows.find((f) => f.primary)?.server ?? null,
+            packets: {
+                captured: local.packets.captured,
+                capturedPerSec: local.packets.capturedPerSec,
+                processed: decoding.packets.processed,
+                processedPerSec: decoding.packets.processedPerSec,
+            },
+            frames: decoding.frames,
+            notifyMethods: decoding.notifyMethods,
+            decodeFailures: decoding.decodeFailures,
+            reassembly: health,
+            replay: PacketInterceptor.getReplayStatus(),
+        };
+    }
+
+    /**
+     * Turns the unknown message collector on or off, on this thread and in the decoder worker.
+     * @param {{enabled?:boolean, samplesPerKey?:number}} options
+     */
+    static configureResearch(options) {
+        protocolResearch.configure(options);
+        PacketInterceptor.livePipeline?.configureResearch?.(options);
+    }
+
+    /**
+     * Loads the protobuf schema packs of the user data directory, for the game client version
+     * set in the settings (`gameClientVersion`). The bundled schema stays the fallback.
+     * @returns {object} The packs as loaded on this thread (the worker reloads them asynchronously).
+     */
+    static loadSchemas() {
+        const options = {
+            dir: PacketInterceptor.schemasDir,
+            clientVersion: globalThis.globalSettings?.gameClientVersion ?? null,
+        };
+        // ici pour le décodage sur le thread principal (repli, rejeu), et dans le worker
+        schemaPacks.load(options);
+        PacketInterceptor.livePipeline?.loadSchemas?.(options);
+        return schemaPacks.describe();
+    }
+
+    static getSchemas() {
+        return PacketInterceptor.livePipeline?.describeSchemas?.() ?? schemaPacks.describe();
+    }
+
+    /** Unknown messages seen by the decoder (worker counts when decoding runs there). */
+    static getResearch() {
+        return PacketInterceptor.livePipeline?.researchSnapshot?.() ?? protocolResearch.snapshot();
+    }
+
+    static #emitCaptureState(state) {
+        logger.info(`Capture state: ${state.state}${state.server ? ` (${state.server})` : ''}`);
+        socket.emit('capture_state', state);
+    }
+
+    /** Where the capture stands: `searching`, `locked`, `lost` or `relocked`. */
+    static getCaptureState() {
+        return (
+            PacketInterceptor.livePipeline?.describeHealth()?.captureState ?? {
+                state: 'searching',
+                server: null,
+                since: null,
+            }
+        );
+    }
+
+    /** Listening address and target of the TCP relay, or null in pcap mode. */
+    static getRelayStatus() {
+        const relay = PacketInterceptor.livePipeline;
+        if (!(relay instanceof TcpRelay)) return null;
+        return {
+            listening: relay.server !== null,
+            listen: `${relay.listenHost}:${relay.listenPort}`,
+            target: `${relay.targetHost}:${relay.targetPort}`,
+            connections: relay.flows.size,
+        };
+    }
+
+    static getReplayStatus() {
+        if (!PacketInterceptor.replay) return { running: false };
+        const { controller, ...status } = PacketInterceptor.replay;
+        return status;
     }
 }
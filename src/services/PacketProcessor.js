@@ -24,6 +24,11 @@ import * as pbRaw from '../algo/blueprotobuf.js';
 const pb = pbRaw?.default ?? pbRaw;
 
 import { InstanceTracker } from './InstanceTracker.js';
+import { readTeam } from '../models/PartyRoster.js';
+import { readBuffEvents } from '../models/BuffTracker.js';
+import diagnostics from './Diagnostics.js';
+import protocolResearch from './ProtocolResearch.js';
+import schemaPacks from './SchemaPacks.js';
 
 import {
     dumpSnapshot,
@@ -46,6 +51,7 @@ const NotifyMethod = Object.freeze({
     SyncNearDeltaInfo: 0x0000002d,
     SyncToMeDeltaInfo: 0x0000002e,
 });
+const NotifyMethodName = Object.fromEntries(Object.entries(NotifyMethod).map(([k, v]) => [v, k]));
 
 // ServiceId connu pour les notifies
 const SERVICE_UUID_NOTIFY = 0x0000000063335342n;
@@ -119,6 +125,14 @@ const EDamageSource = Object.freeze({
     EDamageSourceOther: 100,
 });
 
+// enum du module compilé: sans elle, les retraits de buff ne sont pas suivis (seulement les durées)
+const EBuffEventType = pb.EBuffEventType ?? {};
+if (!pb.EBuffEventType) logger.warn('[PB] EBuffEventType missing from the compiled schema: buff removals are not tracked');
+
+// enum du module compilé: sans elle, une équipe n'est jamais vue comme un raid
+const ETeamType = pb.ETeamType ?? {};
+if (!pb.ETeamType) logger.warn('[PB] ETeamType missing from the compiled schema: raids are reported as parties');
+
 const EDamageProperty = Object.freeze({
     General: 0, Fire: 1, Water: 2, Electricity: 3, Wood: 4,
     Wind: 5, Rock: 6, Light: 7, Dark: 8, Count: 9,
@@ -157,18 +171,35 @@ const pickDecoder = (root, paths = []) => {
 };
 
 const decodeSafely = (root, paths, payload, ctx = {}) => {
+    // pack de schéma du dossier utilisateur d'abord, le module compilé sert de repli
+    const pack = schemaPacks.active;
+    if (pack && payload?.length) {
+        const dec = pickDecoder(pack.root, paths);
+        if (dec) {
+            try {
+                return dec.decode(payload);
+            } catch (e) {
+                logger.debug(`[PB] Schema pack ${pack.name} failed on ${ctx.tag ?? paths[0]}: ${e?.message}`);
+            }
+        }
+        schemaPacks.countFallback(ctx.tag ?? paths[0]);
+    }
+
     try {
         const dec = pickDecoder(root, paths);
         if (!dec) {
+            diagnostics.countDecodeFailure(ctx.tag ?? paths[0], 'missing');
             logger.error('[PB] Missing decoder', { try: paths, ...ctx, len: payload?.length });
             return null;
         }
         if (!payload?.length) {
+            diagnostics.countDecodeFailure(ctx.tag ?? paths[0], 'empty');
             logger.warn('[PB] Empty payload', { for: paths[0], ...ctx });
             return null;
         }
         return dec.decode(payload);
     } catch (e) {
+        diagnostics.countDecodeFailure(ctx.tag ?? paths[0], 'error');
         logger.error('[PB] Decode error', {
             for: paths[0],
             err: e?.message || String(e),
@@ -271,8 +302,20 @@ if (!globalThis.__PB_KEYS_LOGGED__) {
 export class PacketProcessor {
     #internalBuffer = Buffer.alloc(0);
     #currentUserUuid = Long.ZERO; // on le maintient en miroir de l'InstanceTracker
-
-    constructor() { }
+    #userDataManager;
+    #instanceTracker;
+
+    /** Joueurs vus en combat par ce processeur (un processeur par connexion de jeu). */
+    observedUids = new Set();
+
+    /**
+     * @param {{userDataManager?:any, instanceTracker?:InstanceTracker}} [opts]
+     *   Par défaut: le UserDataManager global et son tracker d'instance.
+     */
+    constructor(opts = {}) {
+        this.#userDataManager = opts.userDataManager ?? userDataManager;
+        this.#instanceTracker = opts.instanceTracker ?? instanceTracker;
+    }
 
     /* ---------- compression ---------- */
     #maybeDecompress(buffer, { zstdFlag } = {}) {
@@ -301,21 +344,34 @@ export class PacketProcessor {
         targetUuid = targetUuid.shiftRight(16);
 
         const attrs = aoiSyncDelta?.Attrs?.Attrs;
-        if (attrs?.length) {
-            if (targetIsPlayer) this.#processPlayerAttrs(targetUuid.toNumber(), attrs);
-            else if (targetIsMonster) this.#processEnemyAttrs(targetUuid.toNumber(), attrs);
-        }
+        if (attrs?.length && targetIsMonster) this.#processEnemyAttrs(targetUuid.toNumber(), attrs);
+
+        if (targetIsPlayer) this.#processBuffs(targetUuid.toNumber(), aoiSyncDelta);
 
         const damages = aoiSyncDelta?.SkillEffects?.Damages;
-        if (!Array.isArray(damages) || damages.length === 0) return;
+        if (Array.isArray(damages) && damages.length) {
+            this.#processDamages(targetUuid, targetIsPlayer, damages);
+        }
 
+        // PV des joueurs appliqués après les coups: les soins du delta sont évalués sur les PV d'avant (overheal)
+        if (attrs?.length && targetIsPlayer) this.#processPlayerAttrs(targetUuid.toNumber(), attrs);
+    }
+
+    #processDamages(targetUuid, targetIsPlayer, damages) {
         for (const d of damages) {
             const skillId = d.OwnerId;
             if (!skillId) continue;
 
+            // les coups des invocations/familiers sont attribués au propriétaire (TopSummonerId)
             let attackerUuid = d.TopSummonerId || d.AttackerUuid;
             if (!attackerUuid) continue;
 
+            let summon = null;
+            if (d.TopSummonerId && d.AttackerUuid && !Long.fromValue(d.AttackerUuid).equals(d.TopSummonerId)) {
+                const summonUid = Long.fromValue(d.AttackerUuid).shiftRight(16).toNumber();
+                summon = { uid: summonUid, name: this.#userDataManager.enemyCache.name.get(summonUid) ?? '' };
+            }
+
             const attackerIsPlayer = isUuidPlayer(attackerUuid);
             attackerUuid = attackerUuid.shiftRight(16);
 
@@ -331,27 +387,45 @@ export class PacketProcessor {
             const isDead = !!d.IsDead;
             const isLucky = !!luckyValue;
             const hpLessen = toNum(d.HpLessenValue ?? 0);
+            // part du coup qui n'a pas retiré de PV: bouclier (hors coup fatal, où l'excédent est de l'overkill)
+            const absorbed = d.HpLessenValue != null && !isDead && !isHeal ? Math.max(0, Number(damage) - hpLessen) : 0;
             const damageElement = getDamageElement(d.Property);
             const damageSource = d.DamageSource ?? 0;
 
+            if (attackerIsPlayer) this.observedUids.add(attackerUuid.toNumber());
+            if (targetIsPlayer) this.observedUids.add(targetUuid.toNumber());
+
             if (targetIsPlayer) {
                 if (isHeal) {
-                    userDataManager.addHealing(
+                    this.#userDataManager.addHealing(
                         attackerIsPlayer ? attackerUuid.toNumber() : 0,
                         skillId, damageElement, Number(damage), isCrit, isLucky, isCauseLucky, targetUuid.toNumber()
                     );
                 } else {
-                    userDataManager.addTakenDamage(targetUuid.toNumber(), Number(damage), isDead);
+                    const attackerUid = attackerUuid.toNumber();
+                    this.#userDataManager.addTakenDamage(targetUuid.toNumber(), Number(damage), isDead, {
+                        attackerUid,
+                        attackerIsPlayer,
+                        attackerName: attackerIsPlayer
+                            ? this.#userDataManager._getAnyUser(attackerUid)?.name
+                            : this.#userDataManager.enemyCache.name.get(attackerUid),
+                        skillId,
+                        element: damageElement,
+                        isFall: damageSource === EDamageSource.EDamageSourceFall,
+                        hpLessen: d.HpLessenValue != null ? hpLessen : undefined,
+                        absorbed,
+                    });
                 }
-                if (isDead) userDataManager.setAttrKV(targetUuid.toNumber(), 'hp', 0);
+                if (isDead) this.#userDataManager.setAttrKV(targetUuid.toNumber(), 'hp', 0);
             } else {
                 if (!isHeal && attackerIsPlayer) {
-                    userDataManager.addDamage(
+                    this.#userDataManager.addDamage(
                         attackerUuid.toNumber(), skillId, damageElement, Number(damage),
-                        isCrit, isLucky, isCauseLucky, hpLessen, targetUuid.toNumber()
+                        isCrit, isLucky, isCauseLucky, hpLessen, targetUuid.toNumber(), summon,
+                        getDamageSource(damageSource), absorbed
                     );
                 }
-                if (isDead) userDataManager.deleteEnemyData(targetUuid.toNumber());
+                if (isDead) this.#userDataManager.deleteEnemyData(targetUuid.toNumber());
             }
 
             const extra = [];
@@ -364,30 +438,48 @@ export class PacketProcessor {
             let infoStr = 'SRC: ';
 
             if (attackerIsPlayer) {
-                const attacker = userDataManager.getUser(attackerUuid.toNumber());
+                const attacker = this.#userDataManager.getUser(attackerUuid.toNumber());
                 if (attacker.name) infoStr += attacker.name;
                 infoStr += `#${attackerUuid.toString()}(player)`;
             } else {
-                const n = userDataManager.enemyCache.name.get(attackerUuid.toNumber());
+                const n = this.#userDataManager.enemyCache.name.get(attackerUuid.toNumber());
                 if (n) infoStr += n;
                 infoStr += `#${attackerUuid.toString()}(enemy)`;
             }
+            if (summon) infoStr += ` VIA: ${summon.name}#${summon.uid}(summon)`;
 
             let targetName = '';
             if (targetIsPlayer) {
-                const tgt = userDataManager.getUser(targetUuid.toNumber());
+                const tgt = this.#userDataManager.getUser(targetUuid.toNumber());
                 if (tgt.name) targetName += tgt.name;
                 targetName += `#${targetUuid.toString()}(player)`;
             } else {
-                const n = userDataManager.enemyCache.name.get(targetUuid.toNumber());
+                const n = this.#userDataManager.enemyCache.name.get(targetUuid.toNumber());
                 if (n) targetName += n;
                 targetName += `#${targetUuid.toString()}(enemy)`;
             }
 
             infoStr += ` TGT: ${targetName}`;
             const log = `[${actionType}] DS: ${getDamageSource(damageSource)} ${infoStr} ID: ${skillId} VAL: ${damage} HPLSN: ${hpLessen} ELEM: ${damageElement.slice(-1)} EXT: ${extra.join('|')}`;
-            userDataManager.addLog(log);
+            this.#userDataManager.addLog(log);
+        }
+    }
+
+    /**
+     * Buffs d'un joueur: `BuffInfos` liste les instances présentes (avec BaseId, lanceur, durée),
+     * `BuffEffect` porte les évènements, dont les retraits.
+     */
+    #processBuffs(targetUid, aoiSyncDelta) {
+        const { effected, removed, started } = readBuffEvents(aoiSyncDelta, EBuffEventType);
+        if (!effected.length && !started.length) return;
+
+        // avant les retraits: un bouclier qui casse est retiré dans le delta du coup qu'il encaisse
+        for (const buffUuid of effected) this.#userDataManager.buffEffect(targetUid, buffUuid);
+        for (const buffUuid of removed) this.#userDataManager.removeBuff(targetUid, buffUuid);
+        for (const b of started) {
+            this.#userDataManager.addBuff(targetUid, b.buffUuid, b.baseId, b.sourceUid, b.duration);
         }
+        this.observedUids.add(targetUid);
     }
 
     #processSyncNearDeltaInfo(payload) {
@@ -437,7 +529,8 @@ export class PacketProcessor {
         }
 
         // on maintient les deux pour compat:
-        instanceTracker.setPlayerUuid(uuid, { debounceMs: 0 });
+        this.#instanceTracker.setPlayerUuid(uuid, { debounceMs: 0 });
+        if (!uuid.eq(this.#currentUserUuid)) this.#userDataManager.setLocalPlayer(uuid.shiftRight(16).toNumber());
         this.#currentUserUuid = uuid;
 
         const base = toMe?.BaseDelta;
@@ -491,24 +584,29 @@ export class PacketProcessor {
 
             // ---- DÉTECTION D’INSTANCE (précise via InstanceTracker) ----
             // updateFromVData déclenche updateFromSceneData si vData.SceneData est présent.
-            instanceTracker.updateFromVData(vData);
+            this.#instanceTracker.updateFromVData(vData);
 
             // ---- MISE À JOUR JOUEUR ----
             const charId = vData?.CharId;
             if (!charId) return;
             const playerUid = toNum(charId);
 
-            if (vData.RoleLevel?.Level) userDataManager.setAttrKV(playerUid, 'level', vData.RoleLevel.Level);
-            if (vData.Attr?.CurHp) userDataManager.setAttrKV(playerUid, 'hp', toNum(vData.Attr.CurHp));
-            if (vData.Attr?.MaxHp) userDataManager.setAttrKV(playerUid, 'max_hp', toNum(vData.Attr.MaxHp));
+            // ---- ÉQUIPE / RAID ----
+            this.#userDataManager.setLocalPlayer(playerUid);
+            const team = readTeam(vData, ETeamType);
+            if (team !== undefined) this.#userDataManager.setTeam(playerUid, team);
+
+            if (vData.RoleLevel?.Level) this.#userDataManager.setAttrKV(playerUid, 'level', vData.RoleLevel.Level);
+            if (vData.Attr?.CurHp) this.#userDataManager.setAttrKV(playerUid, 'hp', toNum(vData.Attr.CurHp));
+            if (vData.Attr?.MaxHp) this.#userDataManager.setAttrKV(playerUid, 'max_hp', toNum(vData.Attr.MaxHp));
 
             const charBase = vData.CharBase;
-            if (charBase?.Name) userDataManager.setName(playerUid, charBase.Name);
-            if (charBase?.FightPoint) userDataManager.setFightPoint(playerUid, charBase.FightPoint);
+            if (charBase?.Name) this.#userDataManager.setName(playerUid, charBase.Name);
+            if (charBase?.FightPoint) this.#userDataManager.setFightPoint(playerUid, charBase.FightPoint);
 
             const prof = vData.ProfessionList;
             if (prof?.CurProfessionId) {
-                userDataManager.setProfession(playerUid, getProfessionNameFromId(prof.CurProfessionId));
+                this.#userDataManager.setProfession(playerUid, getProfessionNameFromId(prof.CurProfessionId));
             }
         } catch (err) {
             try { fs.writeFileSync('./SyncContainerData.dat', payload); } catch { }
@@ -540,7 +638,7 @@ export class PacketProcessor {
                 );
                 const idProbe = localExtractSceneLikeId(maybe);
                 if (Number.isFinite(idProbe)) {
-                    instanceTracker.probeDirtyBlob({ idProbe: Number(idProbe) });
+                    this.#instanceTracker.probeDirtyBlob({ idProbe: Number(idProbe) });
                 }
             }
         } catch { /* soft-fail */ }
@@ -557,10 +655,10 @@ export class PacketProcessor {
                 fieldIndex = r.readUInt32LE(); r.readInt32();
                 if (fieldIndex === 5) { // Name
                     const name = streamReadString(r);
-                    if (name) userDataManager.setName(this.#currentUserUuid.shiftRight(16).toNumber(), name);
+                    if (name) this.#userDataManager.setName(this.#currentUserUuid.shiftRight(16).toNumber(), name);
                 } else if (fieldIndex === 35) { // FightPoint
                     const fp = r.readUInt32LE(); r.readInt32();
-                    userDataManager.setFightPoint(this.#currentUserUuid.shiftRight(16).toNumber(), fp);
+                    this.#userDataManager.setFightPoint(this.#currentUserUuid.shiftRight(16).toNumber(), fp);
                 }
                 break;
             }
@@ -569,10 +667,10 @@ export class PacketProcessor {
                 fieldIndex = r.readUInt32LE(); r.readInt32();
                 if (fieldIndex === 1) {
                     const curHp = r.readUInt32LE();
-                    userDataManager.setAttrKV(this.#currentUserUuid.shiftRight(16).toNumber(), 'hp', curHp);
+                    this.#userDataManager.setAttrKV(this.#currentUserUuid.shiftRight(16).toNumber(), 'hp', curHp);
                 } else if (fieldIndex === 2) {
                     const maxHp = r.readUInt32LE();
-                    userDataManager.setAttrKV(this.#currentUserUuid.shiftRight(16).toNumber(), 'max_hp', maxHp);
+                    this.#userDataManager.setAttrKV(this.#currentUserUuid.shiftRight(16).toNumber(), 'max_hp', maxHp);
                 }
                 break;
             }
@@ -582,7 +680,7 @@ export class PacketProcessor {
                 if (fieldIndex === 1) {
                     const curProfessionId = r.readUInt32LE(); r.readInt32();
                     if (curProfessionId) {
-                        userDataManager.setProfession(
+                        this.#userDataManager.setProfession(
                             this.#currentUserUuid.shiftRight(16).toNumber(),
                             getProfessionNameFromId(curProfessionId),
                         );
@@ -608,18 +706,18 @@ export class PacketProcessor {
         const disappearCount = disappear.length || 0;
         // Heuristique wipe massive (approx. locale)
         if (disappearCount >= Math.max(10, Math.floor(0.8 * (appear.length + disappearCount)))) {
-            instanceTracker.onAoiWipe({ disappearCount });
+            this.#instanceTracker.onAoiWipe({ disappearCount });
         }
 
         if (!this.#currentUserUuid.isZero()) {
             const meAppeared = appear.some((ent) => ent?.Uuid && ent.Uuid.eq(this.#currentUserUuid));
             if (meAppeared) {
-                instanceTracker.onSelfAppearedInAoi({ uuid: this.#currentUserUuid.toString() });
+                this.#instanceTracker.onSelfAppearedInAoi({ uuid: this.#currentUserUuid.toString() });
             }
         }
 
         const populationDelta = (appear.length || 0) - disappearCount;
-        instanceTracker.onPopulationDelta(populationDelta);
+        this.#instanceTracker.onPopulationDelta(populationDelta);
 
         // Attributs
         for (const entity of appear) {
@@ -649,7 +747,7 @@ export class PacketProcessor {
 
         if (!this.#currentUserUuid.isZero() && Array.isArray(disappear)) {
             const meGone = disappear.some((ent) => ent?.Uuid && ent.Uuid.eq(this.#currentUserUuid));
-            if (meGone) instanceTracker.onSelfDisappearedFromAoi({ uuid: this.#currentUserUuid.toString() });
+            if (meGone) this.#instanceTracker.onSelfDisappearedFromAoi({ uuid: this.#currentUserUuid.toString() });
         }
     }
 
@@ -660,18 +758,18 @@ export class PacketProcessor {
             if (!id || !raw) continue;
             const r = pbjs.Reader.create(raw);
             switch (id) {
-                case AttrType.AttrName: userDataManager.setName(playerUid, r.string()); break;
-                case AttrType.AttrProfessionId: userDataManager.setProfession(playerUid, getProfessionNameFromId(r.int32())); break;
-                case AttrType.AttrFightPoint: userDataManager.setFightPoint(playerUid, r.int32()); break;
-                case AttrType.AttrLevel: userDataManager.setAttrKV(playerUid, 'level', r.int32()); break;
-                case AttrType.AttrRankLevel: userDataManager.setAttrKV(playerUid, 'rank_level', r.int32()); break;
-                case AttrType.AttrCri: userDataManager.setAttrKV(playerUid, 'cri', r.int32()); break;
-                case AttrType.AttrLucky: userDataManager.setAttrKV(playerUid, 'lucky', r.int32()); break;
-                case AttrType.AttrHp: userDataManager.setAttrKV(playerUid, 'hp', r.int32()); break;
-                case AttrType.AttrMaxHp: userDataManager.setAttrKV(playerUid, 'max_hp', r.int32()); break;
-                case AttrType.AttrElementFlag: userDataManager.setAttrKV(playerUid, 'element_flag', r.int32()); break;
-                case AttrType.AttrEnergyFlag: userDataManager.setAttrKV(playerUid, 'energy_flag', r.int32()); break;
-                case AttrType.AttrReductionLevel: userDataManager.setAttrKV(playerUid, 'reduction_level', r.int32()); break;
+                case AttrType.AttrName: this.#userDataManager.setName(playerUid, r.string()); break;
+                case AttrType.AttrProfessionId: this.#userDataManager.setProfession(playerUid, getProfessionNameFromId(r.int32())); break;
+                case AttrType.AttrFightPoint: this.#userDataManager.setFightPoint(playerUid, r.int32()); break;
+                case AttrType.AttrLevel: this.#userDataManager.setAttrKV(playerUid, 'level', r.int32()); break;
+                case AttrType.AttrRankLevel: this.#userDataManager.setAttrKV(playerUid, 'rank_level', r.int32()); break;
+                case AttrType.AttrCri: this.#userDataManager.setAttrKV(playerUid, 'cri', r.int32()); break;
+                case AttrType.AttrLucky: this.#userDataManager.setAttrKV(playerUid, 'lucky', r.int32()); break;
+                case AttrType.AttrHp: this.#userDataManager.setAttrKV(playerUid, 'hp', r.int32()); break;
+                case AttrType.AttrMaxHp: this.#userDataManager.setAttrKV(playerUid, 'max_hp', r.int32()); break;
+                case AttrType.AttrElementFlag: this.#userDataManager.setAttrKV(playerUid, 'element_flag', r.int32()); break;
+                case AttrType.AttrEnergyFlag: this.#userDataManager.setAttrKV(playerUid, 'energy_flag', r.int32()); break;
+                case AttrType.AttrReductionLevel: this.#userDataManager.setAttrKV(playerUid, 'reduction_level', r.int32()); break;
                 default: break;
             }
         }
@@ -685,7 +783,7 @@ export class PacketProcessor {
             switch (id) {
                 case AttrType.AttrName: {
                     const name = r.string();
-                    userDataManager.enemyCache.name.set(enemyUid, name);
+                    this.#userDataManager.enemyCache.name.set(enemyUid, name);
                     logger.info(`Found monster name ${name} for id ${enemyUid}`);
                     break;
                 }
@@ -694,16 +792,16 @@ export class PacketProcessor {
                     const name = monsterNames[attrId];
                     if (name) {
                         logger.info(`Found monster name ${name} for id ${enemyUid}`);
-                        userDataManager.enemyCache.name.set(enemyUid, name);
+                        this.#userDataManager.enemyCache.name.set(enemyUid, name);
                     }
                     break;
                 }
                 case AttrType.AttrHp: {
-                    userDataManager.enemyCache.hp.set(enemyUid, r.int32());
+                    this.#userDataManager.enemyCache.hp.set(enemyUid, r.int32());
                     break;
                 }
                 case AttrType.AttrMaxHp: {
-                    userDataManager.enemyCache.maxHp.set(enemyUid, r.int32());
+                    this.#userDataManager.enemyCache.maxHp.set(enemyUid, r.int32());
                     break;
                 }
                 default: break;
@@ -719,6 +817,11 @@ export class PacketProcessor {
 
         if (serviceUuid !== SERVICE_UUID_NOTIFY) {
             logger.debug(`Skipping NotifyMsg with serviceId ${serviceUuid}`);
+            if (protocolResearch.enabled) {
+                const payload = reader.readRemaining();
+                protocolResearch.record('service', `0x${serviceUuid.toString(16)}_0x${methodId.toString(16)}`,
+                    isZstd ? this.#maybeDecompress(payload, { zstdFlag: true }) : payload);
+            }
             return;
         }
 
@@ -729,6 +832,7 @@ export class PacketProcessor {
             logger.warn('Notify payload empty', { methodId });
             return;
         }
+        diagnostics.countNotify(NotifyMethodName[methodId] ?? `0x${methodId.toString(16)}`);
 
         switch (methodId) {
             case NotifyMethod.SyncNearEntities: this.#processSyncNearEntities(payload); break;
@@ -736,7 +840,10 @@ export class PacketProcessor {
             case NotifyMethod.SyncContainerDirtyData: this.#processSyncContainerDirtyData(payload); break;
             case NotifyMethod.SyncToMeDeltaInfo: this.#processSyncToMeDeltaInfo(payload); break;
             case NotifyMethod.SyncNearDeltaInfo: this.#processSyncNearDeltaInfo(payload); break;
-            default: logger.debug(`Skipping NotifyMsg with methodId ${methodId}`); break;
+            default:
+                logger.debug(`Skipping NotifyMsg with methodId ${methodId}`);
+                protocolResearch.record('method', `0x${methodId.toString(16)}`, payload);
+                break;
         }
     }
 
@@ -744,6 +851,19 @@ export class PacketProcessor {
         logger.debug('Unimplemented processing return');
     }
 
+    /** Call / Echo: jamais traités, seulement collectés pour la recherche de protocole. */
+    #processUnhandledMsg(kind, reader, isZstd) {
+        if (!protocolResearch.enabled) return;
+        let key = 'raw';
+        if (kind === 'call' && reader.remaining() >= 16) {
+            const serviceUuid = reader.readUInt64();
+            reader.readUInt32(); // stubId
+            key = `0x${serviceUuid.toString(16)}_0x${reader.readUInt32().toString(16)}`;
+        }
+        const payload = reader.readRemaining();
+        protocolResearch.record(kind, key, isZstd ? this.#maybeDecompress(payload, { zstdFlag: true }) : payload);
+    }
+
     /* ---------- Entrées publiques ---------- */
     processPacket(packets) {
         try {
@@ -768,6 +888,8 @@ export class PacketProcessor {
                 switch (msgTypeId) {
                     case MessageType.Notify: this.#processNotifyMsg(packetReader, isZstd); break;
                     case MessageType.Return: this.#processReturnMsg(packetReader, isZstd); break;
+                    case MessageType.Call: this.#processUnhandledMsg('call', packetReader, isZstd); break;
+                    case MessageType.Echo: this.#processUnhandledMsg('echo', packetReader, isZstd); break;
                     case MessageType.FrameDown: {
                         packetReader.readUInt32(); // serverSequenceId
                         if (packetReader.remaining() === 0) break;
@@ -0,0 +1,29 @@
+// src/services/PcapDriver.js
+// Chargement de l'addon natif `cap`. Sans Npcap/libpcap il ne se charge pas: le reste de
+// l'application doit alors continuer à démarrer (mode relais TCP, rejeu de fichiers).
+import logger from './Logger.js';
+
+/**
+ * BPF filter of the game capture. IPv6 is not filtered on `tcp`: the BPF `tcp` primitive
+ * only looks at the fixed header, so it misses extension headers and fragments.
+ */
+export const CAPTURE_FILTER = '(ip and tcp) or (ip6 and not udp and not icmp6)';
+
+let cap = null;
+let pcapLoadError = null;
+
+try {
+    ({ default: cap } = await import('cap'));
+} catch (e) {
+    pcapLoadError = e;
+    logger.warn(`Packet capture driver unavailable (${e.message}). Only the TCP relay capture mode will work.`);
+}
+
+/** Throws a readable error when the pcap driver could not be loaded. */
+export function requirePcap() {
+    if (!cap) throw new Error(`Packet capture driver unavailable: ${pcapLoadError?.message ?? 'unknown error'}`);
+    return cap;
+}
+
+export { pcapLoadError };
+export default cap;
@@ -0,0 +1,104 @@
+import logger from './Logger.js';
+
+import { CapturePipeline } from './CapturePipeline.js';
+import { UserDataManager } from './UserDataManager.js';
+import { PcapReader } from '../models/PcapReader.js';
+
+const SWEEP_INTERVAL = 10000;
+const PROGRESS_INTERVAL = 250;
+
+/** Extensions accepted for a capture file to replay. */
+export const CAPTURE_FILE_EXTENSIONS = Object.freeze(['.pcap', '.pcapng']);
+
+/**
+ * Replays a `.pcap`/`.pcapng` file through a fresh capture pipeline, into a
+ * headless UserDataManager: the live statistics are left untouched.
+ *
+ * Timeouts (IP fragments, TCP stall) and the statistics clock follow the capture
+ * timestamps, so DPS and fight durations match the original session regardless of speed.
+ * Each instance change closes a segment; `userDataManager.saveReplayHistory` writes them all.
+ *
+ * @param {string} filePath Path of the capture file.
+ * @param {object} [options]
+ * @param {number} [options.speed] Playback speed factor; 0 or less replays as fast as possible.
+ * @param {AbortSignal} [options.signal] Aborts the replay.
+ * @param {(progress: object) => void} [options.onProgress] Called periodically with `{ bytesRead, totalBytes, packets, percent }`.
+ * @returns {Promise<{packets:number, skipped:number, aborted:boolean, userDataManager:UserDataManager,
+ *   startTime:number|null, endTime:number|null}>}
+ */
+export async function replayCaptureFile(filePath, { speed = 0, signal, onProgress } = {}) {
+    let now = 0;
+    const userDataManager = new UserDataManager({ headless: true, clock: () => now });
+    await userDataManager.loadUserCache();
+    const pipeline = new CapturePipeline({ userDataManager });
+    const reader = new PcapReader(filePath);
+    await reader.open();
+
+    let packets = 0;
+    let skipped = 0;
+    let firstCaptureTs = null;
+    let lastCaptureTs = null;
+    let lastSweepTs = null;
+    let lastProgress = 0;
+    let lastOffset = 0;
+    const startWallClock = Date.now();
+
+    const reportProgress = (offset, force = false) => {
+        if (!onProgress) return;
+        const now = Date.now();
+        if (!force && now - lastProgress < PROGRESS_INTERVAL) return;
+        lastProgress = now;
+        onProgress({
+            bytesRead: offset,
+            totalBytes: reader.size,
+            packets,
+            percent: reader.size ? Math.min(100, (offset / reader.size) * 100) : 100,
+        });
+    };
+
+    try {
+        for await (const record of reader.records()) {
+            if (signal?.aborted) break;
+
+            // les Simple Packet Blocks n'ont pas d'horodatage: on garde le dernier connu
+            const ts = Number.isFinite(record.timestamp) ? record.timestamp : (lastCaptureTs ?? Date.now());
+            if (firstCaptureTs === null) {
+                firstCaptureTs = ts;
+                lastSweepTs = ts;
+                userDataManager.startTime = ts; // le premier segment commence avec la capture
+            }
+            lastCaptureTs = ts;
+            now = ts;
+
+            if (speed > 0) {
+                const due = startWallClock + (ts - firstCaptureTs) / speed;
+                const wait = due - Date.now();
+                if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+            }
+
+            try {
+                await pipeline.processFrame(record.data, record.linkType, ts, record.byteOrder);
+                packets++;
+            } catch (e) {
+                skipped++;
+                logger.debug(`Replay: skipped malformed packet #${packets + skipped}: ${e.message}`);
+            }
+
+            if (ts - lastSweepTs >= SWEEP_INTERVAL) {
+                pipeline.sweep(ts);
+                lastSweepTs = ts;
+            }
+
+            // rend la main à l'event loop pour garder le serveur web réactif
+            if ((packets + skipped) % 500 === 0) await new Promise((r) => setImmediate(r));
+            lastOffset = record.offset;
+            reportProgress(lastOffset);
+        }
+    } finally {
+        await reader.close();
+    }
+
+    const aborted = !!signal?.aborted;
+    reportProgress(aborted ? lastOffset : reader.size, true);
+    return { packets, skipped, aborted, userDataManager, startTime: firstCaptureTs, endTime: lastCaptureTs };
+}
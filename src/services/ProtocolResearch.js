@@ -0,0 +1,108 @@
+// src/services/ProtocolResearch.js
+// Collecteur opt-in des messages que le décodeur ne sait pas traiter (méthodes, services, Call/Echo),
+// pour retrouver les nouveaux messages après un patch du jeu sans attacher de débogueur.
+import fs from 'fs';
+import path from 'path';
+
+import logger from './Logger.js';
+
+const DEFAULT_DIR = path.join('./logs', 'research');
+const DEFAULT_SAMPLES_PER_KEY = 5;
+// un message inconnu peut arriver à chaque tick: au plus un échantillon écrit par clé sur cet intervalle
+const DEFAULT_SAMPLE_INTERVAL_MS = 10_000;
+const MAX_SAMPLE_BYTES = 256 * 1024;
+
+export class ProtocolResearch {
+    constructor() {
+        this.enabled = false;
+        this.dir = DEFAULT_DIR;
+        this.samplesPerKey = DEFAULT_SAMPLES_PER_KEY;
+        this.sampleIntervalMs = DEFAULT_SAMPLE_INTERVAL_MS;
+        /** @type {Set<Promise<void>>} écritures en cours */
+        this.pending = new Set();
+        /** @type {Set<string>} catégorie/clé dont un échantillon est en cours d'écriture */
+        this.writing = new Set();
+        this.reset();
+    }
+
+    /**
+     * @param {{enabled?:boolean, dir?:string, samplesPerKey?:number, sampleIntervalMs?:number}} [opts]
+     */
+    configure({
+        enabled = this.enabled,
+        dir = this.dir,
+        samplesPerKey = this.samplesPerKey,
+        sampleIntervalMs = this.sampleIntervalMs,
+    } = {}) {
+        this.enabled = !!enabled;
+        this.dir = dir;
+        this.samplesPerKey = Math.max(0, Number(samplesPerKey) || 0);
+        this.sampleIntervalMs = Math.max(0, Number(sampleIntervalMs) || 0);
+    }
+
+    reset() {
+        this.since = Date.now();
+        /** @type {Record<string, Record<string, {count:number, firstAt:number, lastAt:number, lastSize:number, samples:number}>>} */
+        this.unknown = {}; // catégorie (method, service, call, echo) -> clé -> compteurs
+        /** @type {Map<string, number>} dernière écriture d'échantillon par catégorie/clé */
+        this.lastSampleAt = new Map();
+    }
+
+    /**
+     * Counts a message the decoder skipped, and keeps its payload in a rotating set of samples:
+     * `<dir>/<kind>_<key>_<n>.bin`, n cycling over `samplesPerKey` files. Every message is counted,
+     * but a key gets at most one sample per `sampleIntervalMs`, and none while its previous write is pending.
+     * @param {'method'|'service'|'call'|'echo'} kind
+     * @param {string} key Method id, service uuid... as printed in the logs.
+     * @param {Buffer} [payload]
+     */
+    record(kind, key, payload) {
+        if (!this.enabled) return;
+        const now = Date.now();
+        const byKey = (this.unknown[kind] ??= {});
+        const entry = (byKey[key] ??= { count: 0, firstAt: now, lastAt: now, lastSize: 0, samples: 0 });
+        entry.count++;
+        entry.lastAt = now;
+        entry.lastSize = payload?.length ?? 0;
+
+        if (!payload?.length || !this.samplesPerKey) return;
+        const sampleKey = `${kind}_${key}`;
+        if (this.writing.has(sampleKey)) return;
+        if (now - (this.lastSampleAt.get(sampleKey) ?? -Infinity) < this.sampleIntervalMs) return;
+
+        const slot = entry.samples++ % this.samplesPerKey;
+        this.lastSampleAt.set(sampleKey, now);
+        this.writing.add(sampleKey);
+        this.#writeSample(`${sampleKey}_${slot}.bin`, payload.subarray(0, MAX_SAMPLE_BYTES))
+            .finally(() => this.writing.delete(sampleKey));
+    }
+
+    /** Attend la fin des écritures d'échantillons en cours. */
+    async flush() {
+        await Promise.all(this.pending);
+    }
+
+    snapshot() {
+        return {
+            enabled: this.enabled,
+            dir: path.resolve(this.dir),
+            since: this.since,
+            unknown: structuredClone(this.unknown),
+        };
+    }
+
+    #writeSample(fileName, data) {
+        // copie: le buffer du paquet est réutilisé pendant l'écriture asynchrone
+        const copy = Buffer.from(data);
+        const write = fs.promises
+            .mkdir(this.dir, { recursive: true })
+            .then(() => fs.promises.writeFile(path.join(this.dir, fileName.replace(/[^\w.-]/g, '_')), copy))
+            .catch((e) => logger.debug(`[ProtocolResearch] Failed to write ${fileName}: ${e.message}`))
+            .finally(() => this.pending.delete(write));
+        this.pending.add(write);
+        return write;
+    }
+}
+
+const protocolResearch = new ProtocolResearch();
+export default protocolResearch;
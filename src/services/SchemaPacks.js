@@ -0,0 +1,127 @@
+// src/services/SchemaPacks.js
+// Schémas protobuf chargés au démarrage depuis le dossier utilisateur, pour suivre un patch du jeu
+// sans attendre une nouvelle version de l'application. Le module compilé reste le repli.
+import fs from 'fs';
+import path from 'path';
+import protobuf from 'protobufjs';
+
+import logger from './Logger.js';
+
+const MANIFEST = 'pack.json';
+const ANY_VERSION = '*';
+
+/**
+ * @typedef {object} SchemaPack
+ * @property {string} name Directory name.
+ * @property {string[]} clientVersions Game client versions it decodes (`*` = any).
+ * @property {string[]} files
+ * @property {import('protobufjs').Root|null} root
+ * @property {string|null} error Why it could not be loaded.
+ */
+
+/**
+ * One directory per pack in the schema folder:
+ *   <dir>/<pack>/pack.json   { "clientVersion": "1.0.12" | ["1.0.12", "1.0.13"] | "*", "files": [...] }
+ *   <dir>/<pack>/*.proto     sources .proto, et/ou descripteurs JSON protobufjs (*.json)
+ * Without `files`, every .proto and .json of the directory is loaded.
+ */
+export class SchemaPacks {
+    constructor() {
+        this.dir = null;
+        this.clientVersion = null;
+        /** @type {SchemaPack[]} */
+        this.packs = [];
+        /** @type {SchemaPack|null} */
+        this.active = null;
+        this.fallbacks = {}; // type de message -> décodages repassés sur le schéma intégré
+    }
+
+    /**
+     * (Re)loads the packs of `dir` and picks the one for `clientVersion`.
+     * @param {{dir?:string|null, clientVersion?:string|null}} opts
+     */
+    load({ dir = null, clientVersion = null } = {}) {
+        this.dir = dir;
+        this.clientVersion = clientVersion ? String(clientVersion) : null;
+        this.packs = dir ? readPacks(dir) : [];
+        this.active = selectPack(this.packs, this.clientVersion);
+        this.fallbacks = {};
+
+        if (this.active) {
+            logger.info(`[SchemaPacks] Using schema pack ${this.active.name} (client ${this.clientVersion ?? 'any'})`);
+        } else if (this.packs.length) {
+            logger.info(`[SchemaPacks] No schema pack for client ${this.clientVersion ?? '(unset)'}, using the bundled schema`);
+        }
+        return this.active;
+    }
+
+    /** The active pack failed on a message: it was decoded with the bundled schema instead. */
+    countFallback(tag) {
+        this.fallbacks[tag] = (this.fallbacks[tag] ?? 0) + 1;
+    }
+
+    describe() {
+        return {
+            dir: this.dir,
+            clientVersion: this.clientVersion,
+            active: this.active?.name ?? null,
+            packs: this.packs.map(({ root, ...pack }) => ({ ...pack, loaded: !!root })),
+            fallbacks: { ...this.fallbacks },
+        };
+    }
+}
+
+/** @returns {SchemaPack[]} */
+function readPacks(dir) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return []; // pas de dossier: aucun pack installé
+    }
+    return entries
+        .filter((e) => e.isDirectory())
+        .map((e) => readPack(path.join(dir, e.name), e.name))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** @returns {SchemaPack} */
+function readPack(packDir, name) {
+    const pack = { name, clientVersions: [ANY_VERSION], files: [], root: null, error: null };
+    try {
+        const manifestPath = path.join(packDir, MANIFEST);
+        const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+        if (manifest.clientVersion != null) pack.clientVersions = [manifest.clientVersion].flat().map(String);
+        pack.files = Array.isArray(manifest.files)
+            ? manifest.files
+            : fs.readdirSync(packDir).filter((f) => f !== MANIFEST && /\.(proto|json)$/i.test(f)).sort();
+        if (!pack.files.length) throw new Error('no .proto or .json file');
+
+        // keepCase: les champs gardent leur casse (DeltaInfos...), comme le module compilé
+        const root = new protobuf.Root();
+        for (const file of pack.files) {
+            const filePath = path.join(packDir, file);
+            if (/\.json$/i.test(file)) protobuf.Root.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')), root);
+            else root.loadSync(filePath, { keepCase: true });
+        }
+        root.resolveAll();
+        pack.root = root;
+    } catch (e) {
+        pack.error = e.message;
+        logger.warn(`[SchemaPacks] Failed to load schema pack ${name}: ${e.message}`);
+    }
+    return pack;
+}
+
+/** Exact version first, then a pack declared for any version. */
+function selectPack(packs, clientVersion) {
+    const loaded = packs.filter((p) => p.root);
+    return (
+        (clientVersion && loaded.find((p) => p.clientVersions.includes(clientVersion))) ||
+        loaded.find((p) => p.clientVersions.includes(ANY_VERSION)) ||
+        null
+    );
+}
+
+const schemaPacks = new SchemaPacks();
+export default schemaPacks;
@@ -0,0 +1,90 @@
+import logger from './Logger.js';
+
+const SCENE_SIGNATURE = Buffer.from([0x00, 0x63, 0x33, 0x53, 0x42, 0x00]); // c3SB??
+const LOGIN_RETURN_SIGNATURE = Buffer.from([
+    0x00, 0x00, 0x00, 0x62, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x11, 0x45, 0x14, 0x00, 0x00, 0x00, 0x00,
+    0x0a, 0x4e, 0x08, 0x01, 0x22, 0x24,
+]);
+
+/**
+ * @typedef {object} ServerIdentifier
+ * @property {string} name Unique name, used in logs and to unregister.
+ * @property {(payload:Buffer) => boolean} match Tells whether a server -> client TCP payload
+ *   (seen before any game connection is known on its 4-tuple) comes from a scene server.
+ */
+
+/** @type {ServerIdentifier[]} */
+const identifiers = [];
+
+/**
+ * Adds a scene server identification strategy. Strategies are tried in registration order.
+ * @param {ServerIdentifier} identifier
+ */
+export function registerServerIdentifier(identifier) {
+    if (!identifier?.name || typeof identifier.match !== 'function') {
+        throw new TypeError('A server identifier needs a name and a match(payload) function');
+    }
+    if (identifiers.some((i) => i.name === identifier.name)) {
+        throw new Error(`Server identifier ${identifier.name} is already registered`);
+    }
+    identifiers.push(identifier);
+}
+
+/** Removes a strategy by name. Returns false if it was not registered. */
+export function unregisterServerIdentifier(name) {
+    const index = identifiers.findIndex((i) => i.name === name);
+    if (index === -1) return false;
+    identifiers.splice(index, 1);
+    return true;
+}
+
+export function listServerIdentifiers() {
+    return identifiers.map((i) => i.name);
+}
+
+/**
+ * Runs the registered strategies on a payload.
+ * A strategy that throws is logged and skipped, the others still get their chance.
+ * @param {Buffer} payload
+ * @returns {string|null} Name of the first matching strategy.
+ */
+export function identifyServer(payload) {
+    if (!payload?.length) return null;
+    for (const identifier of identifiers) {
+        try {
+            if (identifier.match(payload)) return identifier.name;
+        } catch (e) {
+            logger.debug(`[ServerIdentification] ${identifier.name} failed: ${e.message}`);
+        }
+    }
+    return null;
+}
+
+/* ------------------------- stratégies intégrées ------------------------- */
+
+// premier message d'un FrameDown: notify du service c3SB
+registerServerIdentifier({
+    name: 'scene-notify',
+    match(payload) {
+        if (payload.length < 10 || payload[4] !== 0) return false;
+        const data = payload.subarray(10);
+        if (data.length < 4) return false;
+
+        const packetLength = data.readUInt32BE(0);
+        if (packetLength > 0x100000 || packetLength < 4 || packetLength > data.length) return false;
+        const packet = data.subarray(4, packetLength);
+        return packet.subarray(5, 5 + SCENE_SIGNATURE.length).equals(SCENE_SIGNATURE);
+    },
+});
+
+// réponse de connexion au serveur de scène (0x62 octets)
+registerServerIdentifier({
+    name: 'login-return',
+    match(payload) {
+        return (
+            payload.length === 0x62 &&
+            payload.subarray(0, 10).equals(LOGIN_RETURN_SIGNATURE.subarray(0, 10)) &&
+            payload.subarray(14, 20).equals(LOGIN_RETURN_SIGNATURE.subarray(14, 20))
+        );
+    },
+});
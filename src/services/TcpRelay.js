@@ -0,0 +1,190 @@
+import net from 'net';
+import logger from './Logger.js';
+import defaultUserDataManager from './UserDataManager.js';
+import defaultDiagnostics from './Diagnostics.js';
+
+import { GameFrameSplitter } from '../models/GameFrameSplitter.js';
+import { CaptureState } from '../models/CaptureState.js';
+
+export const DEFAULT_RELAY_PORT = 5003;
+
+/**
+ * Capture backend that needs no pcap driver: the game connection is pointed at a
+ * local port, and every accepted connection is forwarded to the real scene server.
+ *
+ * Both directions are relayed untouched. The server -> client byte stream is already
+ * ordered and complete, so it goes straight into a frame splitter and the usual
+ * per-connection `PacketProcessor`, without IP/TCP reassembly.
+ * Exposes the same `describeFlows`/`describeHealth`/`reset` surface as `CapturePipeline`.
+ */
+export class TcpRelay {
+    /**
+     * @param {object} opts
+     * @param {string} opts.targetHost Scene server host.
+     * @param {number} opts.targetPort Scene server port.
+     * @param {number} [opts.listenPort] Local port the game connects to (0 picks a free one).
+     * @param {string} [opts.listenHost]
+     * @param {typeof import('./CapturePipeline.js').createFlowContext} opts.createFlowContext Builds the
+     *   `PacketProcessor` of each connection; passed in so the relay itself does not load the game schema.
+     * @param {{write:(frame:Buffer, timestamp:number, flowId:number) => void}} [opts.recorder]
+     * @param {import('./UserDataManager.js').UserDataManager} [opts.userDataManager]
+     * @param {import('./Diagnostics.js').Diagnostics} [opts.diagnostics]
+     * @param {(state:object) => void} [opts.onStateChange] Called on `capture_state` transitions.
+     */
+    constructor(opts) {
+        this.targetHost = opts.targetHost;
+        this.targetPort = opts.targetPort;
+        this.listenPort = opts.listenPort ?? DEFAULT_RELAY_PORT;
+        this.listenHost = opts.listenHost ?? '127.0.0.1';
+        this.createFlowContext = opts.createFlowContext;
+        this.recorder = opts.recorder ?? null;
+        this.userDataManager = opts.userDataManager ?? defaultUserDataManager;
+        this.diagnostics = opts.diagnostics ?? defaultDiagnostics;
+        this.captureState = new CaptureState(opts.onStateChange);
+
+        this.server = null;
+        this.flows = new Map(); // id -> flow
+        this._nextFlowId = 1;
+        this.stats = { connections: 0, resyncs: 0, droppedBytes: 0 };
+    }
+
+    /** Starts listening. Resolves with the bound address. */
+    start() {
+        return new Promise((resolve, reject) => {
+            const server = net.createServer((client) => this.#onClient(client));
+            server.once('error', reject);
+            server.listen(this.listenPort, this.listenHost, () => {
+                server.off('error', reject);
+                server.on('error', (e) => logger.error(`[TcpRelay] ${e.message}`));
+                this.server = server;
+                const { address, port } = server.address();
+                this.listenPort = port;
+                logger.info(`TCP relay listening on ${address}:${port} -> ${this.targetHost}:${this.targetPort}`);
+                resolve({ host: address, port });
+            });
+        });
+    }
+
+    /** Closes the listener and every relayed connection. */
+    stop() {
+        for (const flow of this.flows.values()) flow.close();
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    /** Drops partial frames; connections stay open and resync on the next frame. */
+    reset() {
+        for (const flow of this.flows.values()) flow.splitter.gap();
+    }
+
+    get primaryFlow() {
+        let primary = null;
+        for (const flow of this.flows.values()) {
+            if (!primary || flow.identifiedAt >= primary.identifiedAt) primary = flow;
+        }
+        return primary;
+    }
+
+    describeFlows() {
+        const primary = this.primaryFlow;
+        return Array.from(this.flows.values()).map((flow) => {
+            const localUid = flow.instanceTracker.currentPlayerUid ?? null;
+            const localUser = localUid != null ? this.userDataManager._getAnyUser(localUid) : null;
+            return {
+                id: flow.id,
+                server: flow.server,
+                identifiedAt: flow.identifiedAt,
+                lastPacketAt: flow.lastPacketAt,
+                lastFrameAt: flow.lastFrameAt,
+                primary: flow === primary,
+                localUid,
+                localName: localUser?.name || null,
+                uids: Array.from(flow.processor.observedUids),
+                relay: { ...flow.bytes },
+                frames: { ...flow.splitter.stats },
+            };
+        });
+    }
+
+    describeHealth() {
+        return {
+            captureState: this.captureState.toJSON(),
+            queueDepth: 0,
+            fragmentsPending: 0,
+            tcp: { ...this.stats },
+            flows: this.describeFlows(),
+            decoder: 'relay',
+        };
+    }
+
+    #onClient(client) {
+        const upstream = net.connect(this.targetPort, this.targetHost);
+        const now = Date.now();
+        const flow = {
+            id: this._nextFlowId++,
+            server: `${this.targetHost}:${this.targetPort} -> ${client.remoteAddress}:${client.remotePort}`,
+            identifiedAt: now,
+            lastPacketAt: now,
+            lastFrameAt: null,
+            bytes: { up: 0, down: 0 },
+            instanceTracker: null,
+            processor: null,
+            splitter: null,
+            close: () => {
+                client.destroy();
+                upstream.destroy();
+            },
+        };
+        Object.assign(flow, this.createFlowContext(this.userDataManager, () => this.primaryFlow === flow));
+        flow.splitter = new GameFrameSplitter({
+            onFrame: (frame) => {
+                flow.lastFrameAt = flow.lastPacketAt;
+                this.diagnostics.countFrame();
+                flow.processor.processPacket(frame);
+                this.recorder?.write(frame, flow.lastPacketAt, flow.id);
+            },
+            onResync: (reason, droppedBytes) => {
+                this.stats.resyncs++;
+                this.stats.droppedBytes += droppedBytes;
+                logger.warn(`Resynchronised ${flow.server} after ${reason}, ${droppedBytes} bytes dropped`);
+            },
+        });
+        this.flows.set(flow.id, flow);
+        this.stats.connections++;
+        this.captureState.locked(flow.server);
+        logger.info(`Relaying game connection ${flow.server}`);
+
+        client.on('data', (chunk) => {
+            flow.bytes.up += chunk.length;
+        });
+        upstream.on('data', (chunk) => {
+            flow.bytes.down += chunk.length;
+            flow.lastPacketAt = Date.now();
+            this.diagnostics.countProcessed();
+            try {
+                flow.splitter.push(chunk);
+            } catch (e) {
+                logger.error(`[TcpRelay] Failed to decode ${flow.server}: ${e.stack || e.message}`);
+            }
+        });
+        client.pipe(upstream);
+        upstream.pipe(client);
+
+        let closed = false;
+        const closeFlow = () => {
+            if (closed) return;
+            closed = true;
+            flow.close();
+            this.flows.delete(flow.id);
+            if (this.flows.size === 0) this.captureState.lost(flow.server);
+            logger.info(`Game connection ${flow.server} closed`);
+        };
+        client.on('error', (e) => logger.warn(`[TcpRelay] Client error on ${flow.server}: ${e.message}`));
+        upstream.on('error', (e) => logger.warn(`[TcpRelay] Server error on ${flow.server}: ${e.message}`));
+        client.on('close', closeFlow);
+        upstream.on('close', closeFlow);
+    }
+}
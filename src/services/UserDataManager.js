@@ -1,4 +1,7 @@
 import { UserData } from '../models/UserData.js';
+import { EnemyRegistry } from '../models/EnemyRegistry.js';
+import { EncounterTracker, diffUserSummary } from '../models/EncounterTracker.js';
+import { PartyRoster } from '../models/PartyRoster.js';
 import { Lock } from '../models/Lock.js';
 import { config } from '../config.js';
 import socket from './Socket.js';
@@ -9,8 +12,22 @@ import * as Sessions from './Sessions.js';
 import * as crypto from 'crypto';
 import mapNames from '../tables/map_names.json' with { type: 'json' };
 
-class UserDataManager {
-    constructor(logger) {
+export const TARGET_FILTER_MODES = Object.freeze(['all', 'enemy', 'maxHp']);
+const DEFAULT_BOSS_MIN_MAX_HP = 10_000_000;
+// le buff qui réagit à un coup absorbé arrive dans le même delta: marge pour le décalage de traitement
+const SHIELD_EFFECT_WINDOW_MS = 100;
+
+export class UserDataManager {
+    /**
+     * @param {{headless?:boolean, clock?:() => number}} [opts]
+     *   headless: pas de fichiers, de socket ni de sessions (recalcul hors-ligne).
+     *   clock: source de temps des statistiques (Date.now par défaut).
+     */
+    constructor(opts = {}) {
+        const { headless = false, clock = Date.now } = opts;
+        this.headless = headless;
+        this.clock = clock;
+
         this.users = new Map();
         this.userGraveyard = new Map();
         this.userCache = new Map();
@@ -22,6 +39,8 @@ class UserDataManager {
 
         this.hpCache = new Map();
         this.startTime = Date.now();
+        // headless: segments clos par un changement d'instance, enregistrés par saveReplayHistory
+        this.finishedSegments = [];
 
         this.logLock = new Lock();
         this.logDirExist = new Set();
@@ -30,20 +49,26 @@ class UserDataManager {
         this.currentSession = null;
         this._shutdownHookBound = false;
 
-        this.enemyCache = {
-            name: new Map(),
-            hp: new Map(),
-            maxHp: new Map(),
-        };
+        // Ennemis de la session (apparition, dégâts, mort); ses vues name/hp/maxHp servent au décodeur
+        this.enemyCache = new EnemyRegistry(clock);
+
+        // Combats (pulls) de la session; les stats d'un combat = écart avec les résumés pris à son début
+        this.encounters = new EncounterTracker({
+            clock,
+            onStart: () => this._onEncounterStart(),
+            onEnd: (encounter) => this._onEncounterEnd(encounter),
+        });
+        this._encounterBase = new Map();
+
+        // Équipe / raid du joueur local (gardé d'une session à l'autre)
+        this.roster = new PartyRoster();
+
+        // Filtre de cibles du meter
+        this.targetFilter = { mode: 'all' };
 
-        // Auto-save des logs JSON
+        // Auto-save des logs JSON (démarré dans init)
         this.lastAutoSaveTime = 0;
         this.lastLogTime = 0;
-        setInterval(() => {
-            if (this.lastLogTime < this.lastAutoSaveTime) return;
-            this.lastAutoSaveTime = Date.now();
-            this.saveAllUserData();
-        }, 10 * 1000);
 
         // Clean des joueurs inactifs
         /*setInterval(() => {
@@ -56,6 +81,25 @@ class UserDataManager {
     async init() {
         await this.loadUserCache();
         this._bindShutdownHooksOnce();
+
+        setInterval(() => {
+            if (this.lastLogTime < this.lastAutoSaveTime) return;
+            this.lastAutoSaveTime = Date.now();
+            this.saveAllUserData();
+        }, 10 * 1000);
+
+        setInterval(() => this.encounters.tick(), 1000);
+    }
+
+    /** socket.emit, sauf en mode headless. */
+    _emit(event, data) {
+        if (this.headless) return;
+        socket.emit(event, data);
+    }
+
+    /** La pause de l'UI ne concerne que la capture live. */
+    _isPaused() {
+        return !this.headless && config.IS_PAUSED;
     }
 
     _bindShutdownHooksOnce() {
@@ -90,7 +134,7 @@ class UserDataManager {
                 this.users.delete(uid);
                 this.userGraveyard.set(uid, user);
 
-                socket.emit('user_deleted', { uid });
+                this._emit('user_deleted', { uid });
                 logger.info(`Moved inactive user to graveyard: uid=${uid}`);
             }
         }
@@ -120,6 +164,7 @@ class UserDataManager {
     }
 
     saveUserCacheThrottled() {
+        if (this.headless) return;
         this.pendingSave = true;
         if (this.saveThrottleTimer) clearTimeout(this.saveThrottleTimer);
         this.saveThrottleTimer = setTimeout(async () => {
@@ -153,7 +198,7 @@ class UserDataManager {
             this.users.set(uid, u);
             return u;
         }
-        const user = new UserData(uid);
+        const user = new UserData(uid, this.clock);
         const cachedData = this.userCache.get(String(uid));
         if (cachedData) {
             if (cachedData.name) user.setName(cachedData.name);
@@ -167,32 +212,177 @@ class UserDataManager {
         return user;
     }
 
-    addDamage(uid, skillId, element, damage, isCrit, isLucky, isCauseLucky, hpLessenValue = 0, targetUid) {
-        if (config.IS_PAUSED) return;
+    addDamage(uid, skillId, element, damage, isCrit, isLucky, isCauseLucky, hpLessenValue = 0, targetUid, summon, damageSource, absorbed = 0) {
+        if (this._isPaused()) return;
         if (config.GLOBAL_SETTINGS.onlyRecordEliteDummy && targetUid !== 75) return;
         //this.checkTimeoutClear();
+        this.encounters.activity(targetUid);
         const user = this.getUser(uid);
-        user.addDamage(skillId, element, damage, isCrit, isLucky, isCauseLucky, hpLessenValue);
+        if (targetUid != null) {
+            this.enemyCache.recordDamage(targetUid, { attackerUid: uid, attackerName: user.name, skillId, damage });
+        }
+        user.addDamage(skillId, element, damage, isCrit, isLucky, isCauseLucky, hpLessenValue, targetUid, summon, damageSource, absorbed);
+    }
+
+    /* ───────────────────────── target filter ───────────────────────── */
+
+    /**
+     * Restreint les dégâts affichés à une cible, ou aux cibles dont les PV max dépassent un seuil.
+     * @param {{mode:'all'|'enemy'|'maxHp', uid?:number, minMaxHp?:number}} filter
+     */
+    setTargetFilter(filter = {}) {
+        const mode = filter.mode ?? 'all';
+        if (!TARGET_FILTER_MODES.includes(mode)) throw new TypeError(`Unknown target filter mode: ${mode}`);
+
+        let next = { mode: 'all' };
+        if (mode === 'enemy') {
+            const uid = Number(filter.uid);
+            if (!Number.isSafeInteger(uid)) throw new TypeError('An enemy filter needs a target uid');
+            next = { mode, uid };
+        } else if (mode === 'maxHp') {
+            const minMaxHp = Number(filter.minMaxHp ?? globalThis.globalSettings?.bossMinMaxHp ?? DEFAULT_BOSS_MIN_MAX_HP);
+            if (!(minMaxHp > 0)) throw new TypeError('A max HP filter needs a positive threshold');
+            next = { mode, minMaxHp };
+        }
+
+        this.targetFilter = next;
+        logger.info(`[TARGET] Filter set to ${JSON.stringify(next)}`);
+        this._emit('target_filter', next);
+        return next;
+    }
+
+    /** Prédicat du filtre de cibles courant, null s'il n'y a pas de filtre. */
+    _targetMatcher() {
+        const filter = this.targetFilter;
+        if (filter.mode === 'enemy') return (targetUid) => targetUid === filter.uid;
+        if (filter.mode === 'maxHp') return (targetUid) => (this.enemyCache.get(targetUid)?.maxHp ?? 0) >= filter.minMaxHp;
+        return null;
+    }
+
+    /** Cibles de la session avec les dégâts reçus de tous les joueurs. */
+    getTargets() {
+        const damage = new Map();
+        for (const [, user] of this._getAllUserEntries()) {
+            for (const [targetUid, stat] of user.damageByTarget) {
+                damage.set(targetUid, (damage.get(targetUid) ?? 0) + stat.stats.total);
+            }
+        }
+        return [...this.enemyCache.byUid.values()]
+            .filter((enemy) => enemy.firstDamagedAt != null)
+            .map((enemy) => ({
+                uid: enemy.uid,
+                name: enemy.name,
+                maxHp: enemy.maxHp,
+                alive: this.enemyCache.isAlive(enemy.uid),
+                totalDamage: damage.get(enemy.uid) ?? 0,
+            }));
     }
 
     addHealing(uid, skillId, element, healing, isCrit, isLucky, isCauseLucky, targetUid) {
-        if (config.IS_PAUSED) return;
+        if (this._isPaused()) return;
         //this.checkTimeoutClear();
+        this.encounters.activity();
+        const overheal = targetUid != null ? this._applyHealToHp(targetUid, healing) : 0;
         if (uid !== 0) {
             const user = this.getUser(uid);
-            user.addHealing(skillId, element, healing, isCrit, isLucky, isCauseLucky);
+            user.addHealing(skillId, element, healing, isCrit, isLucky, isCauseLucky, targetUid, overheal);
         }
+        // les soins reçus comptent aussi ceux des PNJ / sources inconnues (uid 0)
+        if (targetUid != null) {
+            this.getUser(targetUid).addHealingReceived(uid, healing, uid ? this._getAnyUser(uid)?.name : '');
+        }
+    }
+
+    /**
+     * Fait avancer les PV connus de la cible et renvoie la part du soin perdue au-delà des PV max.
+     * Sans PV connus, tout le soin est compté comme effectif.
+     */
+    _applyHealToHp(targetUid, healing) {
+        const target = this.getUser(targetUid);
+        const hp = target.attr.hp;
+        const maxHp = target.attr.max_hp;
+        if (hp == null || !(maxHp > 0)) return 0;
+
+        const effective = Math.max(0, Math.min(healing, maxHp - hp));
+        this._setEstimatedHp(targetUid, Math.min(maxHp, hp + healing));
+        return healing - effective;
+    }
+
+    /** PV estimés entre deux mises à jour d'attributs (pas d'échantillon dans le récap de mort). */
+    _setEstimatedHp(uid, hp) {
+        this.getUser(uid).attr.hp = hp;
+        this.hpCache.set(uid, hp);
     }
 
-    addTakenDamage(uid, damage, isDead) {
-        if (config.IS_PAUSED) return;
+    /**
+     * @param {{attackerUid?:number, attackerIsPlayer?:boolean, attackerName?:string, skillId?:number,
+     *   element?:string, isFall?:boolean, hpLessen?:number}} [details] Origine du coup, pour le détail des
+     *   dégâts subis. hpLessen: PV réellement perdus (hors boucliers).
+     */
+    addTakenDamage(uid, damage, isDead, details = {}) {
+        if (this._isPaused()) return;
         //this.checkTimeoutClear();
+        this.encounters.activity();
         const user = this.getUser(uid);
-        user.addTakenDamage(damage, isDead);
+        if (details.absorbed > 0) details = this._attributeShield(user, details);
+        const death = user.addTakenDamage(damage, isDead, details);
+        // PV estimés jusqu'à la prochaine mise à jour des attributs (pour l'overheal des soins suivants)
+        const hpLoss = details.hpLessen ?? damage;
+        if (user.attr.hp != null) this._setEstimatedHp(uid, Math.max(0, user.attr.hp - hpLoss));
+
+        if (death) {
+            const { killingBlow } = death;
+            logger.info(`[DEATH] ${user.name || uid} killed by ${killingBlow.attackerName || killingBlow.attackerUid} (${killingBlow.skillName || 'unknown skill'})`);
+            this._emit('death', { uid, name: user.name, at: death.at, killingBlow });
+        }
+    }
+
+    /**
+     * Retrouve le joueur dont le bouclier a pris le coup: le dernier buff actif de la cible parmi `shieldBuffIds`
+     * s'il est rempli, à défaut le lanceur du buff de la cible qui a réagi avec le coup (même delta).
+     */
+    _attributeShield(user, details) {
+        const shieldBuffIds = globalThis.globalSettings?.shieldBuffIds;
+        const listed = Array.isArray(shieldBuffIds) && shieldBuffIds.length
+            ? user.buffs.latestSource(new Set(shieldBuffIds.map(Number)))
+            : 0;
+        const shielderUid = listed || user.buffs.effectSource(SHIELD_EFFECT_WINDOW_MS);
+        const shielder = shielderUid ? this._getAnyUser(shielderUid) : null;
+        if (!shielder) return details;
+
+        shielder.addShieldGiven(details.absorbed);
+        return { ...details, shielderUid, shielderName: shielder.name };
+    }
+
+    /**
+     * Morts de la session, de la plus récente à la plus ancienne.
+     * @param {number} [uid] Limite aux morts d'un joueur.
+     * @param {{applyRosterFilter?:boolean}} [opts] Sans les joueurs hors équipe/raid si `onlyPartyMembers` est activé.
+     */
+    getDeaths(uid, opts = {}) {
+        const users = uid != null ? [this._getAnyUser(uid)].filter(Boolean) : this._getAllUserEntries().map(([, u]) => u);
+        return users
+            .filter((u) => !opts.applyRosterFilter || this._rosterAllows(u.uid))
+            .flatMap((u) => u.deaths)
+            .sort((a, b) => b.at - a.at);
+    }
+
+    addBuff(uid, buffUuid, baseId, sourceUid = 0, duration = 0) {
+        if (this._isPaused()) return;
+        this.getUser(uid).addBuff(buffUuid, baseId, sourceUid, duration);
+    }
+
+    buffEffect(uid, buffUuid) {
+        this._getAnyUser(uid)?.buffEffect(buffUuid);
+    }
+
+    removeBuff(uid, buffUuid) {
+        // même en pause: un buff ouvert ne doit pas le rester indéfiniment
+        this._getAnyUser(uid)?.removeBuff(buffUuid);
     }
 
     async addLog(log) {
-        if (config.IS_PAUSED) return;
+        if (this._isPaused()) return;
 
         const logDir = path.join('./logs', String(this.startTime));
         const logFile = path.join(logDir, 'fight.log');
@@ -200,6 +390,7 @@ class UserDataManager {
         const logEntry = `[${timestamp}] ${log}\n`;
 
         this.lastLogTime = Date.now();
+        if (this.headless) return;
 
         await this.logLock.acquire();
         try {
@@ -254,6 +445,7 @@ class UserDataManager {
     setAttrKV(uid, key, value) {
         const user = this.getUser(uid);
         user.attr[key] = value;
+        if (key === 'hp') user.addHpSample(value);
         if (key === 'max_hp') {
             const uidStr = String(uid);
             if (!this.userCache.has(uidStr)) this.userCache.set(uidStr, {});
@@ -269,54 +461,223 @@ class UserDataManager {
         for (const user of this.users.values()) user.updateRealtimeDps();
     }
 
-    getUserSkillData(uid) {
+    /**
+     * @param {{details?:boolean}} [opts] details: ajoute buffs, dégâts subis, soins, cibles et répartition
+     *   des dégâts (fenêtre de détails, servis à la demande: trop lourds pour le flux live).
+     */
+    getUserSkillData(uid, opts = {}) {
         const numericUid = typeof uid === 'string' ? Number(uid) : uid;
         const user = this.users.get(numericUid);
         if (!user) return null;
-        return {
+        const data = {
             uid: user.uid,
             name: user.name,
             profession: user.profession + (user.subProfession ? `-${user.subProfession}` : ''),
             skills: user.getSkillSummary(),
             attr: user.attr,
         };
+        if (!opts.details) return data;
+        return {
+            ...data,
+            buffs: user.getBuffSummary(),
+            taken: user.takenStats.getSummary(),
+            healing: user.getHealingSummary(),
+            targets: user.getDamageByTarget(),
+            damageBreakdown: user.getDamageBreakdown(),
+        };
     }
 
-    getAllUsersData() {
+    /** Dégâts subis de chaque joueur (onglet Tank). */
+    getTakenData(opts = {}) {
         const result = {};
         for (const [uid, user] of this._getAllUserEntries()) {
-            result[uid] = user.getSummary();
+            if (opts.applyRosterFilter && !this._rosterAllows(uid)) continue;
+            result[uid] = user.takenStats.getSummary();
         }
         return result;
     }
 
-    getAllEnemiesData() {
+    /**
+     * Matrice soigneur × cible de la session.
+     * @returns {{players:Record<number, string>, matrix:Record<number, Record<number, {total:number, count:number}>>}}
+     */
+    getHealingMatrix() {
+        const players = {};
+        const matrix = {};
+        for (const [uid, user] of this._getAllUserEntries()) {
+            players[uid] = user.name;
+            if (user.healingByTarget.size === 0) continue;
+            matrix[uid] = Object.fromEntries([...user.healingByTarget].map(([targetUid, v]) => [targetUid, { ...v }]));
+        }
+        return { players, matrix };
+    }
+
+    /**
+     * Tableau des buffs de la session: pour chaque BaseId, l'uptime sur chaque joueur
+     * et le nombre d'applications par lanceur.
+     */
+    getBuffTable() {
+        const table = {};
+        for (const [uid, user] of this._getAllUserEntries()) {
+            for (const buff of Object.values(user.getBuffSummary())) {
+                const row = (table[buff.baseId] ??= { baseId: buff.baseId, applications: 0, players: {}, sources: {} });
+                row.applications += buff.applications;
+                row.players[uid] = {
+                    name: user.name,
+                    uptime: buff.uptime,
+                    uptimeMs: buff.uptimeMs,
+                    applications: buff.applications,
+                    active: buff.active,
+                };
+                for (const [sourceUid, count] of Object.entries(buff.sources)) {
+                    row.sources[sourceUid] = (row.sources[sourceUid] ?? 0) + count;
+                }
+            }
+        }
+        for (const row of Object.values(table)) {
+            const uptimes = Object.values(row.players).map((p) => p.uptime);
+            row.avgUptime = uptimes.reduce((s, v) => s + v, 0) / uptimes.length;
+        }
+        return table;
+    }
+
+    /**
+     * @param {{applyTargetFilter?:boolean, applyRosterFilter?:boolean}} [opts] applyTargetFilter: vue live du meter
+     *   (filtre de cibles). applyRosterFilter: sans les joueurs hors équipe/raid si `onlyPartyMembers` est activé.
+     */
+    getAllUsersData(opts = {}) {
+        const matchTarget = opts.applyTargetFilter ? this._targetMatcher() : null;
         const result = {};
-        const enemyIds = new Set([
-            ...this.enemyCache.name.keys(),
-            ...this.enemyCache.hp.keys(),
-            ...this.enemyCache.maxHp.keys(),
-        ]);
-        enemyIds.forEach((id) => {
-            result[id] = {
-                name: this.enemyCache.name.get(id),
-                hp: this.enemyCache.hp.get(id),
-                max_hp: this.enemyCache.maxHp.get(id),
-            };
-        });
+        for (const [uid, user] of this._getAllUserEntries()) {
+            if (opts.applyRosterFilter && !this._rosterAllows(uid)) continue;
+            result[uid] = { ...user.getSummary(matchTarget), relation: this.roster.relation(uid) };
+        }
         return result;
     }
 
+    /* ───────────────────────── roster ───────────────────────── */
+
+    /** Joueur d'un client de jeu suivi. */
+    setLocalPlayer(uid) {
+        if (this.roster.setSelf(uid)) logger.info(`[ROSTER] Local player ${uid}`);
+    }
+
+    /** @param {import('../models/PartyRoster.js').Team} team Équipe du joueur local, lue dans son VData. */
+    setTeam(selfUid, team) {
+        if (!this.roster.setTeam(selfUid, team)) return;
+        const members = team?.members?.length ?? 0;
+        logger.info(members ? `[ROSTER] ${selfUid} is in a ${team.raid ? 'raid' : 'party'} of ${members}` : `[ROSTER] ${selfUid} has no team`);
+        this._emit('roster', this.roster.describe());
+    }
+
+    /** @returns {'self'|'party'|'raid'|'nearby'} */
+    getRelation(uid) {
+        return this.roster.relation(uid);
+    }
+
+    /** Le joueur est affiché / sauvegardé: tout le monde, ou seulement l'équipe et le raid (`onlyPartyMembers`). */
+    _rosterAllows(uid) {
+        return !globalThis.globalSettings?.onlyPartyMembers || this.roster.relation(uid) !== 'nearby';
+    }
+
+    /** Ennemis vivants: { uid: { name, hp, max_hp } } */
+    getAllEnemiesData() {
+        return this.enemyCache.getLive();
+    }
+
+    /**
+     * Ennemis de la session avec durée de vie, temps de mise à mort (ttkMs) et tueur.
+     * @param {{damagedOnly?:boolean, timeline?:boolean}} [opts] timeline: inclure la courbe de PV.
+     */
+    getEnemies(opts = {}) {
+        return this.enemyCache.getSummary(opts);
+    }
+
+    /** Mort d'un ennemi: l'enregistrement est gardé pour la session. */
     deleteEnemyData(id) {
-        this.enemyCache.name.delete(id);
-        this.enemyCache.hp.delete(id);
-        this.enemyCache.maxHp.delete(id);
+        this.enemyCache.markDead(id);
+        this.encounters.enemyDied(id);
+    }
+
+    /* ───────────────────────── encounters ───────────────────────── */
+
+    _onEncounterStart() {
+        this._encounterBase = new Map(this._getAllUserEntries().map(([uid, user]) => [uid, user.getSummary()]));
+    }
+
+    /** Fige les stats du combat terminé: elles ne bougent plus ensuite. */
+    _onEncounterEnd(encounter) {
+        encounter.players = this._encounterPlayers(encounter);
+        this._encounterBase = new Map();
+        const meta = this._segmentMeta(encounter);
+        encounter.label = meta.label;
+        logger.info(`[ENCOUNTER] Pull #${meta.index} ended (${meta.reasonEnd}): ${meta.label}, ${Math.round(meta.durationMs / 1000)}s, ${meta.kills} kill(s)`);
+        this._emit('segment_ended', meta);
+    }
+
+    /** Stats de chaque joueur actif pendant le combat. */
+    _encounterPlayers(encounter) {
+        const live = encounter.endedAt == null;
+        const durationMs = (encounter.endedAt ?? this.clock()) - encounter.startedAt;
+        const players = {};
+        for (const [uid, user] of this._getAllUserEntries()) {
+            if (!this._rosterAllows(uid)) continue;
+            const stats = diffUserSummary(user.getSummary(), this._encounterBase.get(uid), durationMs, live);
+            if (stats.total_damage.total || stats.total_healing.total || stats.taken_damage) players[uid] = stats;
+        }
+        return players;
+    }
+
+    _segmentMeta(encounter) {
+        const live = encounter.endedAt == null;
+        return {
+            id: encounter.id,
+            index: encounter.index,
+            label: encounter.label ?? this._encounterLabel(encounter),
+            startedAt: encounter.startedAt,
+            endedAt: encounter.endedAt,
+            durationMs: (encounter.endedAt ?? this.clock()) - encounter.startedAt,
+            active: live,
+            reasonEnd: encounter.reason,
+            enemies: encounter.enemies.size,
+            kills: encounter.dead.size,
+        };
+    }
+
+    /** Nom du combat: l'ennemi frappé qui a le plus de PV max (le boss, s'il y en a un). */
+    _encounterLabel(encounter) {
+        let main = null;
+        for (const uid of encounter.enemies) {
+            const enemy = this.enemyCache.get(uid);
+            if (enemy && (!main || enemy.maxHp > main.maxHp)) main = enemy;
+        }
+        return main?.name || `Pull ${encounter.index}`;
+    }
+
+    /**
+     * Combats de la session dans l'ordre, le combat en cours (active) en dernier.
+     * @param {{withPlayers?:boolean}} [opts] withPlayers: stats par joueur (sauvegarde de session).
+     */
+    getSegments(opts = {}) {
+        this.encounters.tick();
+        const { current, ended } = this.encounters;
+        return [...ended, ...(current ? [current] : [])].map((encounter) => ({
+            ...this._segmentMeta(encounter),
+            ...(opts.withPlayers ? { players: encounter.players ?? this._encounterPlayers(encounter) } : {}),
+        }));
+    }
+
+    /** Un combat avec ses stats par joueur; `current` = combat en cours, ou le dernier terminé. */
+    getSegment(id) {
+        this.encounters.tick();
+        const { current, ended } = this.encounters;
+        const encounter = id === 'current' ? (current ?? ended.at(-1)) : [...ended, current].find((e) => e && e.id === Number(id));
+        if (!encounter) return null;
+        return { ...this._segmentMeta(encounter), players: encounter.players ?? this._encounterPlayers(encounter) };
     }
 
     refreshEnemyCache() {
-        this.enemyCache.name.clear();
-        this.enemyCache.hp.clear();
-        this.enemyCache.maxHp.clear();
+        this.enemyCache.despawnAll();
     }
 
     clearAll(opts = {}) {
@@ -336,11 +697,39 @@ class UserDataManager {
         this.users = new Map();
         if (this.userGraveyard) this.userGraveyard = new Map();
 
-        this.startTime = Date.now();
+        this.enemyCache.resetSession();
+        this.encounters.reset();
+        this._encounterBase = new Map();
+        if (this.targetFilter.mode === 'enemy') this.setTargetFilter({ mode: 'all' }); // uid sans objet après un clear
+
+        this.startTime = this.clock();
         this.lastAutoSaveTime = 0;
         this.lastLogTime = 0;
 
-        this.saveAllUserData(usersToSave, saveStartTime);
+        if (!this.headless) {
+            this.saveAllUserData(usersToSave, saveStartTime);
+        } else if (usersToSave.size) {
+            this.finishedSegments.push({ users: usersToSave, startTime: saveStartTime, endTime: this.startTime });
+        }
+    }
+
+    /**
+     * Enregistre un rejeu headless dans l'historique: une entrée `logs/<startTime>` par segment
+     * clos sur un changement d'instance, puis une pour le segment en cours, horodatées par la capture.
+     * @param {{endTime:number, logsDir?:string}} opts endTime: horodatage du dernier paquet rejoué.
+     * @returns {Promise<number[]>} Le startTime de chaque entrée écrite.
+     */
+    async saveReplayHistory({ endTime, logsDir = './logs' }) {
+        const segments = this.finishedSegments;
+        this.finishedSegments = [];
+        const current = new Map(this._getAllUserEntries());
+        if (current.size) segments.push({ users: current, startTime: this.startTime, endTime });
+
+        for (const segment of segments) {
+            const logDir = path.join(logsDir, String(segment.startTime));
+            await this.saveAllUserData(segment.users, segment.startTime, { endTime: segment.endTime, logDir });
+        }
+        return segments.map((segment) => segment.startTime);
     }
 
 
@@ -349,12 +738,17 @@ class UserDataManager {
         return Array.from(this.users.keys());
     }
 
-    async saveAllUserData(usersToSave = null, startTime = null) {
+    /**
+     * @param {Map|null} [usersToSave]
+     * @param {number|null} [startTime]
+     * @param {{endTime?:number, logDir?:string}} [opts] Fin de session et dossier cible (recalcul d'un historique).
+     */
+    async saveAllUserData(usersToSave = null, startTime = null, opts = {}) {
         try {
-            const endTime = Date.now();
+            const endTime = opts.endTime ?? Date.now();
             const users = usersToSave || this.users;
             const timestamp = startTime || this.startTime;
-            const logDir = path.join('./logs', String(timestamp));
+            const logDir = opts.logDir ?? path.join('./logs', String(timestamp));
             const usersDir = path.join(logDir, 'users');
             const summary = {
                 startTime: timestamp,
@@ -374,6 +768,11 @@ class UserDataManager {
                     profession: user.profession + (user.subProfession ? `-${user.subProfession}` : ''),
                     subProfession: user.subProfession,
                     skills: user.getSkillSummary(),
+                    buffs: user.getBuffSummary(),
+                    taken: user.takenStats.getSummary(),
+                    healing: user.getHealingSummary(),
+                    targets: user.getDamageByTarget(),
+                    damageBreakdown: user.getDamageBreakdown(),
                     attr: user.attr,
                 };
                 userDatas.set(uid, userData);
@@ -474,6 +873,7 @@ class UserDataManager {
         return {
             uid: u.uid,
             name: u.name || String(u.uid),
+            relation: this.roster.relation(u.uid),
             profession: u.profession + (u.subProfession ? ` ${u.subProfession}` : ''),
             fightPoint: u.fightPoint,
             dps: Number(sum.total_dps || 0),
@@ -493,11 +893,12 @@ class UserDataManager {
         logger.info(`[INSTANCE] Change detected: reason=${reason}, seq=${seq}, to=${extra?.to}`);
 
         // 1) Finalise l'ancienne session (snapshot avant clear)
-        if (this.currentSession) {
+        if (this.currentSession && !this.headless) {
             const endedAt = Date.now();
-            const snapshotUsers = this.getAllUsersData();
+            const snapshotUsers = this.getAllUsersData({ applyRosterFilter: true });
 
             const players = this._getAllUserEntries()
+                .filter(([uid]) => this._rosterAllows(uid))
                 .map(([uid, _u]) => this._buildPlayerSnapshot(uid))
                 .filter(Boolean);
 
@@ -515,6 +916,9 @@ class UserDataManager {
                     instanceId: this.currentSession.instanceId,
                     fromInstance: this.currentSession.fromInstance,
                     partySize: players.length,
+                    deaths: this.getDeaths(undefined, { applyRosterFilter: true }),
+                    enemies: this.getEnemies({ damagedOnly: true }),
+                    segments: this.getSegments({ withPlayers: true }),
                     snapshot: { players, usersAgg: snapshotUsers },
                 };
 
@@ -529,8 +933,9 @@ class UserDataManager {
             this.currentSession = null;
         }
 
-        // 2) Reset complet du meter
-        this.clearAll();
+        // 2) Reset complet du meter. En rejeu, le premier verrouillage (tracker neuf) ouvre la session
+        //    sans effacer les trames décodées avant lui: le fichier commence déjà dans cette session.
+        if (!this.headless || this.currentSession) this.clearAll();
 
         // 3) Nom lisible = nom de la map + date/heure locale
         const mapId = extra?.to ?? seq;
@@ -555,7 +960,7 @@ class UserDataManager {
         logger.info(`[SESSION] Started new session: ${sessionName}`);
 
         // 5) Notifie le front (reset UI)
-        socket.emit('session_started', {
+        this._emit('session_started', {
             id: this.currentSession.id,
             name: this.currentSession.name,
             startedAt: this.currentSession.startedAt,
@@ -564,17 +969,18 @@ class UserDataManager {
             seq: this.currentSession.seq,
             reasonStart: this.currentSession.reasonStart,
         });
-        socket.emit('dps_cleared', { at: Date.now() });
-        socket.emit('session_changed', { seq, reason, ...extra }); // compat
+        this._emit('dps_cleared', { at: Date.now() });
+        this._emit('session_changed', { seq, reason, ...extra }); // compat
     }
 
     _finalizeAndPersistSession(reasonEnd = 'instance_change') {
-        if (!this.currentSession) return;
+        if (!this.currentSession || this.headless) return;
 
         const endedAt = Date.now();
-        const snapshotUsers = this.getAllUsersData();
+        const snapshotUsers = this.getAllUsersData({ applyRosterFilter: true });
 
         const players = this._getAllUserEntries()
+            .filter(([uid]) => this._rosterAllows(uid))
             .map(([uid, _u]) => this._buildPlayerSnapshot(uid))
             .filter(Boolean);
 
@@ -597,6 +1003,9 @@ class UserDataManager {
             instanceId: this.currentSession.instanceId,
             fromInstance: this.currentSession.fromInstance,
             partySize: players.length,
+            deaths: this.getDeaths(undefined, { applyRosterFilter: true }),
+            enemies: this.getEnemies({ damagedOnly: true }),
+            segments: this.getSegments({ withPlayers: true }),
             snapshot: { usersAgg: snapshotUsers, players },
         };
 
@@ -644,7 +1053,7 @@ class UserDataManager {
         logger.info(`[SESSION] Started new session: ${sessionName}`);
 
         // Notifie l’UI pour reset l’affichage
-        socket.emit('session_started', {
+        this._emit('session_started', {
             id: this.currentSession.id,
             name: this.currentSession.name,
             startedAt: this.currentSession.startedAt,
@@ -653,7 +1062,7 @@ class UserDataManager {
             seq: this.currentSession.seq,
             reasonStart: this.currentSession.reasonStart,
         });
-        socket.emit('dps_cleared', { at: Date.now() });
+        this._emit('dps_cleared', { at: Date.now() });
     }
 
     _allUserMaps() {
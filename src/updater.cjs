@@ -1,4 +1,4 @@
-// src/updater.js (CJS)
+// src/updater.cjs (CJS)
 const { app } = require('electron');
 const { autoUpdater } = require('electron-updater');
 
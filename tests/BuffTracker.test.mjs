@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Long from 'long';
+
+import { BuffTracker, readBuffEvents } from '../src/models/BuffTracker.js';
+
+/** Horloge manuelle: les uptimes se calculent sur des temps connus. */
+function manualClock(start = 0) {
+    const clock = () => clock.now;
+    clock.now = start;
+    return clock;
+}
+
+// évènements tels que les produit le décodage d'un delta AOI (BuffInfos / BuffEffects)
+const SHIELD = 2110017;
+const HASTE = 2110018;
+
+test('uptime of a buff applied then removed', () => {
+    const clock = manualClock();
+    const buffs = new BuffTracker(clock);
+
+    clock.now = 1000;
+    assert.equal(buffs.start('7', { baseId: SHIELD, sourceUid: 42 }), true);
+    clock.now = 4000;
+    assert.equal(buffs.end('7'), true);
+    clock.now = 10_000;
+
+    assert.deepEqual(buffs.getSummary()[SHIELD], {
+        baseId: SHIELD,
+        applications: 1,
+        uptimeMs: 3000,
+        uptime: 30,
+        active: false,
+        sources: { 42: 1 },
+    });
+});
+
+test('the resent buff list does not restart running instances', () => {
+    const clock = manualClock();
+    const buffs = new BuffTracker(clock);
+    buffs.start('7', { baseId: HASTE });
+    clock.now = 500;
+    assert.equal(buffs.start('7', { baseId: HASTE }), false);
+    assert.equal(buffs.start('8', { baseId: 0 }), false);
+    clock.now = 1000;
+
+    const haste = buffs.getSummary()[HASTE];
+    assert.equal(haste.applications, 1);
+    assert.equal(haste.uptimeMs, 1000);
+    assert.equal(haste.active, true);
+});
+
+test('overlapping stacks count once, a missed removal ends at the announced duration', () => {
+    const clock = manualClock();
+    const buffs = new BuffTracker(clock);
+    buffs.start('1', { baseId: HASTE, duration: 4000 });
+    clock.now = 2000;
+    buffs.start('2', { baseId: HASTE, duration: 4000 });
+    clock.now = 10_000;
+
+    const haste = buffs.getSummary()[HASTE];
+    assert.equal(haste.applications, 2);
+    assert.equal(haste.uptimeMs, 6000);
+    assert.equal(haste.active, false);
+});
+
+test('latestSource: most recent running buff among the given types', () => {
+    const clock = manualClock();
+    const buffs = new BuffTracker(clock);
+    buffs.start('1', { baseId: SHIELD, sourceUid: 10 });
+    clock.now = 100;
+    buffs.start('2', { baseId: SHIELD, sourceUid: 20, duration: 50 });
+    buffs.start('3', { baseId: HASTE, sourceUid: 30 });
+
+    assert.equal(buffs.latestSource(new Set([SHIELD])), 20);
+    clock.now = 200; // le buff de 20 a expiré
+    assert.equal(buffs.latestSource(new Set([SHIELD])), 10);
+    assert.equal(buffs.latestSource(new Set([99])), 0);
+});
+
+test('endAll closes the open intervals, reset starts a new window', () => {
+    const clock = manualClock();
+    const buffs = new BuffTracker(clock);
+    buffs.start('1', { baseId: SHIELD });
+    clock.now = 1000;
+    buffs.endAll();
+    clock.now = 2000;
+    assert.equal(buffs.getSummary()[SHIELD].uptimeMs, 1000);
+    assert.equal(buffs.end('1'), false);
+
+    buffs.reset();
+    assert.deepEqual(buffs.getSummary(), {});
+});
+
+test('readBuffEvents: instances and removals of a decoded delta', () => {
+    const EBuffEventType = { BuffEventAddTo: 1, BuffEventRemove: 3 };
+    const player = Long.fromNumber(1446509).shiftLeft(16).or(640);
+    const monster = Long.fromNumber(77).shiftLeft(16).or(64);
+    const delta = {
+        BuffInfos: {
+            BuffInfos: [
+                { BuffUuid: Long.fromNumber(7), BaseId: SHIELD, FireUuid: player, Duration: Long.fromNumber(10_000) },
+                { BuffUuid: 8, BaseId: HASTE, FireUuid: monster },
+                { BuffUuid: 9, BaseId: 0 },
+            ],
+        },
+        BuffEffect: { BuffEffects: [{ BuffUuid: 5, Type: 3 }, { BuffUuid: 6, Type: 1 }, { Type: 3 }] },
+    };
+
+    assert.deepEqual(readBuffEvents(delta, EBuffEventType), {
+        effected: ['5'],
+        removed: ['5'],
+        started: [
+            { buffUuid: '7', baseId: SHIELD, sourceUid: 1446509, duration: 10_000 },
+            { buffUuid: '8', baseId: HASTE, sourceUid: 0, duration: 0 },
+        ],
+    });
+    // schéma sans l'enum: aucun retrait reconnu
+    assert.deepEqual(readBuffEvents(delta, {}).removed, []);
+    assert.deepEqual(readBuffEvents({}, EBuffEventType), { effected: [], removed: [], started: [] });
+});
+
+test('effectSource: caster of the buff that just reacted', () => {
+    const clock = manualClock();
+    const buffs = new BuffTracker(clock);
+    buffs.start('1', { baseId: SHIELD, sourceUid: 10 });
+    buffs.start('2', { baseId: HASTE });
+
+    assert.equal(buffs.effectSource(100), 0);
+    assert.equal(buffs.effect('2'), false); // pas de lanceur connu
+    assert.equal(buffs.effect('1'), true);
+    buffs.end('1');
+    assert.equal(buffs.effectSource(100), 10);
+    clock.now = 101;
+    assert.equal(buffs.effectSource(100), 0);
+});
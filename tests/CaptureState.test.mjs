@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CaptureState, CAPTURE_STATE } from '../src/models/CaptureState.js';
+
+test('searching -> locked -> lost -> relocked', () => {
+    const events = [];
+    const state = new CaptureState((s) => events.push(s));
+    assert.equal(state.state, CAPTURE_STATE.SEARCHING);
+
+    state.locked('1.2.3.4:5000');
+    state.lost('1.2.3.4:5000');
+    state.locked('5.6.7.8:5000');
+
+    assert.deepEqual(events.map((e) => [e.state, e.server]), [
+        ['locked', '1.2.3.4:5000'],
+        ['lost', '1.2.3.4:5000'],
+        ['relocked', '5.6.7.8:5000'],
+    ]);
+    assert.deepEqual(state.toJSON(), events.at(-1));
+});
+
+test('an extra game connection while locked is a lock on its own server', () => {
+    const state = new CaptureState();
+    state.locked('a');
+    state.locked('b');
+    assert.equal(state.state, CAPTURE_STATE.LOCKED);
+    assert.equal(state.server, 'b');
+});
+
+test('searching() starts over, once', () => {
+    const events = [];
+    const state = new CaptureState((s) => events.push(s.state));
+    state.searching();
+    assert.deepEqual(events, []);
+
+    state.locked('a');
+    state.searching();
+    state.searching();
+    state.locked('b');
+    assert.deepEqual(events, ['locked', 'searching', 'locked']);
+});
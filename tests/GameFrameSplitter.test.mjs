@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameFrameSplitter } from '../src/models/GameFrameSplitter.js';
+import { notifyPacket, frameDown } from './frames.mjs';
+
+function collect() {
+    const frames = [];
+    const resyncs = [];
+    const splitter = new GameFrameSplitter({
+        onFrame: (frame) => frames.push(Buffer.from(frame)),
+        onResync: (reason, dropped) => resyncs.push([reason, dropped]),
+    });
+    return { splitter, frames, resyncs };
+}
+
+test('frames split across chunks come out whole', () => {
+    const { splitter, frames } = collect();
+    const a = notifyPacket(1, Buffer.from('first'));
+    const b = frameDown(notifyPacket(2, Buffer.from('second')));
+    const stream = Buffer.concat([a, b]);
+
+    for (let i = 0; i < stream.length; i += 7) splitter.push(stream.subarray(i, i + 7));
+    assert.deepEqual(frames, [a, b]);
+    assert.equal(splitter.buffer.length, 0);
+});
+
+test('after a gap, resumes at a header confirmed by the next one', () => {
+    const { splitter, frames, resyncs } = collect();
+    const a = notifyPacket(1, Buffer.from('aaaa'));
+    const b = notifyPacket(2, Buffer.from('bbbb'));
+
+    splitter.push(a.subarray(0, 10));
+    splitter.gap();
+    // fin de trame perdue: contient un faux en-tête (taille 8, type 2) que rien ne suit
+    const tail = Buffer.from([0, 0, 0, 8, 0, 2, 0xee, 0xee, 0xff]);
+    splitter.push(Buffer.concat([tail, a, b]));
+
+    assert.deepEqual(frames, [a, b]);
+    assert.equal(resyncs.length, 1);
+    assert.equal(resyncs[0][0], 'gap');
+    assert.equal(resyncs[0][1], 10 + tail.length);
+});
+
+test('waits for more data before trusting a header whose successor is not there yet', () => {
+    const { splitter, frames, resyncs } = collect();
+    const a = notifyPacket(1, Buffer.from('aaaa'));
+
+    splitter.gap();
+    splitter.push(Buffer.concat([Buffer.from([0xff, 0xff]), a.subarray(0, 8)]));
+    assert.equal(resyncs.length, 1);
+    assert.deepEqual(frames, []);
+
+    splitter.push(a.subarray(8));
+    assert.deepEqual(frames, [a]);
+    assert.deepEqual(resyncs, [['gap', 2]]);
+});
+
+test('an impossible length starts a resync', () => {
+    const { splitter, frames, resyncs } = collect();
+    const a = notifyPacket(1, Buffer.from('ok'));
+    const garbage = Buffer.from([0xff, 0xff, 0xff, 0xff, 0, 2, 1, 2]);
+
+    splitter.push(Buffer.concat([garbage, a, a]));
+    assert.deepEqual(frames, [a, a]);
+    assert.deepEqual(resyncs, [['invalid length 4294967295', garbage.length]]);
+    assert.equal(splitter.stats.droppedBytes, garbage.length);
+});
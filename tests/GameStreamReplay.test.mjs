@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+import Long from 'long';
+
+import { GameStreamRecorder } from '../src/services/GameStreamRecorder.js';
+import { recomputeGameStream } from '../src/services/GameStreamReplay.js';
+import { InstanceTracker } from '../src/services/InstanceTracker.js';
+import { GAME_STREAM_FILENAME } from '../src/models/GameStreamFile.js';
+import { notifyPacket } from './frames.mjs';
+
+const START = 1_700_000_000_000;
+const LOCAL_UID = 42;
+const OTHER_UID = 7;
+const ENEMY = 99;
+const METHOD_HIT = 1;
+const METHOD_LOGIN = 2;
+
+/** Trame "coup" de uid, ou "connexion" du joueur local (SyncToMeDelta en vrai). */
+const hit = (uid, damage) => notifyPacket(METHOD_HIT, Buffer.from(JSON.stringify({ uid, damage })));
+const login = () => notifyPacket(METHOD_LOGIN);
+
+/** Remplace PacketProcessor: les trames de test alimentent l'InstanceTracker et le UserDataManager comme lui. */
+function fakeFlowContext(seen) {
+    return (udm, isPrimary) => {
+        const host = {
+            addLog: () => {},
+            enemyCache: null,
+            onInstanceChanged: (...args) => isPrimary() && udm.onInstanceChanged(...args),
+        };
+        const instanceTracker = new InstanceTracker({ userDataManager: host });
+        const processor = {
+            observedUids: new Set(),
+            processPacket: (frame) => {
+                seen.push({ frame: Buffer.from(frame), now: udm.clock() });
+                const methodId = frame.readUInt32BE(18);
+                if (methodId === METHOD_LOGIN) {
+                    instanceTracker.setPlayerUuid(Long.fromNumber(LOCAL_UID).shiftLeft(16));
+                } else {
+                    const { uid, damage } = JSON.parse(frame.subarray(22));
+                    udm.addDamage(uid, 1001, 0, damage, false, false, false, damage, ENEMY);
+                }
+            },
+        };
+        return { instanceTracker, processor };
+    };
+}
+
+test('frames recorded live are replayed unchanged, without losing those before the first lock', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bpsr-stream-'));
+    const cwd = process.cwd();
+    process.chdir(dir); // le recorder écrit dans ./logs
+    t.after(async () => {
+        process.chdir(cwd);
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const recorded = [
+        { frame: hit(OTHER_UID, 100), timestamp: START + 10, flowId: 1 },
+        { frame: hit(LOCAL_UID, 200), timestamp: START + 20, flowId: 1 },
+        { frame: login(), timestamp: START + 30, flowId: 1 },
+        { frame: hit(LOCAL_UID, 300), timestamp: START + 5_000, flowId: 1 },
+        { frame: hit(OTHER_UID, 400), timestamp: START + 70_000, flowId: 1 },
+    ];
+    const recorder = new GameStreamRecorder({ startTime: START });
+    for (const { frame, timestamp, flowId } of recorded) recorder.write(frame, timestamp, flowId);
+    const finished = once(recorder._stream, 'finish');
+    recorder.close();
+    await finished;
+
+    const seen = [];
+    const file = path.join('logs', String(START), GAME_STREAM_FILENAME);
+    const result = await recomputeGameStream(file, { createFlowContext: fakeFlowContext(seen) });
+
+    assert.equal(result.frames, recorded.length);
+    assert.deepEqual(seen, recorded.map(({ frame, timestamp }) => ({ frame, now: timestamp })));
+    assert.equal(result.startTime, START);
+    assert.equal(result.endTime, START + 70_000);
+
+    const udm = result.userDataManager;
+    assert.equal(udm.startTime, START);
+    const damage = (uid) => udm.getUser(uid).getSummary().total_damage.total;
+    assert.equal(damage(OTHER_UID), 500);
+    assert.equal(damage(LOCAL_UID), 500);
+
+    assert.deepEqual(await udm.saveReplayHistory({ endTime: result.endTime, logsDir: 'logs' }), [START]);
+    const summary = JSON.parse(await fs.readFile(path.join('logs', String(START), 'summary.json'), 'utf8'));
+    assert.deepEqual([summary.startTime, summary.endTime, summary.userCount], [START, START + 70_000, 2]);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatIpv6, parseIpv6, extractIpv6Segment } from '../src/models/Ipv6Packet.js';
+import {
+    NEXT_HEADER,
+    SRC,
+    DST,
+    tcpSegment,
+    extensionHeader,
+    fragmentHeader,
+    ipv6Packet,
+    fragmentIpv6,
+} from './ipv6.mjs';
+
+test('formatIpv6 compresses the longest run of zero groups', () => {
+    const packet = ipv6Packet(NEXT_HEADER.TCP, tcpSegment(), { src: '2001:db8:0:0:1:0:0:1', dst: 'fe80::' });
+    assert.equal(formatIpv6(packet, 8), '2001:db8::1:0:0:1');
+    assert.equal(formatIpv6(packet, 24), 'fe80::');
+});
+
+test('parseIpv6 walks hop-by-hop, routing and destination options headers', () => {
+    const segment = tcpSegment(Buffer.from('hello'));
+    const body = Buffer.concat([
+        extensionHeader(NEXT_HEADER.ROUTING),
+        extensionHeader(NEXT_HEADER.DESTINATION, 24),
+        extensionHeader(NEXT_HEADER.TCP, 16),
+        segment,
+    ]);
+    const ip = parseIpv6(ipv6Packet(NEXT_HEADER.HOP_BY_HOP, body));
+
+    assert.equal(ip.srcaddr, SRC);
+    assert.equal(ip.dstaddr, DST);
+    assert.equal(ip.protocol, NEXT_HEADER.TCP);
+    assert.equal(ip.payloadOffset, 40 + 8 + 24 + 16);
+    assert.equal(ip.payloadLength, segment.length);
+    assert.equal(ip.fragment, null);
+});
+
+test('parseIpv6 rejects truncated headers and ESP', () => {
+    const body = Buffer.concat([extensionHeader(NEXT_HEADER.TCP, 16), tcpSegment()]);
+    const packet = ipv6Packet(NEXT_HEADER.HOP_BY_HOP, body);
+    assert.equal(parseIpv6(packet.subarray(0, 39)), null, 'fixed header cut short');
+    assert.equal(parseIpv6(packet.subarray(0, 41)), null, 'extension header cut short');
+    assert.equal(parseIpv6(packet.subarray(0, 50)), null, 'extension header longer than the packet');
+    assert.equal(parseIpv6(ipv6Packet(NEXT_HEADER.ESP, Buffer.alloc(16))), null);
+
+    const fragment = ipv6Packet(NEXT_HEADER.FRAGMENT, fragmentHeader(NEXT_HEADER.TCP, 0, true));
+    assert.equal(parseIpv6(fragment.subarray(0, 44)), null, 'fragment header cut short');
+
+    const v4 = Buffer.from(packet);
+    v4[0] = 4 << 4;
+    assert.equal(parseIpv6(v4), null);
+});
+
+test('parseIpv6 stops at the fragment header', () => {
+    const [first] = fragmentIpv6(NEXT_HEADER.TCP, tcpSegment(Buffer.alloc(64)), 32, 7);
+    const ip = parseIpv6(first);
+    assert.deepEqual(ip.fragment, { id: 7, offset: 0, more: true });
+    assert.equal(ip.protocol, NEXT_HEADER.TCP);
+    assert.equal(ip.payloadOffset, 48);
+    assert.equal(ip.payloadLength, 32);
+});
+
+test('extractIpv6Segment returns TCP segments and ignores other protocols', () => {
+    const cache = new Map();
+    const segment = tcpSegment(Buffer.from('game'));
+    assert.deepEqual(extractIpv6Segment(cache, ipv6Packet(NEXT_HEADER.TCP, segment), 0), {
+        srcaddr: SRC,
+        dstaddr: DST,
+        payload: segment,
+    });
+    assert.equal(extractIpv6Segment(cache, ipv6Packet(NEXT_HEADER.UDP, Buffer.alloc(8)), 0), null);
+
+    const framed = Buffer.concat([Buffer.alloc(14), ipv6Packet(NEXT_HEADER.TCP, segment)]);
+    assert.deepEqual(extractIpv6Segment(cache, framed, 14).payload, segment);
+});
+
+test('extractIpv6Segment reassembles fragments arriving out of order', () => {
+    const cache = new Map();
+    const segment = tcpSegment(Buffer.from('x'.repeat(100)));
+    const fragments = fragmentIpv6(NEXT_HEADER.TCP, segment, 48);
+    assert.equal(fragments.length, 3);
+
+    assert.equal(extractIpv6Segment(cache, fragments[2], 0, 1000), null);
+    assert.equal(extractIpv6Segment(cache, fragments[0], 0, 1001), null);
+    assert.equal(cache.size, 1);
+    assert.equal([...cache.values()][0].timestamp, 1001);
+
+    const result = extractIpv6Segment(cache, fragments[1], 0, 1002);
+    assert.deepEqual(result, { srcaddr: SRC, dstaddr: DST, payload: segment });
+    assert.equal(cache.size, 0);
+});
+
+test('extractIpv6Segment skips extension headers inside the fragmentable part', () => {
+    const cache = new Map();
+    const segment = tcpSegment(Buffer.from('y'.repeat(40)));
+    const fragmentable = Buffer.concat([extensionHeader(NEXT_HEADER.TCP, 16), segment]);
+    const fragments = fragmentIpv6(NEXT_HEADER.DESTINATION, fragmentable, 32);
+
+    let result = null;
+    for (const fragment of fragments) result = extractIpv6Segment(cache, fragment, 0);
+    assert.deepEqual(result.payload, segment);
+});
+
+test('extractIpv6Segment keeps separate packets apart and drops non-TCP reassemblies', () => {
+    const cache = new Map();
+    const a = fragmentIpv6(NEXT_HEADER.TCP, tcpSegment(Buffer.alloc(40, 1)), 32, 1);
+    const b = fragmentIpv6(NEXT_HEADER.UDP, Buffer.alloc(60, 2), 32, 2);
+
+    assert.equal(extractIpv6Segment(cache, a[0], 0), null);
+    assert.equal(extractIpv6Segment(cache, b[0], 0), null);
+    assert.equal(cache.size, 2);
+    assert.equal(extractIpv6Segment(cache, b[1], 0), null);
+    assert.equal(cache.size, 1);
+    assert.deepEqual(extractIpv6Segment(cache, a[1], 0).payload, tcpSegment(Buffer.alloc(40, 1)));
+});
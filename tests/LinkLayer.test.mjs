@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LINK_TYPE, locateNetworkLayer } from '../src/models/LinkLayer.js';
+import { NEXT_HEADER, tcpSegment, ipv6Packet } from './ipv6.mjs';
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86dd;
+
+function nullFrame(family, byteOrder, packet) {
+    const header = Buffer.alloc(4);
+    if (byteOrder === 'BE') header.writeUInt32BE(family, 0);
+    else header.writeUInt32LE(family, 0);
+    return Buffer.concat([header, packet]);
+}
+
+test('DLT_NULL reads the address family in the declared byte order', () => {
+    const packet = ipv6Packet(NEXT_HEADER.TCP, tcpSegment());
+    for (const byteOrder of ['LE', 'BE']) {
+        assert.deepEqual(locateNetworkLayer(nullFrame(2, byteOrder, packet), LINK_TYPE.NULL, byteOrder), {
+            type: ETHERTYPE_IPV4,
+            offset: 4,
+        });
+        for (const family of [10, 23, 24, 28, 30]) {
+            assert.deepEqual(locateNetworkLayer(nullFrame(family, byteOrder, packet), LINK_TYPE.NULL, byteOrder), {
+                type: ETHERTYPE_IPV6,
+                offset: 4,
+            });
+        }
+    }
+});
+
+test('DLT_NULL in the wrong byte order is not taken for IP', () => {
+    const packet = ipv6Packet(NEXT_HEADER.TCP, tcpSegment());
+    assert.equal(locateNetworkLayer(nullFrame(2, 'BE', packet), LINK_TYPE.NULL, 'LE'), null);
+    assert.equal(locateNetworkLayer(nullFrame(30, 'LE', packet), LINK_TYPE.NULL, 'BE'), null);
+    assert.equal(locateNetworkLayer(Buffer.alloc(3), LINK_TYPE.NULL, 'LE'), null);
+});
+
+test('Ethernet, Linux cooked and raw IP frames', () => {
+    const packet = ipv6Packet(NEXT_HEADER.TCP, tcpSegment());
+
+    const ethernet = Buffer.concat([Buffer.alloc(14), packet]);
+    ethernet.writeUInt16BE(ETHERTYPE_IPV6, 12);
+    assert.deepEqual(locateNetworkLayer(ethernet, LINK_TYPE.ETHERNET), { type: ETHERTYPE_IPV6, offset: 14 });
+
+    const sll = Buffer.concat([Buffer.alloc(16), packet]);
+    sll.writeUInt16BE(ETHERTYPE_IPV6, 14);
+    assert.deepEqual(locateNetworkLayer(sll, LINK_TYPE.LINUX_SLL), { type: ETHERTYPE_IPV6, offset: 16 });
+    assert.equal(locateNetworkLayer(sll.subarray(0, 15), LINK_TYPE.LINUX_SLL), null);
+
+    assert.deepEqual(locateNetworkLayer(packet, LINK_TYPE.RAW), { type: ETHERTYPE_IPV6, offset: 0 });
+    const v4 = Buffer.from([0x45, 0, 0, 20]);
+    assert.deepEqual(locateNetworkLayer(v4, LINK_TYPE.IPV4), { type: ETHERTYPE_IPV4, offset: 0 });
+    assert.equal(locateNetworkLayer(Buffer.alloc(0), LINK_TYPE.RAW), null);
+    assert.equal(locateNetworkLayer(packet, 12345), null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import Long from 'long';
+
+import { notifyPacket } from './frames.mjs';
+
+// Le schéma compilé n'est pas versionné: sans lui, PacketProcessor ne se charge pas.
+const SCHEMA = new URL('../src/algo/blueprotobuf.js', import.meta.url);
+const skip = !fs.existsSync(SCHEMA) && 'compiled protobuf module (src/algo/blueprotobuf.js) not present';
+
+const SYNC_NEAR_DELTA_INFO = 0x2d;
+
+/** Enregistre les appels faits au UserDataManager. */
+function recordingUserDataManager(calls) {
+    const noop = new Proxy({}, { get: () => new Map() });
+    return new Proxy({}, {
+        get: (_, method) => (method === 'enemyCache' ? noop : (...args) => { calls.push([method, args]); }),
+    });
+}
+
+test('buff instances and removals are read from a SyncNearDeltaInfo', { skip }, async () => {
+    const pbRaw = await import(SCHEMA);
+    const pb = pbRaw.default ?? pbRaw;
+    const { PacketProcessor } = await import('../src/services/PacketProcessor.js');
+    assert.notEqual(pb.EBuffEventType?.BuffEventRemove, undefined);
+
+    const uid = 1446509;
+    const uuid = Long.fromNumber(uid).shiftLeft(16).or(640);
+    const payload = pb.SyncNearDeltaInfo.encode(pb.SyncNearDeltaInfo.fromObject({
+        DeltaInfos: [
+            { Uuid: uuid, BuffInfos: { BuffInfos: [{ BuffUuid: 7, BaseId: 2110017, FireUuid: uuid, Duration: 10000 }] } },
+            { Uuid: uuid, BuffEffect: { BuffEffects: [{ BuffUuid: 7, Type: pb.EBuffEventType.BuffEventRemove }] } },
+        ],
+    })).finish();
+
+    const calls = [];
+    const processor = new PacketProcessor({
+        userDataManager: recordingUserDataManager(calls),
+        instanceTracker: new Proxy({}, { get: () => () => {} }),
+    });
+    processor.processPacket(notifyPacket(SYNC_NEAR_DELTA_INFO, Buffer.from(payload)));
+
+    assert.deepEqual(calls.filter(([method]) => method === 'addBuff' || method === 'removeBuff'), [
+        ['addBuff', [uid, '7', 2110017, uid, 10000]],
+        ['removeBuff', [uid, '7']],
+    ]);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import Long from 'long';
+
+import { PartyRoster, readTeam } from '../src/models/PartyRoster.js';
+
+// Le schéma compilé n'est pas versionné: le test sur la capture en dépend.
+const SCHEMA = new URL('../src/algo/blueprotobuf.js', import.meta.url);
+const CAPTURE = new URL('../SyncContainerData.dat', import.meta.url);
+const skip = !fs.existsSync(SCHEMA) && 'compiled protobuf module (src/algo/blueprotobuf.js) not present';
+
+const SELF = 1446509;
+const ETeamType = { Normal: 0, Raid: 1 };
+
+/**
+ * VData tel que le rend une classe protobufjs: les champs message absents valent null via le prototype,
+ * les champs présents sont posés sur l'instance.
+ */
+function decodedVData(fields) {
+    class CharTeam {}
+    Object.assign(CharTeam.prototype, { TeamId: Long.ZERO, LeaderId: Long.ZERO, TeamType: 0, CharIds: [] });
+    class CharSerialize {}
+    Object.assign(CharSerialize.prototype, { CharId: Long.ZERO, CharBase: null, TeamData: null });
+    const vData = Object.assign(new CharSerialize(), fields);
+    if (fields.TeamData) vData.TeamData = Object.assign(new CharTeam(), fields.TeamData);
+    return vData;
+}
+
+test('readTeam reads the members and the team type from TeamData', () => {
+    const team = readTeam(decodedVData({
+        CharId: Long.fromNumber(SELF),
+        TeamData: { TeamId: Long.fromNumber(42), LeaderId: Long.fromNumber(7), CharIds: [7, SELF, 9].map((n) => Long.fromNumber(n)) },
+    }), ETeamType);
+    assert.deepEqual(team, { teamId: 42, leaderUid: 7, raid: false, members: [7, SELF, 9] });
+});
+
+test('readTeam: a raid is told by its type, not its size', () => {
+    const small = decodedVData({ TeamData: { TeamType: ETeamType.Raid, CharIds: [SELF, 2, 3] } });
+    assert.equal(readTeam(small, ETeamType).raid, true);
+    const large = decodedVData({ TeamData: { TeamType: ETeamType.Normal, CharIds: [SELF, 2, 3, 4, 5, 6] } });
+    assert.equal(readTeam(large, ETeamType).raid, false);
+    // schéma sans l'enum: jamais un raid
+    assert.equal(readTeam(small, {}).raid, false);
+});
+
+test('readTeam: solo player, or a schema without TeamData', () => {
+    assert.deepEqual(readTeam(decodedVData({ CharId: Long.fromNumber(SELF) }), ETeamType), {
+        teamId: null,
+        leaderUid: null,
+        raid: false,
+        members: [],
+    });
+    assert.equal(readTeam({ CharId: SELF }, ETeamType), undefined);
+    assert.equal(readTeam(null, ETeamType), undefined);
+});
+
+test('relations from the local player team', () => {
+    const roster = new PartyRoster();
+    roster.setSelf(SELF);
+    assert.equal(roster.setTeam(SELF, { teamId: 1, leaderUid: SELF, raid: false, members: [SELF, 2] }), true);
+    assert.equal(roster.setTeam(SELF, { teamId: 1, leaderUid: SELF, raid: false, members: [SELF, 2] }), false);
+    assert.deepEqual([SELF, 2, 3].map((uid) => roster.relation(uid)), ['self', 'party', 'nearby']);
+
+    roster.setTeam(SELF, { teamId: 1, leaderUid: SELF, raid: true, members: [SELF, 2, 3, 4, 5, 6] });
+    assert.equal(roster.relation(3), 'raid');
+
+    assert.equal(roster.setTeam(SELF, { teamId: null, leaderUid: null, raid: false, members: [] }), true);
+    assert.equal(roster.relation(2), 'nearby');
+});
+
+test('captured SyncContainerData: solo player, no team', { skip }, async () => {
+    const pbRaw = await import(SCHEMA);
+    const pb = pbRaw.default ?? pbRaw;
+    const vData = pb.SyncContainerData.decode(fs.readFileSync(CAPTURE)).VData;
+
+    assert.equal(Long.fromValue(vData.CharId).toNumber(), SELF);
+    assert.deepEqual(readTeam(vData, pb.ETeamType ?? {})?.members, []);
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { PcapReader } from '../src/models/PcapReader.js';
+
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = 101;
+
+/** Écrit des u32 dans l'ordre d'octets demandé. */
+function u32s(le, ...values) {
+    const buf = Buffer.alloc(values.length * 4);
+    values.forEach((v, i) => (le ? buf.writeUInt32LE(v, i * 4) : buf.writeUInt32BE(v, i * 4)));
+    return buf;
+}
+
+function pcapFile({ le = true, nanos = false, snapLen = 65535, linkType = LINKTYPE_ETHERNET, records = [] }) {
+    const header = Buffer.alloc(24);
+    u32s(le, nanos ? 0xa1b23c4d : 0xa1b2c3d4).copy(header, 0);
+    if (le) {
+        header.writeUInt16LE(2, 4);
+        header.writeUInt16LE(4, 6);
+    } else {
+        header.writeUInt16BE(2, 4);
+        header.writeUInt16BE(4, 6);
+    }
+    u32s(le, snapLen, linkType).copy(header, 16);
+    const parts = [header];
+    for (const { sec, frac, data, inclLen = data.length } of records) {
+        parts.push(u32s(le, sec, frac, inclLen, data.length), data);
+    }
+    return Buffer.concat(parts);
+}
+
+function pcapngBlock(le, type, body) {
+    const padded = Buffer.concat([body, Buffer.alloc((4 - (body.length % 4)) % 4)]);
+    const length = 12 + padded.length;
+    return Buffer.concat([u32s(le, type, length), padded, u32s(le, length)]);
+}
+
+function pcapngFile({ le = true, tsresol = null, linkType = LINKTYPE_ETHERNET, packets = [] }) {
+    const u16 = (v) => {
+        const b = Buffer.alloc(2);
+        if (le) b.writeUInt16LE(v);
+        else b.writeUInt16BE(v);
+        return b;
+    };
+    const shbBody = Buffer.concat([u32s(le, 0x1a2b3c4d), u16(1), u16(0), Buffer.alloc(8, 0xff)]);
+    const shb = pcapngBlock(le, 0x0a0d0d0a, shbBody);
+
+    const options = tsresol === null ? [] : [u16(9), u16(1), Buffer.from([tsresol, 0, 0, 0])];
+    const idbBody = Buffer.concat([u16(linkType), u16(0), u32s(le, 65535), ...options, u16(0), u16(0)]);
+    const idb = pcapngBlock(le, 0x00000001, idbBody);
+
+    const blocks = packets.map(({ ts, data, simple = false }) => {
+        if (simple) return pcapngBlock(le, 0x00000003, Buffer.concat([u32s(le, data.length), data]));
+        const high = Math.floor(ts / 2 ** 32);
+        const low = ts % 2 ** 32;
+        return pcapngBlock(le, 0x00000006, Buffer.concat([u32s(le, 0, high, low, data.length, data.length), data]));
+    });
+    return Buffer.concat([shb, idb, ...blocks]);
+}
+
+async function readAll(t, content) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bpsr-pcap-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'capture');
+    await fs.writeFile(file, content);
+
+    const reader = new PcapReader(file);
+    const records = [];
+    try {
+        for await (const record of reader.records()) records.push(record);
+    } finally {
+        await reader.close();
+    }
+    return { reader, records };
+}
+
+const A = Buffer.from('first packet');
+const B = Buffer.from('second');
+
+for (const le of [true, false]) {
+    const byteOrder = le ? 'LE' : 'BE';
+
+    test(`pcap, ${byteOrder}, microsecond timestamps`, async (t) => {
+        const content = pcapFile({
+            le,
+            records: [
+                { sec: 1_700_000_000, frac: 250_000, data: A },
+                { sec: 1_700_000_001, frac: 1, data: B },
+            ],
+        });
+        const { reader, records } = await readAll(t, content);
+
+        assert.equal(reader.format, 'pcap');
+        assert.deepEqual(records.map((r) => r.data), [A, B]);
+        assert.deepEqual(records.map((r) => r.timestamp), [1_700_000_000_250, 1_700_000_001_000.001]);
+        assert.deepEqual(records.map((r) => [r.linkType, r.byteOrder]), [
+            [LINKTYPE_ETHERNET, byteOrder],
+            [LINKTYPE_ETHERNET, byteOrder],
+        ]);
+        assert.equal(records.at(-1).offset, content.length);
+    });
+
+    test(`pcap, ${byteOrder}, nanosecond timestamps`, async (t) => {
+        const content = pcapFile({ le, nanos: true, records: [{ sec: 10, frac: 500_000_000, data: A }] });
+        const { records } = await readAll(t, content);
+        assert.deepEqual(records.map((r) => r.timestamp), [10_500]);
+    });
+
+    test(`pcapng, ${byteOrder}, default and nanosecond resolutions, simple packets`, async (t) => {
+        const single = pcapngFile({ le, linkType: LINKTYPE_RAW, packets: [{ ts: 1_500_000, data: A }] });
+        const micro = await readAll(t, single);
+        assert.equal(micro.reader.format, 'pcapng');
+        assert.deepEqual(
+            micro.records.map((r) => [r.timestamp, r.linkType, r.byteOrder]),
+            [[1_500, LINKTYPE_RAW, byteOrder]]
+        );
+        assert.deepEqual(micro.records[0].data, A);
+
+        const packets = [
+            { ts: 2 ** 32 * 1000 + 7_000_000, data: A },
+            { data: B, simple: true },
+        ];
+        const nano = await readAll(t, pcapngFile({ le, tsresol: 9, packets }));
+        assert.deepEqual(nano.records.map((r) => r.data), [A, B]);
+        assert.equal(nano.records[0].timestamp, ((2 ** 32 * 1000 + 7_000_000) / 1e9) * 1000);
+        assert.ok(Number.isNaN(nano.records[1].timestamp), 'simple packet blocks carry no timestamp');
+    });
+}
+
+test('a truncated last packet ends the capture', async (t) => {
+    const content = pcapFile({
+        records: [
+            { sec: 1, frac: 0, data: A },
+            { sec: 2, frac: 0, data: B },
+        ],
+    });
+    const { records } = await readAll(t, content.subarray(0, content.length - 2));
+    assert.deepEqual(records.map((r) => r.data), [A]);
+});
+
+test('a record longer than the snapshot length stops the reader with an error', async (t) => {
+    const records = [
+        { sec: 1, frac: 0, data: A },
+        { sec: 2, frac: 0, data: B, inclLen: 1501 },
+    ];
+    await assert.rejects(
+        readAll(t, pcapFile({ snapLen: 1500, records })),
+        /Corrupt pcap record at offset 52: 1501 bytes exceed the 1500 bytes limit/
+    );
+
+    const huge = pcapFile({ snapLen: 0x7fffffff, records: [{ sec: 1, frac: 0, data: A, inclLen: 0x7fff0000 }] });
+    await assert.rejects(readAll(t, huge), /exceed the 262144 bytes limit/);
+});
+
+test('an unknown magic is rejected', async (t) => {
+    await assert.rejects(readAll(t, Buffer.from('not a capture file')), /Unsupported capture file format/);
+});
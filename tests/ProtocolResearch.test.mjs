@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { ProtocolResearch } from '../src/services/ProtocolResearch.js';
+
+test('every message is counted, samples are throttled per key', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const research = new ProtocolResearch();
+    research.configure({ enabled: true, dir, samplesPerKey: 5, sampleIntervalMs: 60_000 });
+    for (let i = 0; i < 100; i++) research.record('method', '0x99', Buffer.from([i]));
+    research.record('call', '0x1', Buffer.from([1]));
+    await research.flush();
+
+    assert.equal(research.snapshot().unknown.method['0x99'].count, 100);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['call_0x1_0.bin', 'method_0x99_0.bin']);
+    assert.deepEqual([...fs.readFileSync(path.join(dir, 'method_0x99_0.bin'))], [0]);
+});
+
+test('without an interval, a key is sampled again once its previous write is done', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const research = new ProtocolResearch();
+    research.configure({ enabled: true, dir, samplesPerKey: 2, sampleIntervalMs: 0 });
+    for (let i = 0; i < 3; i++) {
+        research.record('echo', 'x', Buffer.from([i]));
+        research.record('echo', 'x', Buffer.from([100 + i])); // écriture précédente en cours: ignoré
+        await research.flush();
+    }
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['echo_x_0.bin', 'echo_x_1.bin']);
+    assert.deepEqual([...fs.readFileSync(path.join(dir, 'echo_x_0.bin'))], [2]);
+    assert.deepEqual([...fs.readFileSync(path.join(dir, 'echo_x_1.bin'))], [1]);
+});
@@ -0,0 +1,77 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    registerServerIdentifier,
+    unregisterServerIdentifier,
+    listServerIdentifiers,
+    identifyServer,
+} from '../src/services/ServerIdentification.js';
+import { frameDown, notifyPacket } from './frames.mjs';
+
+const BUILT_IN = ['scene-notify', 'login-return'];
+
+// réponse de connexion telle qu'envoyée par le serveur de scène (0x62 octets)
+const LOGIN_RETURN = Buffer.concat([
+    Buffer.from([
+        0x00, 0x00, 0x00, 0x62, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x11, 0x45, 0x14, 0x00, 0x00, 0x00, 0x00,
+        0x0a, 0x4e, 0x08, 0x01, 0x22, 0x24,
+    ]),
+    Buffer.alloc(0x62 - 24, 0x31),
+]);
+
+afterEach(() => {
+    for (const name of listServerIdentifiers()) {
+        if (!BUILT_IN.includes(name)) unregisterServerIdentifier(name);
+    }
+});
+
+test('built-in strategies are registered in order', () => {
+    assert.deepEqual(listServerIdentifiers(), BUILT_IN);
+});
+
+test('register, list and unregister a strategy', () => {
+    registerServerIdentifier({ name: 'custom', match: (p) => p[0] === 0xff });
+    assert.deepEqual(listServerIdentifiers(), [...BUILT_IN, 'custom']);
+    assert.equal(identifyServer(Buffer.from([0xff, 0x00])), 'custom');
+
+    assert.equal(unregisterServerIdentifier('custom'), true);
+    assert.equal(unregisterServerIdentifier('custom'), false);
+    assert.deepEqual(listServerIdentifiers(), BUILT_IN);
+    assert.equal(identifyServer(Buffer.from([0xff, 0x00])), null);
+});
+
+test('register rejects invalid and duplicate strategies', () => {
+    assert.throws(() => registerServerIdentifier({ name: 'no-match' }), TypeError);
+    assert.throws(() => registerServerIdentifier({ match: () => true }), TypeError);
+    assert.throws(() => registerServerIdentifier({ name: 'scene-notify', match: () => true }), /already registered/);
+});
+
+test('a throwing strategy is skipped', () => {
+    registerServerIdentifier({ name: 'broken', match: () => { throw new Error('boom'); } });
+    registerServerIdentifier({ name: 'fallback', match: () => true });
+    assert.equal(identifyServer(Buffer.from([1, 2, 3])), 'fallback');
+});
+
+test('scene-notify: FrameDown carrying a c3SB notify', () => {
+    const frame = frameDown(notifyPacket(0x2e, Buffer.from([0x0a, 0x02, 0x08, 0x01])));
+    assert.equal(identifyServer(frame), 'scene-notify');
+});
+
+test('scene-notify: other services and truncated frames do not match', () => {
+    assert.equal(identifyServer(frameDown(notifyPacket(0x2e, Buffer.from([1]), 0x1234n))), null);
+    const frame = frameDown(notifyPacket(0x2e, Buffer.from([1, 2, 3, 4])));
+    assert.equal(identifyServer(frame.subarray(0, 20)), null);
+    assert.equal(identifyServer(Buffer.alloc(0)), null);
+});
+
+test('login-return: login response of the scene server', () => {
+    assert.equal(identifyServer(LOGIN_RETURN), 'login-return');
+});
+
+test('login-return: other lengths or bytes do not match', () => {
+    assert.equal(identifyServer(LOGIN_RETURN.subarray(0, 0x61)), null);
+    const altered = Buffer.from(LOGIN_RETURN);
+    altered[5] = 0x02;
+    assert.equal(identifyServer(altered), null);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TcpReassembler, seqDiff } from '../src/models/TcpReassembler.js';
+
+function collect(opts = {}) {
+    const chunks = [];
+    const gaps = [];
+    const reassembler = new TcpReassembler({
+        onData: (data) => chunks.push(Buffer.from(data)),
+        onGap: (skipped) => gaps.push(skipped),
+        ...opts,
+    });
+    return { reassembler, chunks, gaps, text: () => Buffer.concat(chunks).toString() };
+}
+
+test('seqDiff is a signed distance across the 32-bit wraparound', () => {
+    assert.equal(seqDiff(5, 3), 2);
+    assert.equal(seqDiff(3, 5), -2);
+    assert.equal(seqDiff(0, 0xffffffff), 1);
+    assert.equal(seqDiff(0x10, 0xfffffff0), 0x20);
+    assert.equal(seqDiff(0xfffffff0, 0x10), -0x20);
+});
+
+test('segments are delivered in order across the sequence wraparound', () => {
+    const { reassembler, text } = collect({ nextSeq: 0xfffffffc });
+    reassembler.push(0x00000000, Buffer.from('ef'));
+    reassembler.push(0xfffffffe, Buffer.from('cd'));
+    reassembler.push(0xfffffffc, Buffer.from('ab'));
+
+    assert.equal(text(), 'abcdef');
+    assert.equal(reassembler.nextSeq, 2);
+    assert.equal(reassembler.pending.size, 0);
+    assert.equal(reassembler.buffered, 0);
+});
+
+test('overlapping retransmissions are trimmed, duplicates dropped', () => {
+    const { reassembler, text } = collect({ nextSeq: 100 });
+    reassembler.push(100, Buffer.from('abcd'));
+    reassembler.push(102, Buffer.from('cdef')); // déjà livré en partie
+    reassembler.push(100, Buffer.from('ab')); // entièrement déjà livré
+    reassembler.push(110, Buffer.from('kl'));
+    reassembler.push(108, Buffer.from('ijklmn')); // recouvre le segment en attente
+    reassembler.push(106, Buffer.from('gh'));
+
+    assert.equal(text(), 'abcdefghijklmn');
+    assert.equal(reassembler.stats.duplicates, 1);
+    assert.equal(reassembler.stats.delivered, 14);
+    assert.equal(reassembler.pending.size, 0);
+});
+
+test('filling a hole delivers everything buffered behind it in one chunk', () => {
+    const { reassembler, chunks } = collect({ nextSeq: 0 });
+    for (let seq = 10; seq < 1000; seq += 10) reassembler.push(seq, Buffer.alloc(10, seq / 10));
+    assert.equal(chunks.length, 0);
+    assert.equal(reassembler.buffered, 990);
+
+    reassembler.push(0, Buffer.alloc(10));
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].length, 1000);
+    assert.equal(chunks[0][995], 99);
+    assert.equal(reassembler.stats.outOfOrder, 99);
+});
+
+test('a hole is skipped once it has been open for the gap timeout', () => {
+    const { reassembler, text, gaps } = collect({ nextSeq: 0 });
+    reassembler.push(0, Buffer.from('ab'), 0);
+    reassembler.push(10, Buffer.from('kl'), 100);
+    reassembler.push(20, Buffer.from('uv'), 200);
+
+    reassembler.checkGap(3099);
+    assert.deepEqual(gaps, []);
+
+    reassembler.checkGap(3100);
+    assert.deepEqual(gaps, [8]);
+    assert.equal(text(), 'abkl');
+    assert.equal(reassembler.nextSeq, 12);
+
+    // le trou suivant repart de zéro
+    reassembler.checkGap(6099);
+    assert.deepEqual(gaps, [8]);
+    reassembler.checkGap(6100);
+    assert.deepEqual(gaps, [8, 8]);
+    assert.equal(text(), 'abkluv');
+    assert.deepEqual(reassembler.stats, { delivered: 6, duplicates: 0, outOfOrder: 2, gaps: 2, skippedBytes: 16 });
+});
+
+test('a hole is skipped as soon as more than 4 MB wait behind it', () => {
+    const { reassembler, gaps, chunks } = collect({ nextSeq: 0 });
+    const block = 1024 * 1024;
+    for (let i = 0; i < 4; i++) reassembler.push(100 + i * block, Buffer.alloc(block), 0);
+    assert.deepEqual(gaps, []);
+
+    reassembler.push(100 + 4 * block, Buffer.alloc(1), 0);
+    assert.deepEqual(gaps, [100]);
+    assert.equal(chunks.reduce((n, c) => n + c.length, 0), 4 * block + 1);
+    assert.equal(reassembler.buffered, 0);
+});
+
+test('reset drops the buffered segments', () => {
+    const { reassembler, text } = collect({ nextSeq: 0 });
+    reassembler.push(10, Buffer.from('late'));
+    reassembler.reset(50);
+    reassembler.push(50, Buffer.from('new'));
+    assert.equal(text(), 'new');
+    assert.equal(reassembler.buffered, 0);
+});
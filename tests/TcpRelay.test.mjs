@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { once } from 'node:events';
+
+import { TcpRelay } from '../src/services/TcpRelay.js';
+import { UserDataManager } from '../src/services/UserDataManager.js';
+import { Diagnostics } from '../src/services/Diagnostics.js';
+import { notifyPacket, frameDown } from './frames.mjs';
+
+const tick = () => new Promise((r) => setTimeout(r, 20));
+
+/** Stands in for the scene server: records what it receives, hands out its sockets. */
+async function startServer() {
+    const received = [];
+    const sockets = [];
+    const server = net.createServer((socket) => {
+        socket.setNoDelay(true);
+        sockets.push(socket);
+        socket.on('data', (chunk) => received.push(chunk));
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return { server, port: server.address().port, received, sockets };
+}
+
+async function startRelay(targetPort) {
+    const frames = [];
+    const relay = new TcpRelay({
+        targetHost: '127.0.0.1',
+        targetPort,
+        listenPort: 0,
+        userDataManager: new UserDataManager({ headless: true }),
+        diagnostics: new Diagnostics(),
+        createFlowContext: () => ({
+            instanceTracker: { currentPlayerUid: null },
+            processor: { observedUids: new Set(), processPacket: (frame) => frames.push(Buffer.from(frame)) },
+        }),
+    });
+    const { port } = await relay.start();
+    return { relay, port, frames };
+}
+
+async function waitFor(predicate) {
+    for (let i = 0; i < 100 && !predicate(); i++) await tick();
+    assert.ok(predicate(), 'timed out');
+}
+
+test('bytes reach both ends unchanged and split frames reach the processor whole', async () => {
+    const upstream = await startServer();
+    const { relay, port, frames } = await startRelay(upstream.port);
+
+    const client = net.connect(port, '127.0.0.1');
+    const downstream = [];
+    client.on('data', (chunk) => downstream.push(chunk));
+    await once(client, 'connect');
+
+    const hello = Buffer.from([0, 1, 2, 0xfe, 0xff, ...Buffer.from('client hello')]);
+    client.write(hello);
+    await waitFor(() => Buffer.concat(upstream.received).length === hello.length);
+    assert.deepEqual(Buffer.concat(upstream.received), hello);
+
+    const a = notifyPacket(0x2e, Buffer.from('first frame'));
+    const b = frameDown(notifyPacket(0x15, Buffer.alloc(300, 7)), 9);
+    const stream = Buffer.concat([a, b]);
+    // coupures au milieu d'un en-tête, puis au milieu d'un corps
+    const [server] = upstream.sockets;
+    for (const [start, end] of [
+        [0, 3],
+        [3, a.length + 20],
+        [a.length + 20, stream.length],
+    ]) {
+        server.write(stream.subarray(start, end));
+        await tick();
+    }
+
+    await waitFor(() => frames.length === 2 && Buffer.concat(downstream).length === stream.length);
+    assert.deepEqual(Buffer.concat(downstream), stream);
+    assert.deepEqual(frames, [a, b]);
+
+    const [flow] = relay.describeFlows();
+    assert.deepEqual(flow.relay, { up: hello.length, down: stream.length });
+    assert.equal(flow.frames.frames, 2);
+    assert.equal(relay.captureState.state, 'locked');
+
+    client.destroy();
+    await waitFor(() => relay.flows.size === 0);
+    assert.equal(relay.captureState.state, 'lost');
+
+    await relay.stop();
+    upstream.server.close();
+    await once(upstream.server, 'close');
+});
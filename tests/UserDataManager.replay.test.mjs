@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { UserDataManager } from '../src/services/UserDataManager.js';
+
+const SKILL = 1001;
+const ENEMY = 99;
+
+async function readEntry(logsDir, startTime) {
+    const dir = path.join(logsDir, String(startTime));
+    const summary = JSON.parse(await fs.readFile(path.join(dir, 'summary.json'), 'utf8'));
+    const users = JSON.parse(await fs.readFile(path.join(dir, 'allUserData.json'), 'utf8'));
+    return { summary, uids: Object.keys(users).map(Number) };
+}
+
+test('a headless replay over two instances saves two history entries with capture timestamps', async (t) => {
+    const logsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bpsr-replay-'));
+    t.after(() => fs.rm(logsDir, { recursive: true, force: true }));
+
+    const clock = () => clock.now;
+    clock.now = 1_000;
+    const udm = new UserDataManager({ headless: true, clock });
+    udm.startTime = clock.now; // comme PcapReplay au premier paquet
+
+    udm.addDamage(1, SKILL, 0, 1000, false, false, false, 1000, ENEMY);
+    udm.onInstanceChanged(1, 'player-uuid-changed', { to: 1 }); // premier verrouillage: rien n'est effacé
+    clock.now = 5_000;
+    udm.onInstanceChanged(2, 'scene-id-changed', { to: 2 });
+    clock.now = 6_000;
+    udm.addDamage(2, SKILL, 0, 2000, false, false, false, 2000, ENEMY);
+
+    const entries = await udm.saveReplayHistory({ endTime: 9_000, logsDir });
+    assert.deepEqual(entries, [1_000, 5_000]);
+    assert.deepEqual((await fs.readdir(logsDir)).sort(), ['1000', '5000']);
+
+    const first = await readEntry(logsDir, 1_000);
+    assert.deepEqual([first.summary.startTime, first.summary.endTime], [1_000, 5_000]);
+    assert.deepEqual(first.uids, [1]);
+
+    const second = await readEntry(logsDir, 5_000);
+    assert.deepEqual([second.summary.startTime, second.summary.endTime], [5_000, 9_000]);
+    assert.deepEqual(second.uids, [2]);
+});
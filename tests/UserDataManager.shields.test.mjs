@@ -0,0 +1,51 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UserDataManager } from '../src/services/UserDataManager.js';
+
+const SHIELDER = 10;
+const TARGET = 20;
+const SHIELD = 2110017;
+
+function headlessManager() {
+    const clock = () => clock.now;
+    clock.now = 1000;
+    const udm = new UserDataManager({ headless: true, clock });
+    udm.setName(SHIELDER, 'Healer'); // le lanceur est un joueur connu
+    return { clock, udm };
+}
+
+afterEach(() => {
+    delete globalThis.globalSettings;
+});
+
+test('an absorbed hit is credited to the caster of the buff that reacted to it (default settings)', () => {
+    const { udm } = headlessManager();
+    udm.addBuff(TARGET, '7', SHIELD, SHIELDER);
+    // delta du coup: le bouclier casse (effet puis retrait), puis le coup absorbé
+    udm.buffEffect(TARGET, '7');
+    udm.removeBuff(TARGET, '7');
+    udm.addTakenDamage(TARGET, 500, false, { attackerUid: 99, absorbed: 500, hpLessen: 0 });
+
+    assert.equal(udm.getUser(SHIELDER).getSummary().shield_given, 500);
+});
+
+test('no buff reacted to the hit: nobody is credited', () => {
+    const { clock, udm } = headlessManager();
+    udm.addBuff(TARGET, '7', SHIELD, SHIELDER);
+    udm.buffEffect(TARGET, '7');
+    clock.now += 5000;
+    udm.addTakenDamage(TARGET, 500, false, { attackerUid: 99, absorbed: 500, hpLessen: 0 });
+
+    assert.equal(udm.getUser(SHIELDER).getSummary().shield_given, 0);
+});
+
+test('shieldBuffIds, when filled, picks the shield among the running buffs', () => {
+    globalThis.globalSettings = { shieldBuffIds: [SHIELD] };
+    const { clock, udm } = headlessManager();
+    udm.addBuff(TARGET, '7', SHIELD, SHIELDER);
+    clock.now += 5000;
+    udm.addTakenDamage(TARGET, 300, false, { attackerUid: 99, absorbed: 300, hpLessen: 0 });
+
+    assert.equal(udm.getUser(SHIELDER).getSummary().shield_given, 300);
+});
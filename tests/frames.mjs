@@ -0,0 +1,24 @@
+// Construction de trames du jeu (en-têtes big-endian, comme les lit BinaryReader) pour les tests.
+
+export const MessageType = Object.freeze({ Call: 1, Notify: 2, Return: 3, Echo: 4, FrameDown: 6 });
+export const SERVICE_UUID_NOTIFY = 0x0000000063335342n; // c3SB
+
+/** Notify: [taille u32][type u16][serviceUuid u64][stubId u32][methodId u32][payload] */
+export function notifyPacket(methodId, payload = Buffer.alloc(0), serviceUuid = SERVICE_UUID_NOTIFY) {
+    const header = Buffer.alloc(22);
+    header.writeUInt32BE(header.length + payload.length, 0);
+    header.writeUInt16BE(MessageType.Notify, 4);
+    header.writeBigUInt64BE(serviceUuid, 6);
+    header.writeUInt32BE(0, 14);
+    header.writeUInt32BE(methodId, 18);
+    return Buffer.concat([header, payload]);
+}
+
+/** FrameDown: [taille u32][type u16][serverSequenceId u32][paquets imbriqués] */
+export function frameDown(nested, sequence = 1) {
+    const header = Buffer.alloc(10);
+    header.writeUInt32BE(header.length + nested.length, 0);
+    header.writeUInt16BE(MessageType.FrameDown, 4);
+    header.writeUInt32BE(sequence, 6);
+    return Buffer.concat([header, nested]);
+}
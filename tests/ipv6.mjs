@@ -0,0 +1,80 @@
+// Construction de paquets IPv6 (RFC 8200) et de segments TCP pour les tests.
+
+export const NEXT_HEADER = Object.freeze({
+    HOP_BY_HOP: 0,
+    TCP: 6,
+    UDP: 17,
+    ROUTING: 43,
+    FRAGMENT: 44,
+    ESP: 50,
+    DESTINATION: 60,
+});
+
+export const SRC = '2001:db8::1';
+export const DST = '2001:db8::2';
+
+function writeAddress(buf, offset, address) {
+    const [head, tail = ''] = address.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const groups = [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+    groups.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), offset + i * 2));
+}
+
+/** En-tête TCP minimal (20 octets, sans options) suivi de `payload`. */
+export function tcpSegment(payload = Buffer.alloc(0), { srcport = 5003, dstport = 50000, seqno = 1 } = {}) {
+    const header = Buffer.alloc(20);
+    header.writeUInt16BE(srcport, 0);
+    header.writeUInt16BE(dstport, 2);
+    header.writeUInt32BE(seqno, 4);
+    header[12] = 5 << 4; // data offset
+    header[13] = 0x18; // PSH, ACK
+    header.writeUInt16BE(0xffff, 14);
+    return Buffer.concat([header, payload]);
+}
+
+/** En-tête d'extension générique (Hop-by-Hop, Routing, Destination): longueur (n + 1) * 8 octets. */
+export function extensionHeader(nextHeader, length = 8) {
+    const header = Buffer.alloc(length);
+    header[0] = nextHeader;
+    header[1] = length / 8 - 1;
+    return header;
+}
+
+/** En-tête Fragment: [next][réservé][offset << 3 | M][identification u32]. */
+export function fragmentHeader(nextHeader, offset, more, id = 0x1234) {
+    const header = Buffer.alloc(8);
+    header[0] = nextHeader;
+    header.writeUInt16BE(offset | (more ? 1 : 0), 2);
+    header.writeUInt32BE(id, 4);
+    return header;
+}
+
+/** Paquet IPv6: en-tête fixe de 40 octets, puis `body` (en-têtes d'extension et charge utile). */
+export function ipv6Packet(nextHeader, body, { src = SRC, dst = DST } = {}) {
+    const header = Buffer.alloc(40);
+    header[0] = 6 << 4;
+    header.writeUInt16BE(body.length, 4);
+    header[6] = nextHeader;
+    header[7] = 64; // hop limit
+    writeAddress(header, 8, src);
+    writeAddress(header, 24, dst);
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * Découpe `fragmentable` (en-têtes d'extension + charge utile) en paquets fragmentés.
+ * @param {number} nextHeader Premier en-tête de la partie fragmentable.
+ * @param {Buffer} fragmentable
+ * @param {number} size Taille de chaque fragment, multiple de 8 sauf pour le dernier.
+ */
+export function fragmentIpv6(nextHeader, fragmentable, size, id = 0x1234) {
+    const packets = [];
+    for (let offset = 0; offset < fragmentable.length; offset += size) {
+        const more = offset + size < fragmentable.length;
+        const chunk = fragmentable.subarray(offset, offset + size);
+        const body = Buffer.concat([fragmentHeader(nextHeader, offset, more, id), chunk]);
+        packets.push(ipv6Packet(NEXT_HEADER.FRAGMENT, body));
+    }
+    return packets;
+}